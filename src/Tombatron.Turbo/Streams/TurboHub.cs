@@ -17,19 +17,37 @@ public class TurboHub : Hub
     /// </summary>
     public const string TurboStreamMethod = "TurboStream";
 
+    /// <summary>
+    /// The method name used to send presence changes to clients.
+    /// </summary>
+    public const string TurboPresenceMethod = "TurboPresence";
+
+    /// <summary>
+    /// The largest number of streams <see cref="SubscribeMany"/> and <see cref="ResubscribeMany"/> accept in one call.
+    /// </summary>
+    public const int MaxBatchSize = 100;
+
     private readonly ITurboStreamAuthorization _authorization;
+    private readonly TurboStreamBacklog _backlog;
+    private readonly TurboPresenceTracker _presence;
     private readonly ILogger<TurboHub> _logger;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TurboHub"/> class.
     /// </summary>
     /// <param name="authorization">The authorization service for stream subscriptions.</param>
+    /// <param name="backlog">The backlog of recent stream messages used for replay.</param>
+    /// <param name="presence">The tracker of members present on each stream.</param>
     /// <param name="logger">The logger instance.</param>
     public TurboHub(
         ITurboStreamAuthorization authorization,
+        TurboStreamBacklog backlog,
+        TurboPresenceTracker presence,
         ILogger<TurboHub> logger)
     {
         _authorization = authorization ?? throw new ArgumentNullException(nameof(authorization));
+        _backlog = backlog ?? throw new ArgumentNullException(nameof(backlog));
+        _presence = presence ?? throw new ArgumentNullException(nameof(presence));
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
     }
 
@@ -65,6 +83,213 @@ public class TurboHub : Hub
         return true;
     }
 
+    /// <summary>
+    /// Subscribes the current connection to a named stream and returns the stream's current sequence number.
+    /// </summary>
+    /// <remarks>
+    /// The sequence number is read after the connection joins the stream, so the client can replay
+    /// from it after a reconnect. <see cref="Subscribe"/> keeps returning a plain boolean for
+    /// clients that do not track sequence numbers.
+    /// </remarks>
+    /// <param name="streamName">The name of the stream to subscribe to.</param>
+    /// <returns>Whether the subscription was successful and the stream's current sequence number.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when streamName is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when streamName is empty or whitespace.</exception>
+    public async Task<TurboSubscribeResult> SubscribeWithSequence(string streamName)
+    {
+        if (!await Subscribe(streamName))
+        {
+            return TurboSubscribeResult.Denied;
+        }
+
+        return new TurboSubscribeResult(true, _backlog.GetCurrentSequence(streamName));
+    }
+
+    /// <summary>
+    /// Resubscribes the current connection to a named stream after a reconnect and replays
+    /// the messages broadcast since <paramref name="lastSequence"/>.
+    /// </summary>
+    /// <remarks>
+    /// Missed messages are sent to the caller before this method returns. When they are no longer
+    /// in the <see cref="TurboStreamBacklog"/>, a Turbo Stream refresh action is sent instead so the
+    /// client reloads the page. Messages whose broadcast excluded the caller are not replayed.
+    /// The connection joins the stream before the backlog is read, so a live message can reach the
+    /// caller ahead of the replayed ones. The client holds the stream's messages until this method
+    /// returns and applies them in sequence order.
+    /// </remarks>
+    /// <param name="streamName">The name of the stream to subscribe to.</param>
+    /// <param name="lastSequence">The sequence number of the last message the client received on the stream.</param>
+    /// <returns>True if the subscription was successful; false if unauthorized.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when streamName is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when streamName is empty or whitespace.</exception>
+    public async Task<bool> Resubscribe(string streamName, long lastSequence)
+    {
+        if (!await Subscribe(streamName))
+        {
+            return false;
+        }
+
+        if (_backlog.TryGetMessagesSince(streamName, lastSequence, out IReadOnlyList<TurboStreamBacklogEntry> messages))
+        {
+            foreach (TurboStreamBacklogEntry message in messages)
+            {
+                // Broadcasts that excluded this connection were never meant for it.
+                if (message.ExcludedConnectionId == Context.ConnectionId)
+                {
+                    continue;
+                }
+
+                await Clients.Caller.SendAsync(
+                    TurboStreamMethod,
+                    message.Html,
+                    new TurboStreamMessageInfo(streamName, message.Sequence));
+            }
+
+            _logger.LogDebug(
+                "Replayed {Count} messages on stream {StreamName} to connection {ConnectionId}",
+                messages.Count,
+                streamName,
+                Context.ConnectionId);
+        }
+        else
+        {
+            string refreshHtml = new TurboStreamBuilder().Refresh().Build();
+
+            await Clients.Caller.SendAsync(
+                TurboStreamMethod,
+                refreshHtml,
+                new TurboStreamMessageInfo(streamName, _backlog.GetCurrentSequence(streamName), Reset: true));
+
+            _logger.LogDebug(
+                "Missed messages on stream {StreamName} are no longer available, requested refresh from connection {ConnectionId}",
+                streamName,
+                Context.ConnectionId);
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Subscribes the current connection to several named streams in one call.
+    /// </summary>
+    /// <remarks>
+    /// Every stream name is validated before any subscription is made. Each stream is then
+    /// authorized on its own, so one denied stream does not affect the others.
+    /// </remarks>
+    /// <param name="streamNames">The names of the streams to subscribe to, at most <see cref="MaxBatchSize"/>.</param>
+    /// <returns>For each stream, in the same order, the result <see cref="SubscribeWithSequence"/> would return.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when streamNames or one of the names is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when one of the names is empty or whitespace.</exception>
+    /// <exception cref="HubException">
+    /// Thrown with the <see cref="TurboHubErrors.BatchTooLarge"/> code when there are more than <see cref="MaxBatchSize"/> names.
+    /// </exception>
+    public async Task<TurboSubscribeResult[]> SubscribeMany(string[] streamNames)
+    {
+        ValidateStreamNames(streamNames);
+
+        TurboSubscribeResult[] results = new TurboSubscribeResult[streamNames.Length];
+
+        for (int i = 0; i < streamNames.Length; i++)
+        {
+            results[i] = await SubscribeWithSequence(streamNames[i]);
+        }
+
+        return results;
+    }
+
+    /// <summary>
+    /// Resubscribes the current connection to several named streams after a reconnect and replays
+    /// the messages each one missed, as <see cref="Resubscribe"/> does for a single stream.
+    /// </summary>
+    /// <param name="streamNames">The names of the streams to subscribe to, at most <see cref="MaxBatchSize"/>.</param>
+    /// <param name="lastSequences">The sequence number of the last message the client received on each stream, in the same order.</param>
+    /// <returns>For each stream, in the same order, true if the subscription was successful; false if unauthorized.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when streamNames, lastSequences or one of the names is null.</exception>
+    /// <exception cref="ArgumentException">
+    /// Thrown when one of the names is empty or whitespace, or when the arrays have different lengths.
+    /// </exception>
+    /// <exception cref="HubException">
+    /// Thrown with the <see cref="TurboHubErrors.BatchTooLarge"/> code when there are more than <see cref="MaxBatchSize"/> names.
+    /// </exception>
+    public async Task<bool[]> ResubscribeMany(string[] streamNames, long[] lastSequences)
+    {
+        ValidateStreamNames(streamNames);
+        ArgumentNullException.ThrowIfNull(lastSequences);
+
+        if (lastSequences.Length != streamNames.Length)
+        {
+            throw new ArgumentException("There must be one sequence number per stream name.", nameof(lastSequences));
+        }
+
+        bool[] results = new bool[streamNames.Length];
+
+        for (int i = 0; i < streamNames.Length; i++)
+        {
+            results[i] = await Resubscribe(streamNames[i], lastSequences[i]);
+        }
+
+        return results;
+    }
+
+    /// <summary>
+    /// Subscribes the current connection to a named stream and adds it to the stream's members
+    /// with the given identity. The other members receive a <see cref="TurboPresenceChange"/>.
+    /// </summary>
+    /// <remarks>
+    /// The connection stays a member until it calls <see cref="LeavePresence"/>, unsubscribes from
+    /// the stream or disconnects. Calling this again replaces the identity.
+    /// </remarks>
+    /// <param name="streamName">The name of the stream to join.</param>
+    /// <param name="identity">The identity payload to show to the other members, such as a name and avatar URL.</param>
+    /// <returns>The members of the stream, including the caller; null if unauthorized.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when streamName is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when streamName is empty or whitespace.</exception>
+    public async Task<IReadOnlyList<TurboPresenceMember>?> JoinPresence(string streamName, object? identity)
+    {
+        if (!await Subscribe(streamName))
+        {
+            return null;
+        }
+
+        IReadOnlyList<TurboPresenceMember> members = _presence.Join(streamName, Context.ConnectionId, identity);
+        TurboPresenceMember member = members.First(m => m.ConnectionId == Context.ConnectionId);
+
+        await Clients.OthersInGroup(streamName).SendAsync(
+            TurboPresenceMethod,
+            new TurboPresenceChange(streamName, TurboPresenceChange.JoinType, member));
+
+        _logger.LogDebug(
+            "Connection {ConnectionId} joined presence on stream {StreamName}",
+            Context.ConnectionId,
+            streamName);
+
+        return members;
+    }
+
+    /// <summary>
+    /// Removes the current connection from a stream's members while keeping it subscribed to the
+    /// stream. The other members receive a <see cref="TurboPresenceChange"/>.
+    /// </summary>
+    /// <param name="streamName">The name of the stream to leave.</param>
+    /// <exception cref="ArgumentNullException">Thrown when streamName is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when streamName is empty or whitespace.</exception>
+    public async Task LeavePresence(string streamName)
+    {
+        ValidateStreamName(streamName);
+
+        if (_presence.Leave(streamName, Context.ConnectionId) is not { } change)
+        {
+            return;
+        }
+
+        await Clients.OthersInGroup(streamName).SendAsync(TurboPresenceMethod, change);
+
+        _logger.LogDebug(
+            "Connection {ConnectionId} left presence on stream {StreamName}",
+            Context.ConnectionId,
+            streamName);
+    }
+
     /// <summary>
     /// Unsubscribes the current connection from a named stream.
     /// </summary>
@@ -77,6 +302,11 @@ public class TurboHub : Hub
 
         await Groups.RemoveFromGroupAsync(Context.ConnectionId, streamName);
 
+        if (_presence.Leave(streamName, Context.ConnectionId) is { } change)
+        {
+            await Clients.Group(streamName).SendAsync(TurboPresenceMethod, change);
+        }
+
         _logger.LogDebug(
             "Connection {ConnectionId} unsubscribed from stream {StreamName}",
             Context.ConnectionId,
@@ -93,11 +323,17 @@ public class TurboHub : Hub
     }
 
     /// <summary>
-    /// Called when a connection is terminated.
+    /// Called when a connection is terminated. Removes the connection from the members of
+    /// every stream it joined and notifies the remaining members.
     /// </summary>
     /// <param name="exception">The exception that caused the disconnection, if any.</param>
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
+        foreach (TurboPresenceChange change in _presence.LeaveAll(Context.ConnectionId))
+        {
+            await Clients.Group(change.Stream).SendAsync(TurboPresenceMethod, change);
+        }
+
         if (exception != null)
         {
             _logger.LogWarning(
@@ -122,4 +358,28 @@ public class TurboHub : Hub
     /// <exception cref="ArgumentNullException">Thrown when streamName is null.</exception>
     /// <exception cref="ArgumentException">Thrown when streamName is empty or whitespace.</exception>
     internal static void ValidateStreamName(string streamName) => ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+
+    /// <summary>
+    /// Validates a list of stream names.
+    /// </summary>
+    /// <param name="streamNames">The stream names to validate.</param>
+    /// <exception cref="ArgumentNullException">Thrown when streamNames or one of the names is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when one of the names is empty or whitespace.</exception>
+    /// <exception cref="HubException">Thrown when there are more than <see cref="MaxBatchSize"/> names.</exception>
+    private static void ValidateStreamNames(string[] streamNames)
+    {
+        ArgumentNullException.ThrowIfNull(streamNames);
+
+        if (streamNames.Length > MaxBatchSize)
+        {
+            throw TurboHubErrors.Create(
+                TurboHubErrors.BatchTooLarge,
+                $"At most {MaxBatchSize} streams can be subscribed in one call.");
+        }
+
+        foreach (string streamName in streamNames)
+        {
+            ValidateStreamName(streamName);
+        }
+    }
 }
@@ -0,0 +1,81 @@
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// Resolves the hub context of the hub type mapped with <c>MapTurboHub</c>.
+/// </summary>
+/// <remarks>
+/// SignalR keeps groups per hub type, so a broadcast sent through the context of
+/// <see cref="TurboHub"/> never reaches clients connected to a derived hub.
+/// <see cref="TurboService"/> sends through the context resolved here instead.
+/// </remarks>
+internal sealed class TurboHubContextResolver
+{
+    private readonly object _lock = new();
+    private readonly IServiceProvider _services;
+    private Type _hubType = typeof(TurboHub);
+    private bool _mapped;
+    private IHubContext<TurboHub>? _hubContext;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TurboHubContextResolver"/> class.
+    /// </summary>
+    /// <param name="services">The service provider the hub context is resolved from.</param>
+    public TurboHubContextResolver(IServiceProvider services)
+    {
+        _services = services ?? throw new ArgumentNullException(nameof(services));
+    }
+
+    /// <summary>
+    /// Gets the hub type that broadcasts are sent through.
+    /// </summary>
+    public Type HubType
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _hubType;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Records the hub type mapped by the application.
+    /// </summary>
+    /// <typeparam name="THub">The mapped hub type.</typeparam>
+    /// <exception cref="InvalidOperationException">Thrown when a different hub type has already been mapped.</exception>
+    public void Use<THub>() where THub : TurboHub
+    {
+        lock (_lock)
+        {
+            if (_mapped && _hubType != typeof(THub))
+            {
+                throw new InvalidOperationException(
+                    $"Turbo streams are already sent through {_hubType.Name}. Map only one hub type with MapTurboHub.");
+            }
+
+            _hubType = typeof(THub);
+            _mapped = true;
+            _hubContext = null;
+        }
+    }
+
+    /// <summary>
+    /// Gets the hub context of the mapped hub type.
+    /// </summary>
+    /// <returns>The hub context, typed as <see cref="TurboHub"/>.</returns>
+    public IHubContext<TurboHub> GetHubContext()
+    {
+        lock (_lock)
+        {
+            // IHubContext is covariant, so the context of a derived hub is an IHubContext<TurboHub>.
+            _hubContext ??= (IHubContext<TurboHub>)_services.GetRequiredService(
+                typeof(IHubContext<>).MakeGenericType(_hubType));
+
+            return _hubContext;
+        }
+    }
+}
@@ -0,0 +1,43 @@
+using Microsoft.AspNetCore.SignalR;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// Hub filter that reports invalid stream names passed to <see cref="TurboHub"/> methods to the
+/// client with the <see cref="TurboHubErrors.StreamNameInvalid"/> code, and other unexpected
+/// failures with the <see cref="TurboHubErrors.ServerError"/> code.
+/// </summary>
+/// <remarks>
+/// SignalR hides the message of exceptions other than <see cref="HubException"/> from clients,
+/// so without this filter an invalid stream name would look like any other server error.
+/// A <see cref="HubException"/> thrown by the hub or an inner filter already carries its message
+/// and passes through unchanged. The original exception of a server error is kept as the inner
+/// exception, so it still appears in the server logs but not on the client.
+/// Registered for every hub by <c>AddTurbo</c>; invocations of other hubs pass through unchanged.
+/// </remarks>
+public sealed class TurboHubErrorFilter : IHubFilter
+{
+    /// <inheritdoc />
+    public async ValueTask<object?> InvokeMethodAsync(
+        HubInvocationContext invocationContext,
+        Func<HubInvocationContext, ValueTask<object?>> next)
+    {
+        try
+        {
+            return await next(invocationContext);
+        }
+        catch (ArgumentException ex) when (invocationContext.Hub is TurboHub && ex.ParamName == "streamName")
+        {
+            throw TurboHubErrors.Create(
+                TurboHubErrors.StreamNameInvalid,
+                "Stream name cannot be null, empty or whitespace.");
+        }
+        catch (Exception ex) when (invocationContext.Hub is TurboHub && ex is not HubException)
+        {
+            throw TurboHubErrors.Create(
+                TurboHubErrors.ServerError,
+                $"An unexpected error occurred invoking '{invocationContext.HubMethodName}' on the server.",
+                ex);
+        }
+    }
+}
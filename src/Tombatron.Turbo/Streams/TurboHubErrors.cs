@@ -0,0 +1,51 @@
+using Microsoft.AspNetCore.SignalR;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// Error codes reported to clients when a <see cref="TurboHub"/> method fails.
+/// </summary>
+/// <remarks>
+/// A code is sent as the start of a <see cref="HubException"/> message, followed by a colon and a
+/// description, because SignalR only passes the message of a <see cref="HubException"/> to clients.
+/// The JavaScript client reads it into the <c>code</c> of its <c>turbo:stream:error</c> events.
+/// Hub filters and derived hubs can report the same codes with <see cref="Create"/>, for example
+/// <see cref="RateLimited"/> from a filter that limits subscriptions.
+/// </remarks>
+public static class TurboHubErrors
+{
+    /// <summary>
+    /// The stream name is null, empty or whitespace.
+    /// </summary>
+    public const string StreamNameInvalid = "stream_name_invalid";
+
+    /// <summary>
+    /// The connection made too many requests.
+    /// </summary>
+    public const string RateLimited = "rate_limited";
+
+    /// <summary>
+    /// A batch method was called with more than <see cref="TurboHub.MaxBatchSize"/> streams.
+    /// </summary>
+    public const string BatchTooLarge = "batch_too_large";
+
+    /// <summary>
+    /// The hub method failed unexpectedly.
+    /// </summary>
+    public const string ServerError = "server_error";
+
+    /// <summary>
+    /// Creates a <see cref="HubException"/> that reports an error code to the client.
+    /// </summary>
+    /// <param name="code">The error code, such as <see cref="RateLimited"/>.</param>
+    /// <param name="message">A description of the error, sent to the client.</param>
+    /// <param name="innerException">The exception that caused the error, kept for server logs and not sent to the client.</param>
+    /// <returns>The exception to throw from the hub method or filter.</returns>
+    /// <exception cref="ArgumentException">Thrown when code is null, empty or whitespace.</exception>
+    public static HubException Create(string code, string message, Exception? innerException = null)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(code);
+
+        return new HubException($"{code}: {message}", innerException);
+    }
+}
@@ -0,0 +1,41 @@
+using System.Runtime.Serialization;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// A connection present on a stream, with the identity its client announced.
+/// </summary>
+/// <remarks>
+/// The identity is supplied by the client, so treat it as display data rather than proof of who
+/// the user is.
+/// </remarks>
+/// <param name="ConnectionId">The SignalR connection ID of the member.</param>
+/// <param name="Identity">The identity payload announced by the client, such as a name and avatar URL.</param>
+[DataContract]
+public sealed record TurboPresenceMember(
+    [property: DataMember(Name = "connectionId")] string ConnectionId,
+    [property: DataMember(Name = "identity")] object? Identity);
+
+/// <summary>
+/// A member joining or leaving a stream, sent to the other members with the
+/// <see cref="TurboHub.TurboPresenceMethod"/> client method.
+/// </summary>
+/// <param name="Stream">The stream the member joined or left.</param>
+/// <param name="Type">Either <see cref="JoinType"/> or <see cref="LeaveType"/>.</param>
+/// <param name="Member">The member that joined or left.</param>
+[DataContract]
+public sealed record TurboPresenceChange(
+    [property: DataMember(Name = "stream")] string Stream,
+    [property: DataMember(Name = "type")] string Type,
+    [property: DataMember(Name = "member")] TurboPresenceMember Member)
+{
+    /// <summary>
+    /// The <see cref="Type"/> of a change where a member joined the stream.
+    /// </summary>
+    public const string JoinType = "join";
+
+    /// <summary>
+    /// The <see cref="Type"/> of a change where a member left the stream.
+    /// </summary>
+    public const string LeaveType = "leave";
+}
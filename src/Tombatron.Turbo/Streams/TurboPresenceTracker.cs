@@ -0,0 +1,140 @@
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// Tracks the members present on each stream, keyed by connection.
+/// </summary>
+/// <remarks>
+/// Members are kept in memory, so each application instance only knows about the connections
+/// it hosts. <see cref="TurboHub"/> adds members when clients call
+/// <see cref="TurboHub.JoinPresence"/> and removes them when they call <see cref="TurboHub.LeavePresence"/>,
+/// unsubscribe or disconnect.
+/// </remarks>
+public sealed class TurboPresenceTracker
+{
+    private readonly object _lock = new();
+    private readonly Dictionary<string, Dictionary<string, TurboPresenceMember>> _streams = new(StringComparer.Ordinal);
+    private readonly Dictionary<string, HashSet<string>> _connections = new(StringComparer.Ordinal);
+
+    /// <summary>
+    /// Adds a connection to the members of a stream, replacing its identity if it is already a member.
+    /// </summary>
+    /// <param name="streamName">The stream name.</param>
+    /// <param name="connectionId">The connection joining the stream.</param>
+    /// <param name="identity">The identity payload announced by the client.</param>
+    /// <returns>The members of the stream, including the one that joined.</returns>
+    public IReadOnlyList<TurboPresenceMember> Join(string streamName, string connectionId, object? identity)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(connectionId);
+
+        lock (_lock)
+        {
+            if (!_streams.TryGetValue(streamName, out Dictionary<string, TurboPresenceMember>? members))
+            {
+                members = new Dictionary<string, TurboPresenceMember>(StringComparer.Ordinal);
+                _streams[streamName] = members;
+            }
+
+            if (!_connections.TryGetValue(connectionId, out HashSet<string>? streams))
+            {
+                streams = new HashSet<string>(StringComparer.Ordinal);
+                _connections[connectionId] = streams;
+            }
+
+            members[connectionId] = new TurboPresenceMember(connectionId, identity);
+            streams.Add(streamName);
+
+            return members.Values.ToList();
+        }
+    }
+
+    /// <summary>
+    /// Removes a connection from the members of a stream.
+    /// </summary>
+    /// <param name="streamName">The stream name.</param>
+    /// <param name="connectionId">The connection leaving the stream.</param>
+    /// <returns>The change to send to the remaining members, or null if the connection was not a member.</returns>
+    public TurboPresenceChange? Leave(string streamName, string connectionId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+        ArgumentException.ThrowIfNullOrWhiteSpace(connectionId);
+
+        lock (_lock)
+        {
+            if (_connections.TryGetValue(connectionId, out HashSet<string>? streams))
+            {
+                streams.Remove(streamName);
+
+                if (streams.Count == 0)
+                {
+                    _connections.Remove(connectionId);
+                }
+            }
+
+            return RemoveMember(streamName, connectionId);
+        }
+    }
+
+    /// <summary>
+    /// Removes a connection from every stream it is a member of.
+    /// </summary>
+    /// <param name="connectionId">The connection that disconnected.</param>
+    /// <returns>The changes to send to the remaining members of each stream.</returns>
+    public IReadOnlyList<TurboPresenceChange> LeaveAll(string connectionId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(connectionId);
+
+        lock (_lock)
+        {
+            if (!_connections.Remove(connectionId, out HashSet<string>? streams))
+            {
+                return Array.Empty<TurboPresenceChange>();
+            }
+
+            var changes = new List<TurboPresenceChange>(streams.Count);
+
+            foreach (string streamName in streams)
+            {
+                if (RemoveMember(streamName, connectionId) is { } change)
+                {
+                    changes.Add(change);
+                }
+            }
+
+            return changes;
+        }
+    }
+
+    /// <summary>
+    /// Gets the members present on a stream.
+    /// </summary>
+    /// <param name="streamName">The stream name.</param>
+    /// <returns>The members of the stream, or an empty list if nobody is present.</returns>
+    public IReadOnlyList<TurboPresenceMember> GetMembers(string streamName)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+
+        lock (_lock)
+        {
+            return _streams.TryGetValue(streamName, out Dictionary<string, TurboPresenceMember>? members)
+                ? members.Values.ToList()
+                : Array.Empty<TurboPresenceMember>();
+        }
+    }
+
+    private TurboPresenceChange? RemoveMember(string streamName, string connectionId)
+    {
+        if (!_streams.TryGetValue(streamName, out Dictionary<string, TurboPresenceMember>? members) ||
+            !members.Remove(connectionId, out TurboPresenceMember? member))
+        {
+            return null;
+        }
+
+        if (members.Count == 0)
+        {
+            _streams.Remove(streamName);
+        }
+
+        return new TurboPresenceChange(streamName, TurboPresenceChange.LeaveType, member);
+    }
+}
@@ -10,26 +10,72 @@ namespace Tombatron.Turbo.Streams;
 /// </summary>
 public sealed class TurboService : ITurbo
 {
-    private readonly IHubContext<TurboHub> _hubContext;
+    private readonly Func<IHubContext<TurboHub>> _hubContext;
     private readonly ILogger<TurboService> _logger;
     private readonly IPartialRenderer _partialRenderer;
     private readonly IHttpContextAccessor _httpContextAccessor;
+    private readonly TurboStreamBacklog? _backlog;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="TurboService"/> class.
     /// </summary>
+    /// <remarks>
+    /// Messages sent by this instance carry no sequence numbers, so clients cannot replay
+    /// the ones they miss while reconnecting.
+    /// </remarks>
     /// <param name="hubContext">The SignalR hub context for TurboHub.</param>
     /// <param name="logger">The logger instance.</param>
     /// <param name="partialRenderer">The partial renderer for async partial rendering operations.</param>
     /// <param name="httpContextAccessor">The HTTP context accessor for reading request headers.</param>
     public TurboService(IHubContext<TurboHub> hubContext, ILogger<TurboService> logger, IPartialRenderer partialRenderer, IHttpContextAccessor httpContextAccessor)
     {
-        _hubContext = hubContext ?? throw new ArgumentNullException(nameof(hubContext));
+        ArgumentNullException.ThrowIfNull(hubContext);
+
+        _hubContext = () => hubContext;
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         _partialRenderer = partialRenderer ?? throw new ArgumentNullException(nameof(partialRenderer));
         _httpContextAccessor = httpContextAccessor ?? throw new ArgumentNullException(nameof(httpContextAccessor));
     }
 
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TurboService"/> class.
+    /// </summary>
+    /// <param name="hubContext">The SignalR hub context for TurboHub.</param>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="partialRenderer">The partial renderer for async partial rendering operations.</param>
+    /// <param name="httpContextAccessor">The HTTP context accessor for reading request headers.</param>
+    /// <param name="backlog">The backlog that assigns sequence numbers to stream messages.</param>
+    public TurboService(IHubContext<TurboHub> hubContext, ILogger<TurboService> logger, IPartialRenderer partialRenderer, IHttpContextAccessor httpContextAccessor, TurboStreamBacklog backlog)
+    {
+        ArgumentNullException.ThrowIfNull(hubContext);
+
+        _hubContext = () => hubContext;
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        _partialRenderer = partialRenderer ?? throw new ArgumentNullException(nameof(partialRenderer));
+        _httpContextAccessor = httpContextAccessor ?? throw new ArgumentNullException(nameof(httpContextAccessor));
+        _backlog = backlog ?? throw new ArgumentNullException(nameof(backlog));
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TurboService"/> class that sends through
+    /// the hub type mapped with <c>MapTurboHub</c>.
+    /// </summary>
+    /// <param name="hubContextResolver">The resolver for the mapped hub's context.</param>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="partialRenderer">The partial renderer for async partial rendering operations.</param>
+    /// <param name="httpContextAccessor">The HTTP context accessor for reading request headers.</param>
+    /// <param name="backlog">The backlog that assigns sequence numbers to stream messages.</param>
+    internal TurboService(TurboHubContextResolver hubContextResolver, ILogger<TurboService> logger, IPartialRenderer partialRenderer, IHttpContextAccessor httpContextAccessor, TurboStreamBacklog backlog)
+    {
+        ArgumentNullException.ThrowIfNull(hubContextResolver);
+
+        _hubContext = hubContextResolver.GetHubContext;
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        _partialRenderer = partialRenderer ?? throw new ArgumentNullException(nameof(partialRenderer));
+        _httpContextAccessor = httpContextAccessor ?? throw new ArgumentNullException(nameof(httpContextAccessor));
+        _backlog = backlog ?? throw new ArgumentNullException(nameof(backlog));
+    }
+
     /// <inheritdoc />
     public async Task Stream(string streamName, Action<ITurboStreamBuilder> build)
     {
@@ -48,9 +94,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
-            .Group(streamName)
-            .SendAsync(TurboHub.TurboStreamMethod, html);
+        await SendToStreamAsync(streamName, html, excludedConnectionId: null);
 
         _logger.LogDebug("Broadcast Turbo Stream to {StreamName}", streamName);
     }
@@ -95,10 +139,7 @@ public sealed class TurboService : ITurbo
         }
 
         // Send to all groups
-        var tasks = streams.Select(streamName =>
-            _hubContext.Clients
-                .Group(streamName)
-                .SendAsync(TurboHub.TurboStreamMethod, html));
+        var tasks = streams.Select(streamName => SendToStreamAsync(streamName, html, excludedConnectionId: null));
 
         await Task.WhenAll(tasks);
 
@@ -121,7 +162,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
+        await _hubContext().Clients
             .All
             .SendAsync(TurboHub.TurboStreamMethod, html);
 
@@ -146,9 +187,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
-            .Group(streamName)
-            .SendAsync(TurboHub.TurboStreamMethod, html);
+        await SendToStreamAsync(streamName, html, excludedConnectionId: null);
 
         _logger.LogDebug("Broadcast Turbo Stream to {StreamName}", streamName);
     }
@@ -193,10 +232,7 @@ public sealed class TurboService : ITurbo
         }
 
         // Send to all groups
-        var tasks = streams.Select(streamName =>
-            _hubContext.Clients
-                .Group(streamName)
-                .SendAsync(TurboHub.TurboStreamMethod, html));
+        var tasks = streams.Select(streamName => SendToStreamAsync(streamName, html, excludedConnectionId: null));
 
         await Task.WhenAll(tasks);
 
@@ -219,7 +255,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
+        await _hubContext().Clients
             .All
             .SendAsync(TurboHub.TurboStreamMethod, html);
 
@@ -271,9 +307,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
-            .GroupExcept(streamName, new[] { excludedConnectionId })
-            .SendAsync(TurboHub.TurboStreamMethod, html);
+        await SendToStreamAsync(streamName, html, excludedConnectionId);
 
         _logger.LogDebug("Broadcast Turbo Stream to {StreamName} excluding {ConnectionId}", streamName, excludedConnectionId);
     }
@@ -322,10 +356,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        var tasks = streams.Select(streamName =>
-            _hubContext.Clients
-                .GroupExcept(streamName, new[] { excludedConnectionId })
-                .SendAsync(TurboHub.TurboStreamMethod, html));
+        var tasks = streams.Select(streamName => SendToStreamAsync(streamName, html, excludedConnectionId));
 
         await Task.WhenAll(tasks);
 
@@ -354,7 +385,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
+        await _hubContext().Clients
             .AllExcept(new[] { excludedConnectionId })
             .SendAsync(TurboHub.TurboStreamMethod, html);
 
@@ -385,9 +416,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
-            .GroupExcept(streamName, new[] { excludedConnectionId })
-            .SendAsync(TurboHub.TurboStreamMethod, html);
+        await SendToStreamAsync(streamName, html, excludedConnectionId);
 
         _logger.LogDebug("Broadcast Turbo Stream to {StreamName} excluding {ConnectionId}", streamName, excludedConnectionId);
     }
@@ -436,10 +465,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        var tasks = streams.Select(streamName =>
-            _hubContext.Clients
-                .GroupExcept(streamName, new[] { excludedConnectionId })
-                .SendAsync(TurboHub.TurboStreamMethod, html));
+        var tasks = streams.Select(streamName => SendToStreamAsync(streamName, html, excludedConnectionId));
 
         await Task.WhenAll(tasks);
 
@@ -468,7 +494,7 @@ public sealed class TurboService : ITurbo
             return;
         }
 
-        await _hubContext.Clients
+        await _hubContext().Clients
             .AllExcept(new[] { excludedConnectionId })
             .SendAsync(TurboHub.TurboStreamMethod, html);
 
@@ -496,6 +522,31 @@ public sealed class TurboService : ITurbo
         return Broadcast(builder => builder.Refresh(requestId), excludedConnectionId);
     }
 
+    /// <summary>
+    /// Sends Turbo Stream HTML to a stream's subscribers, tagged with the stream's next sequence number
+    /// when a backlog is available.
+    /// </summary>
+    /// <param name="streamName">The stream to send to.</param>
+    /// <param name="html">The Turbo Stream HTML.</param>
+    /// <param name="excludedConnectionId">A connection to exclude from the broadcast, or null.</param>
+    private Task SendToStreamAsync(string streamName, string html, string? excludedConnectionId)
+    {
+        IHubClients hubClients = _hubContext().Clients;
+        IClientProxy clients = string.IsNullOrEmpty(excludedConnectionId)
+            ? hubClients.Group(streamName)
+            : hubClients.GroupExcept(streamName, new[] { excludedConnectionId });
+
+        if (_backlog == null)
+        {
+            return clients.SendAsync(TurboHub.TurboStreamMethod, html);
+        }
+
+        long sequence = _backlog.Append(streamName, html, excludedConnectionId);
+        var info = new TurboStreamMessageInfo(streamName, sequence);
+
+        return clients.SendAsync(TurboHub.TurboStreamMethod, html, info);
+    }
+
     /// <summary>
     /// Builds the Turbo Stream HTML from the builder action.
     /// </summary>
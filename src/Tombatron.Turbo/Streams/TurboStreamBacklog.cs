@@ -0,0 +1,275 @@
+using System.Collections.Concurrent;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// Assigns per-stream sequence numbers to Turbo Stream messages and keeps a bounded
+/// backlog of recent messages so reconnecting clients can replay what they missed.
+/// </summary>
+/// <remarks>
+/// Sequence numbers start at 1 for each stream and are kept in memory, so they reset when
+/// the application restarts. Clients that report a sequence the backlog cannot cover are
+/// told to refresh the page instead.
+/// <para>
+/// Streams that are not used for <see cref="TurboOptions.StreamBacklogIdleTimeout"/> are
+/// forgotten. A stream that is used again continues numbering above every forgotten
+/// sequence, so a client that still holds an old sequence is told to refresh rather than
+/// being replayed the wrong messages.
+/// </para>
+/// </remarks>
+public sealed class TurboStreamBacklog
+{
+    private static readonly TimeSpan MaxSweepInterval = TimeSpan.FromMinutes(1);
+
+    private readonly ConcurrentDictionary<string, StreamLog> _streams = new(StringComparer.Ordinal);
+    private readonly object _sweepLock = new();
+    private readonly int _capacity;
+    private readonly TimeSpan? _idleTimeout;
+    private readonly TimeProvider _timeProvider;
+    private long _forgottenSequence;
+    private DateTimeOffset _lastSweep;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TurboStreamBacklog"/> class.
+    /// </summary>
+    /// <param name="options">The Turbo options. <see cref="TurboOptions.StreamBacklogSize"/> bounds the backlog per stream.</param>
+    public TurboStreamBacklog(TurboOptions options)
+        : this(options, TimeProvider.System)
+    {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TurboStreamBacklog"/> class with a custom clock.
+    /// </summary>
+    /// <param name="options">The Turbo options.</param>
+    /// <param name="timeProvider">The clock used to find idle streams.</param>
+    internal TurboStreamBacklog(TurboOptions options, TimeProvider timeProvider)
+    {
+        ArgumentNullException.ThrowIfNull(options);
+        ArgumentNullException.ThrowIfNull(timeProvider);
+
+        _capacity = options.StreamBacklogSize;
+        _idleTimeout = options.StreamBacklogIdleTimeout;
+        _timeProvider = timeProvider;
+        _lastSweep = timeProvider.GetUtcNow();
+    }
+
+    /// <summary>
+    /// Gets the number of streams currently tracked.
+    /// </summary>
+    public int StreamCount => _streams.Count;
+
+    /// <summary>
+    /// Records a message broadcast to a stream.
+    /// </summary>
+    /// <param name="streamName">The stream the message is broadcast to.</param>
+    /// <param name="html">The Turbo Stream HTML.</param>
+    /// <returns>The sequence number assigned to the message.</returns>
+    public long Append(string streamName, string html) => Append(streamName, html, excludedConnectionId: null);
+
+    /// <summary>
+    /// Records a message broadcast to a stream that skipped one connection.
+    /// </summary>
+    /// <param name="streamName">The stream the message is broadcast to.</param>
+    /// <param name="html">The Turbo Stream HTML.</param>
+    /// <param name="excludedConnectionId">The connection the message was not sent to, or null.</param>
+    /// <returns>The sequence number assigned to the message.</returns>
+    public long Append(string streamName, string html, string? excludedConnectionId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+        ArgumentNullException.ThrowIfNull(html);
+
+        DateTimeOffset now = _timeProvider.GetUtcNow();
+        EvictIdleStreams(now);
+
+        while (true)
+        {
+            StreamLog log = GetOrAddLog(streamName);
+
+            lock (log)
+            {
+                // The sweep may forget the stream between the lookup and the lock.
+                if (log.Evicted)
+                {
+                    continue;
+                }
+
+                log.LastUsed = now;
+                long sequence = ++log.Sequence;
+
+                if (_capacity > 0)
+                {
+                    log.Messages.Enqueue(new TurboStreamBacklogEntry(sequence, html, excludedConnectionId));
+
+                    while (log.Messages.Count > _capacity)
+                    {
+                        log.Messages.Dequeue();
+                    }
+                }
+
+                return sequence;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the sequence number of the last message broadcast to a stream.
+    /// </summary>
+    /// <param name="streamName">The stream name.</param>
+    /// <returns>
+    /// The last sequence number. For a stream with no messages this is 0, or the highest
+    /// sequence of a forgotten stream, which is where the stream's numbering will continue.
+    /// </returns>
+    public long GetCurrentSequence(string streamName)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+
+        if (_streams.TryGetValue(streamName, out StreamLog? log))
+        {
+            lock (log)
+            {
+                if (!log.Evicted)
+                {
+                    log.LastUsed = _timeProvider.GetUtcNow();
+                    return log.Sequence;
+                }
+            }
+        }
+
+        return Interlocked.Read(ref _forgottenSequence);
+    }
+
+    /// <summary>
+    /// Gets the messages broadcast to a stream after the given sequence number.
+    /// </summary>
+    /// <param name="streamName">The stream name.</param>
+    /// <param name="lastSequence">The last sequence number the client received.</param>
+    /// <param name="messages">The missed messages, oldest first.</param>
+    /// <returns>
+    /// True if every missed message is still in the backlog; false if some were dropped
+    /// or the sequence is unknown (for example after an application restart).
+    /// </returns>
+    public bool TryGetMessagesSince(string streamName, long lastSequence, out IReadOnlyList<TurboStreamBacklogEntry> messages)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(streamName);
+
+        messages = Array.Empty<TurboStreamBacklogEntry>();
+
+        if (!_streams.TryGetValue(streamName, out StreamLog? log))
+        {
+            return lastSequence == Interlocked.Read(ref _forgottenSequence);
+        }
+
+        lock (log)
+        {
+            if (log.Evicted)
+            {
+                return lastSequence == Interlocked.Read(ref _forgottenSequence);
+            }
+
+            log.LastUsed = _timeProvider.GetUtcNow();
+
+            if (lastSequence == log.Sequence)
+            {
+                return true;
+            }
+
+            // A sequence below the stream's starting point may belong to messages that were forgotten.
+            if (lastSequence < log.FirstSequence || lastSequence > log.Sequence)
+            {
+                return false;
+            }
+
+            long firstBuffered = log.Messages.Count > 0 ? log.Messages.Peek().Sequence : log.Sequence + 1;
+
+            if (firstBuffered > lastSequence + 1)
+            {
+                return false;
+            }
+
+            messages = log.Messages.Where(m => m.Sequence > lastSequence).ToArray();
+            return true;
+        }
+    }
+
+    private StreamLog GetOrAddLog(string streamName)
+    {
+        if (_streams.TryGetValue(streamName, out StreamLog? log))
+        {
+            return log;
+        }
+
+        lock (_sweepLock)
+        {
+            long start = _forgottenSequence;
+            DateTimeOffset now = _timeProvider.GetUtcNow();
+            return _streams.GetOrAdd(streamName, _ => new StreamLog { FirstSequence = start, Sequence = start, LastUsed = now });
+        }
+    }
+
+    /// <summary>
+    /// Forgets streams that have not been used within the idle timeout. Runs at most once per sweep interval.
+    /// </summary>
+    /// <param name="now">The current time.</param>
+    private void EvictIdleStreams(DateTimeOffset now)
+    {
+        if (_idleTimeout is not { } idleTimeout)
+        {
+            return;
+        }
+
+        TimeSpan sweepInterval = idleTimeout < MaxSweepInterval ? idleTimeout : MaxSweepInterval;
+
+        lock (_sweepLock)
+        {
+            if (now - _lastSweep < sweepInterval)
+            {
+                return;
+            }
+
+            _lastSweep = now;
+
+            foreach (KeyValuePair<string, StreamLog> entry in _streams)
+            {
+                StreamLog log = entry.Value;
+
+                lock (log)
+                {
+                    if (now - log.LastUsed < idleTimeout)
+                    {
+                        continue;
+                    }
+
+                    log.Evicted = true;
+                    _streams.TryRemove(entry);
+
+                    if (log.Sequence > _forgottenSequence)
+                    {
+                        Interlocked.Exchange(ref _forgottenSequence, log.Sequence);
+                    }
+                }
+            }
+        }
+    }
+
+    private sealed class StreamLog
+    {
+        public long FirstSequence { get; init; }
+
+        public long Sequence { get; set; }
+
+        public DateTimeOffset LastUsed { get; set; }
+
+        public bool Evicted { get; set; }
+
+        public Queue<TurboStreamBacklogEntry> Messages { get; } = new();
+    }
+}
+
+/// <summary>
+/// A message kept in the <see cref="TurboStreamBacklog"/>.
+/// </summary>
+/// <param name="Sequence">The per-stream sequence number of the message.</param>
+/// <param name="Html">The Turbo Stream HTML.</param>
+/// <param name="ExcludedConnectionId">The connection the message was not sent to, which is not replayed to it either.</param>
+public readonly record struct TurboStreamBacklogEntry(long Sequence, string Html, string? ExcludedConnectionId = null);
@@ -0,0 +1,23 @@
+using System.Runtime.Serialization;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// Metadata sent alongside the HTML of a Turbo Stream message broadcast to a stream.
+/// </summary>
+/// <remarks>
+/// Sent as the second argument of the <see cref="TurboHub.TurboStreamMethod"/> client method.
+/// The client tracks <see cref="Sequence"/> per stream and reports it to
+/// <see cref="TurboHub.Resubscribe"/> after reconnecting.
+/// </remarks>
+/// <param name="Stream">The stream the message was broadcast to.</param>
+/// <param name="Sequence">The per-stream sequence number of the message.</param>
+/// <param name="Reset">
+/// True when the message replaces the client's history, such as the refresh sent when missed
+/// messages cannot be replayed. The client adopts <see cref="Sequence"/> as its last seen sequence.
+/// </param>
+[DataContract]
+public sealed record TurboStreamMessageInfo(
+    [property: DataMember(Name = "stream")] string Stream,
+    [property: DataMember(Name = "sequence")] long Sequence,
+    [property: DataMember(Name = "reset")] bool Reset = false);
@@ -0,0 +1,24 @@
+using System.Runtime.Serialization;
+
+namespace Tombatron.Turbo.Streams;
+
+/// <summary>
+/// The outcome of a stream subscription, returned by <see cref="TurboHub.SubscribeWithSequence"/> and
+/// <see cref="TurboHub.SubscribeMany"/>.
+/// </summary>
+/// <remarks>
+/// The client keeps <see cref="Sequence"/> as the stream's last seen sequence, so it can pass it
+/// to <see cref="TurboHub.Resubscribe"/> after a reconnect even when no message arrived in between.
+/// </remarks>
+/// <param name="Subscribed">True if the subscription was successful; false if unauthorized.</param>
+/// <param name="Sequence">The sequence number of the last message broadcast to the stream when it was subscribed.</param>
+[DataContract]
+public sealed record TurboSubscribeResult(
+    [property: DataMember(Name = "subscribed")] bool Subscribed,
+    [property: DataMember(Name = "sequence")] long Sequence)
+{
+    /// <summary>
+    /// Gets the result of a subscription that was denied.
+    /// </summary>
+    public static TurboSubscribeResult Denied { get; } = new(false, 0);
+}
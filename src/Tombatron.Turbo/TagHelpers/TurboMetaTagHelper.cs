@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Microsoft.AspNetCore.Razor.TagHelpers;
 
 namespace Tombatron.Turbo.TagHelpers;
@@ -16,10 +17,23 @@ namespace Tombatron.Turbo.TagHelpers;
 /// &lt;meta name="turbo-refresh-scroll" content="preserve"&gt;
 /// &lt;meta name="turbo-cache-control" content="no-cache"&gt;
 /// </code>
+/// Adding <c>signalr-reconnect="true"</c> also emits the SignalR reconnect policy configured in
+/// <see cref="TurboOptions"/> so the client bridge honors the server-side settings.
 /// </remarks>
 [HtmlTargetElement("turbo-meta", TagStructure = TagStructure.WithoutEndTag)]
 public class TurboMetaTagHelper : TagHelper
 {
+    private readonly TurboOptions _options;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TurboMetaTagHelper"/> class.
+    /// </summary>
+    /// <param name="options">The Turbo options.</param>
+    public TurboMetaTagHelper(TurboOptions options)
+    {
+        _options = options ?? throw new ArgumentNullException(nameof(options));
+    }
+
     /// <summary>
     /// The refresh method to use. Emits a <c>&lt;meta name="turbo-refresh-method"&gt;</c> tag.
     /// </summary>
@@ -44,6 +58,13 @@ public class TurboMetaTagHelper : TagHelper
     [HtmlAttributeName("visit-control")]
     public string? VisitControl { get; set; }
 
+    /// <summary>
+    /// Whether to emit the SignalR reconnect policy from <see cref="TurboOptions"/>.
+    /// Emits a <c>&lt;meta name="turbo-signalr-reconnect"&gt;</c> tag read by the SignalR bridge.
+    /// </summary>
+    [HtmlAttributeName("signalr-reconnect")]
+    public bool SignalRReconnect { get; set; }
+
     /// <inheritdoc />
     public override void Process(TagHelperContext context, TagHelperOutput output)
     {
@@ -71,5 +92,28 @@ public class TurboMetaTagHelper : TagHelper
         {
             output.PostElement.AppendHtml($"<meta name=\"turbo-visit-control\" content=\"{System.Text.Encodings.Web.HtmlEncoder.Default.Encode(VisitControl)}\">");
         }
+
+        if (SignalRReconnect)
+        {
+            output.PostElement.AppendHtml($"<meta name=\"turbo-signalr-reconnect\" content=\"{System.Text.Encodings.Web.HtmlEncoder.Default.Encode(BuildReconnectPolicyJson())}\">");
+        }
+    }
+
+    /// <summary>
+    /// Serializes the reconnect settings from <see cref="TurboOptions"/> into the JSON shape expected by the client.
+    /// </summary>
+    /// <returns>The reconnect policy as a JSON string. Delays are expressed in milliseconds.</returns>
+    internal string BuildReconnectPolicyJson()
+    {
+        var policy = new
+        {
+            enabled = _options.EnableAutoReconnect,
+            maxAttempts = _options.MaxReconnectAttempts,
+            baseDelay = (long)_options.ReconnectBaseDelay.TotalMilliseconds,
+            maxDelay = (long)_options.ReconnectMaxDelay.TotalMilliseconds,
+            jitter = _options.ReconnectJitter
+        };
+
+        return JsonSerializer.Serialize(policy);
     }
 }
@@ -28,6 +28,9 @@ public class TurboScriptsTagHelper : TagHelper
     internal const string BridgeBundledMinJs = "turbo-signalr.bundled.min.js";
     internal const string BridgeBundledJs = "turbo-signalr.bundled.js";
     internal const string BridgeBundledEsmJs = "turbo-signalr.bundled.esm.js";
+    internal const string BridgeBundledMsgPackMinJs = "turbo-signalr.bundled.msgpack.min.js";
+    internal const string BridgeBundledMsgPackJs = "turbo-signalr.bundled.msgpack.js";
+    internal const string BridgeBundledMsgPackEsmJs = "turbo-signalr.bundled.msgpack.esm.js";
 
     private readonly IWebHostEnvironment _environment;
     private readonly TurboOptions _options;
@@ -87,7 +90,9 @@ public class TurboScriptsTagHelper : TagHelper
 
             if (IsBridgeEntry(entry.Value.Path))
             {
-                string bridgeFile = isDevelopment ? BridgeBundledJs : BridgeBundledMinJs;
+                string bridgeFile = IsMessagePackEntry(entry.Value.Path)
+                    ? (isDevelopment ? BridgeBundledMsgPackJs : BridgeBundledMsgPackMinJs)
+                    : (isDevelopment ? BridgeBundledJs : BridgeBundledMinJs);
                 sb.AppendLine($"<script src=\"{ContentPathPrefix}{bridgeFile}\"></script>");
             }
             else
@@ -150,4 +155,7 @@ public class TurboScriptsTagHelper : TagHelper
     private static bool IsBridgeEntry(string path) =>
         path.StartsWith(ContentPathPrefix, StringComparison.OrdinalIgnoreCase) &&
         path.Contains("turbo-signalr", StringComparison.OrdinalIgnoreCase);
+
+    private static bool IsMessagePackEntry(string path) =>
+        path.Contains("msgpack", StringComparison.OrdinalIgnoreCase);
 }
@@ -61,7 +61,47 @@ public static class TurboApplicationBuilderExtensions
     /// app.MapTurboHub("/my-turbo-hub");
     /// </code>
     /// </example>
-    public static HubEndpointConventionBuilder MapTurboHub(this IEndpointRouteBuilder endpoints, Action<HttpConnectionDispatcherOptions>? configureOptions = null)
+    public static HubEndpointConventionBuilder MapTurboHub(this IEndpointRouteBuilder endpoints, Action<HttpConnectionDispatcherOptions>? configureOptions = null) =>
+        endpoints.MapTurboHub<TurboHub>(configureOptions);
+
+    /// <summary>
+    /// Maps the Turbo SignalR hub to a custom path.
+    /// </summary>
+    /// <param name="endpoints">The <see cref="IEndpointRouteBuilder"/> to add the hub to.</param>
+    /// <param name="path">The path to map the hub to.</param>
+    /// <param name="configureOptions">An optional callback to configure <see cref="HttpConnectionDispatcherOptions"/> for the hub endpoint.</param>
+    /// <returns>The hub endpoint convention builder for further configuration.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when endpoints or path is null.</exception>
+    /// <exception cref="ArgumentException">Thrown when path is empty or whitespace.</exception>
+    /// <example>
+    /// <code>
+    /// app.MapTurboHub("/custom-turbo-hub");
+    /// </code>
+    /// </example>
+    public static HubEndpointConventionBuilder MapTurboHub(this IEndpointRouteBuilder endpoints, string path, Action<HttpConnectionDispatcherOptions>? configureOptions = null) =>
+        endpoints.MapTurboHub<TurboHub>(path, configureOptions);
+
+    /// <summary>
+    /// Maps a hub derived from <see cref="TurboHub"/> to the configured path.
+    /// </summary>
+    /// <remarks>
+    /// Use a derived hub to add methods that clients call with the <c>data-turbo-signalr-invoke</c>
+    /// attribute. The derived hub keeps the stream subscription methods of <see cref="TurboHub"/>,
+    /// and <see cref="ITurbo"/> broadcasts through it. Map only one hub type per application.
+    /// </remarks>
+    /// <typeparam name="THub">The hub type.</typeparam>
+    /// <param name="endpoints">The <see cref="IEndpointRouteBuilder"/> to add the hub to.</param>
+    /// <param name="configureOptions">An optional callback to configure <see cref="HttpConnectionDispatcherOptions"/> for the hub endpoint.</param>
+    /// <returns>The hub endpoint convention builder for further configuration.</returns>
+    /// <exception cref="ArgumentNullException">Thrown when endpoints is null.</exception>
+    /// <exception cref="InvalidOperationException">Thrown when a different hub type has already been mapped.</exception>
+    /// <example>
+    /// <code>
+    /// app.MapTurboHub&lt;TodoHub&gt;();
+    /// </code>
+    /// </example>
+    public static HubEndpointConventionBuilder MapTurboHub<THub>(this IEndpointRouteBuilder endpoints, Action<HttpConnectionDispatcherOptions>? configureOptions = null)
+        where THub : TurboHub
     {
         if (endpoints == null)
         {
@@ -69,30 +109,34 @@ public static class TurboApplicationBuilderExtensions
         }
 
         var options = endpoints.ServiceProvider.GetRequiredService<TurboOptions>();
+        endpoints.ServiceProvider.GetRequiredService<TurboHubContextResolver>().Use<THub>();
 
         if (configureOptions != null)
         {
-            return endpoints.MapHub<TurboHub>(options.HubPath, configureOptions);
+            return endpoints.MapHub<THub>(options.HubPath, configureOptions);
         }
 
-        return endpoints.MapHub<TurboHub>(options.HubPath);
+        return endpoints.MapHub<THub>(options.HubPath);
     }
 
     /// <summary>
-    /// Maps the Turbo SignalR hub to a custom path.
+    /// Maps a hub derived from <see cref="TurboHub"/> to a custom path.
     /// </summary>
+    /// <typeparam name="THub">The hub type.</typeparam>
     /// <param name="endpoints">The <see cref="IEndpointRouteBuilder"/> to add the hub to.</param>
     /// <param name="path">The path to map the hub to.</param>
     /// <param name="configureOptions">An optional callback to configure <see cref="HttpConnectionDispatcherOptions"/> for the hub endpoint.</param>
     /// <returns>The hub endpoint convention builder for further configuration.</returns>
     /// <exception cref="ArgumentNullException">Thrown when endpoints or path is null.</exception>
     /// <exception cref="ArgumentException">Thrown when path is empty or whitespace.</exception>
+    /// <exception cref="InvalidOperationException">Thrown when a different hub type has already been mapped.</exception>
     /// <example>
     /// <code>
-    /// app.MapTurboHub("/custom-turbo-hub");
+    /// app.MapTurboHub&lt;TodoHub&gt;("/todo-hub");
     /// </code>
     /// </example>
-    public static HubEndpointConventionBuilder MapTurboHub(this IEndpointRouteBuilder endpoints, string path, Action<HttpConnectionDispatcherOptions>? configureOptions = null)
+    public static HubEndpointConventionBuilder MapTurboHub<THub>(this IEndpointRouteBuilder endpoints, string path, Action<HttpConnectionDispatcherOptions>? configureOptions = null)
+        where THub : TurboHub
     {
         if (endpoints == null)
         {
@@ -109,11 +153,13 @@ public static class TurboApplicationBuilderExtensions
             throw new ArgumentException("Path cannot be empty or whitespace.", nameof(path));
         }
 
+        endpoints.ServiceProvider.GetRequiredService<TurboHubContextResolver>().Use<THub>();
+
         if (configureOptions != null)
         {
-            return endpoints.MapHub<TurboHub>(path, configureOptions);
+            return endpoints.MapHub<THub>(path, configureOptions);
         }
 
-        return endpoints.MapHub<TurboHub>(path);
+        return endpoints.MapHub<THub>(path);
     }
 }
@@ -63,6 +63,40 @@ public sealed class TurboOptions
     /// </summary>
     public int MaxReconnectAttempts { get; set; } = 5;
 
+    /// <summary>
+    /// Gets or sets the delay before the first reconnection attempt.
+    /// Subsequent attempts double this delay up to <see cref="ReconnectMaxDelay"/>.
+    /// Default is 1 second.
+    /// </summary>
+    public TimeSpan ReconnectBaseDelay { get; set; } = TimeSpan.FromSeconds(1);
+
+    /// <summary>
+    /// Gets or sets the maximum delay between reconnection attempts.
+    /// Default is 30 seconds.
+    /// </summary>
+    public TimeSpan ReconnectMaxDelay { get; set; } = TimeSpan.FromSeconds(30);
+
+    /// <summary>
+    /// Gets or sets the random jitter applied to each reconnection delay, as a fraction
+    /// of the delay between 0 and 1. Jitter spreads out reconnecting clients after a server restart.
+    /// Default is 0 (no jitter).
+    /// </summary>
+    public double ReconnectJitter { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of recent messages kept per stream for replay to reconnecting clients.
+    /// Clients that missed more messages than this are told to refresh the page instead.
+    /// Set to 0 to disable replay. Default is 50.
+    /// </summary>
+    public int StreamBacklogSize { get; set; } = 50;
+
+    /// <summary>
+    /// Gets or sets how long a stream can go without messages or subscriptions before its
+    /// backlog and sequence number are forgotten. Clients that reconnect to a forgotten stream
+    /// are told to refresh the page. Set to null to keep every stream. Default is 1 hour.
+    /// </summary>
+    public TimeSpan? StreamBacklogIdleTimeout { get; set; } = TimeSpan.FromHours(1);
+
     /// <summary>
     /// Gets the import map configuration for JavaScript module imports.
     /// Use <see cref="ImportMapConfiguration.Pin"/> to add module entries.
@@ -99,5 +133,30 @@ public sealed class TurboOptions
         {
             throw new InvalidOperationException("MaxReconnectAttempts cannot be negative.");
         }
+
+        if (StreamBacklogSize < 0)
+        {
+            throw new InvalidOperationException("StreamBacklogSize cannot be negative.");
+        }
+
+        if (StreamBacklogIdleTimeout <= TimeSpan.Zero)
+        {
+            throw new InvalidOperationException("StreamBacklogIdleTimeout must be positive.");
+        }
+
+        if (ReconnectBaseDelay < TimeSpan.Zero)
+        {
+            throw new InvalidOperationException("ReconnectBaseDelay cannot be negative.");
+        }
+
+        if (ReconnectMaxDelay < ReconnectBaseDelay)
+        {
+            throw new InvalidOperationException("ReconnectMaxDelay cannot be less than ReconnectBaseDelay.");
+        }
+
+        if (ReconnectJitter < 0 || ReconnectJitter > 1)
+        {
+            throw new InvalidOperationException("ReconnectJitter must be between 0 and 1.");
+        }
     }
 }
@@ -1,5 +1,8 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.SignalR;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.DependencyInjection.Extensions;
+using Microsoft.Extensions.Logging;
 using Tombatron.Turbo.Rendering;
 using Tombatron.Turbo.Streams;
 
@@ -58,14 +61,22 @@ public static class TurboServiceCollectionExtensions
         options.Validate();
 
         services.AddSingleton(options);
-        services.AddSignalR();
+        services.AddSignalR(hubOptions => hubOptions.AddFilter<TurboHubErrorFilter>());
 
         // Register IHttpContextAccessor for TurboTagHelper
         services.AddHttpContextAccessor();
 
         // Register Turbo Streams services
         services.TryAddSingleton<ITurboStreamAuthorization, DefaultTurboStreamAuthorization>();
-        services.AddSingleton<ITurbo, TurboService>();
+        services.AddSingleton<TurboStreamBacklog>();
+        services.AddSingleton<TurboPresenceTracker>();
+        services.AddSingleton<TurboHubContextResolver>();
+        services.AddSingleton<ITurbo>(provider => new TurboService(
+            provider.GetRequiredService<TurboHubContextResolver>(),
+            provider.GetRequiredService<ILogger<TurboService>>(),
+            provider.GetRequiredService<IPartialRenderer>(),
+            provider.GetRequiredService<IHttpContextAccessor>(),
+            provider.GetRequiredService<TurboStreamBacklog>()));
 
         // Register partial rendering service
         services.AddSingleton<IPartialRenderer, PartialRenderer>();
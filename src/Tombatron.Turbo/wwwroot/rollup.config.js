@@ -34,6 +34,18 @@ export default [
     plugins: []
   },
 
+  // ESM build with the MessagePack hub protocol (SignalR and msgpack as peers)
+  {
+    input: 'src/turbo-stream-source-signalr.msgpack.js',
+    output: {
+      file: 'dist/turbo-signalr.msgpack.esm.js',
+      format: 'esm',
+      sourcemap: true
+    },
+    external: ['@microsoft/signalr', '@microsoft/signalr-protocol-msgpack'],
+    plugins: []
+  },
+
   // ===========================================
   // NUGET BUILDS (SignalR bundled, self-contained)
   // ===========================================
@@ -78,5 +90,47 @@ export default [
       resolve(),
       terser()
     ]
+  },
+
+  // ESM build with SignalR and the MessagePack hub protocol bundled
+  {
+    input: 'src/turbo-stream-source-signalr.msgpack.js',
+    output: {
+      file: 'dist/turbo-signalr.bundled.msgpack.esm.js',
+      format: 'esm',
+      sourcemap: true
+    },
+    plugins: [
+      resolve()
+    ]
+  },
+
+  // UMD build with SignalR and the MessagePack hub protocol bundled
+  {
+    input: 'src/turbo-stream-source-signalr.msgpack.js',
+    output: {
+      file: 'dist/turbo-signalr.bundled.msgpack.js',
+      format: 'umd',
+      name: 'TurboSignalR',
+      sourcemap: true
+    },
+    plugins: [
+      resolve()
+    ]
+  },
+
+  // Minified UMD with SignalR and the MessagePack hub protocol bundled
+  {
+    input: 'src/turbo-stream-source-signalr.msgpack.js',
+    output: {
+      file: 'dist/turbo-signalr.bundled.msgpack.min.js',
+      format: 'umd',
+      name: 'TurboSignalR',
+      sourcemap: true
+    },
+    plugins: [
+      resolve(),
+      terser()
+    ]
   }
 ];
@@ -11,294 +11,3722 @@
 
 import * as signalR from '@microsoft/signalr';
 
-// Singleton connection manager
+/**
+ * Hub URL used when an element has no hub-url attribute.
+ */
+const DEFAULT_HUB_URL = '/turbo-hub';
+
+/**
+ * Reconnect policy used when neither the element nor a meta tag provides one.
+ * Mirrors the defaults of TurboOptions on the server.
+ */
+const DEFAULT_RECONNECT_POLICY = Object.freeze({
+    enabled: true,
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0
+});
+
+/**
+ * Transport names accepted by the transport attribute and configure().
+ */
+const TRANSPORT_NAMES = Object.freeze({
+    websockets: 'WebSockets',
+    serversentevents: 'ServerSentEvents',
+    longpolling: 'LongPolling'
+});
+
+/**
+ * Global connection settings set through configure().
+ * @type {{ transport?: string|string[]|number, skipNegotiation?: boolean, withCredentials?: boolean, reconnect?: object, accessTokenFactory?: Function, protocol?: string, invokeMethods?: string[], shareConnection?: boolean, hiddenQueue?: object|boolean, batchRendering?: boolean, pauseWhenHidden?: object|boolean, unsubscribeDelay?: number }}
+ */
+const globalSettings = {};
+
+/**
+ * Hub protocol factories by name, added by registerHubProtocol().
+ * The JSON protocol is built into SignalR and needs no registration.
+ * @type {Map<string, function(): signalR.IHubProtocol>}
+ */
+const hubProtocols = new Map();
+
+/**
+ * Reads and parses the JSON content of a named meta tag.
+ * @param {string} name - The meta tag name
+ * @returns {object|null} The parsed content, or null if missing or invalid
+ */
+function readMetaConfig(name) {
+    if (typeof document === 'undefined') {
+        return null;
+    }
+
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    if (!meta) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(meta.getAttribute('content'));
+    } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn(`Ignoring invalid JSON in <meta name="${name}">:`, error);
+        return null;
+    }
+}
+
+/**
+ * Reads the content of a named meta tag.
+ * @param {string} name - The meta tag name
+ * @returns {string|null} The content, or null if the meta tag is missing
+ */
+function readMetaContent(name) {
+    if (typeof document === 'undefined') {
+        return null;
+    }
+
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.getAttribute('content') : null;
+}
+
+/**
+ * Whether an error was caused by the server rejecting the access token.
+ * SignalR reports negotiate failures as plain errors whose message carries the status code.
+ * @param {*} error - The error to inspect
+ * @returns {boolean}
+ */
+function isUnauthorizedError(error) {
+    if (!error) {
+        return false;
+    }
+
+    return error.statusCode === 401 || /\b401\b/.test(String(error.message));
+}
+
+/**
+ * Stable codes for subscription failures, found in the code of a TurboStreamError and
+ * in the detail of turbo:stream:error and turbo:stream:unauthorized events.
+ */
+const ERROR_CODES = Object.freeze({
+    NETWORK_ERROR: 'network_error',
+    UNAUTHORIZED: 'unauthorized',
+    FORBIDDEN: 'forbidden',
+    METHOD_NOT_FOUND: 'method_not_found',
+    STREAM_NAME_INVALID: 'stream_name_invalid',
+    RATE_LIMITED: 'rate_limited',
+    BATCH_TOO_LARGE: 'batch_too_large',
+    SERVER_ERROR: 'server_error',
+    SUBSCRIPTION_DENIED: 'subscription_denied'
+});
+
+/**
+ * Error for a failed subscription, with one of ERROR_CODES as its code.
+ * The original error is kept as the cause.
+ */
+class TurboStreamError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES, or a code sent by the hub
+     * @param {string} message - The error message
+     * @param {*} [cause] - The error that caused this one
+     */
+    constructor(code, message, cause) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'TurboStreamError';
+        this.code = code;
+    }
+}
+
+/**
+ * Gets the HTTP status code of a failed request. SignalR reports negotiate failures as
+ * plain errors whose message carries the status code.
+ * @param {*} error - The error to inspect
+ * @returns {number|null}
+ */
+function getStatusCode(error) {
+    if (typeof error?.statusCode === 'number') {
+        return error.statusCode;
+    }
+
+    const match = /Status code '(\d{3})'/.exec(String(error?.message));
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Classifies an error from subscribing to a stream. Errors the hub raises as a HubException
+ * whose message starts with "code: " keep that code.
+ * @param {*} error - The error to classify
+ * @returns {TurboStreamError}
+ */
+function toStreamError(error) {
+    if (error instanceof TurboStreamError) {
+        return error;
+    }
+
+    const message = String(error?.message ?? error);
+    const hubCode = /HubException: ([a-z_]+): /.exec(message);
+    const status = getStatusCode(error);
+    let code = ERROR_CODES.NETWORK_ERROR;
+
+    if (hubCode) {
+        code = hubCode[1];
+    } else if (/Method does not exist/i.test(message)) {
+        code = ERROR_CODES.METHOD_NOT_FOUND;
+    } else if (status === 401 || isUnauthorizedError(error)) {
+        code = ERROR_CODES.UNAUTHORIZED;
+    } else if (status === 403) {
+        code = ERROR_CODES.FORBIDDEN;
+    } else if (status === 429) {
+        code = ERROR_CODES.RATE_LIMITED;
+    } else if ((status !== null && status >= 500) || /on the server|HubException/.test(message)) {
+        code = ERROR_CODES.SERVER_ERROR;
+    }
+
+    return new TurboStreamError(code, message, error);
+}
+
+/**
+ * Parses a numeric attribute, returning undefined when absent or not a number.
+ * @param {Element} element - The element to read from
+ * @param {string} name - The attribute name
+ * @returns {number|undefined}
+ */
+function readNumberAttribute(element, name) {
+    const value = element.getAttribute(name);
+    if (value === null || value.trim() === '') {
+        return undefined;
+    }
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Resolves the reconnect policy for a connection.
+ * Element attributes take precedence over the turbo-signalr-reconnect meta tag,
+ * which takes precedence over the defaults.
+ * @param {Element|null} element - The element requesting the connection
+ * @returns {{ enabled: boolean, maxAttempts: number, baseDelay: number, maxDelay: number, jitter: number }}
+ */
+function resolveReconnectPolicy(element = null) {
+    const policy = {
+        ...DEFAULT_RECONNECT_POLICY,
+        ...readMetaConfig('turbo-signalr-reconnect'),
+        ...globalSettings.reconnect
+    };
+
+    if (element) {
+        const reconnect = element.getAttribute('reconnect');
+        if (reconnect !== null) {
+            policy.enabled = reconnect !== 'false' && reconnect !== 'off';
+        }
+
+        const overrides = {
+            maxAttempts: readNumberAttribute(element, 'reconnect-attempts'),
+            baseDelay: readNumberAttribute(element, 'reconnect-base-delay'),
+            maxDelay: readNumberAttribute(element, 'reconnect-max-delay'),
+            jitter: readNumberAttribute(element, 'reconnect-jitter')
+        };
+
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value !== undefined) {
+                policy[key] = value;
+            }
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * Converts transport names into a SignalR HttpTransportType bit mask.
+ * @param {string|string[]|number} value - A transport mask, a name, or a comma-separated list or array of names
+ * @returns {number|undefined} The transport mask, or undefined if no valid transport was given
+ */
+function parseTransport(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const names = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    let transport = signalR.HttpTransportType.None;
+
+    for (const name of names) {
+        if (!name) {
+            continue;
+        }
+
+        const key = TRANSPORT_NAMES[name.toLowerCase()];
+        if (key) {
+            transport |= signalR.HttpTransportType[key];
+        } else {
+            // eslint-disable-next-line no-console
+            console.warn(`Ignoring unknown SignalR transport "${name}".`);
+        }
+    }
+
+    return transport === signalR.HttpTransportType.None ? undefined : transport;
+}
+
+/**
+ * Resolves the HttpConnectionOptions for a connection.
+ * Element attributes take precedence over settings from configure().
+ * @param {Element|null} element - The element requesting the connection
+ * @returns {signalR.IHttpConnectionOptions}
+ */
+function resolveHttpOptions(element = null) {
+    const settings = { ...globalSettings };
+
+    if (element) {
+        if (element.hasAttribute('transport')) {
+            settings.transport = element.getAttribute('transport');
+        }
+
+        if (element.hasAttribute('skip-negotiation')) {
+            settings.skipNegotiation = element.getAttribute('skip-negotiation') !== 'false';
+        }
+
+        if (element.hasAttribute('with-credentials')) {
+            settings.withCredentials = element.getAttribute('with-credentials') !== 'false';
+        }
+    }
+
+    const httpOptions = {};
+
+    if (settings.transport !== undefined && settings.transport !== null) {
+        const transport = parseTransport(settings.transport);
+        if (transport !== undefined) {
+            httpOptions.transport = transport;
+        }
+    }
+
+    if (settings.skipNegotiation) {
+        if (httpOptions.transport === signalR.HttpTransportType.WebSockets) {
+            httpOptions.skipNegotiation = true;
+        } else {
+            // eslint-disable-next-line no-console
+            console.warn('skip-negotiation requires the transport to be exactly "websockets" and has been ignored.');
+        }
+    }
+
+    if (typeof settings.withCredentials === 'boolean') {
+        httpOptions.withCredentials = settings.withCredentials;
+    }
+
+    return httpOptions;
+}
+
+/**
+ * Resolves the hub protocol name for a connection.
+ * The protocol attribute takes precedence over configure().
+ * @param {Element|null} element - The element requesting the connection
+ * @returns {string} The lower-cased protocol name; 'json' by default
+ */
+function resolveProtocol(element = null) {
+    const protocol = (element && element.getAttribute('protocol')) || globalSettings.protocol || 'json';
+    return protocol.trim().toLowerCase();
+}
+
+/**
+ * Resolves every connection option declared on an element or set globally.
+ * @param {Element|null} element - The element requesting the connection
+ * @returns {{ reconnect: object, http: signalR.IHttpConnectionOptions, protocol: string }}
+ */
+function resolveConnectionOptions(element = null) {
+    return {
+        reconnect: resolveReconnectPolicy(element),
+        http: resolveHttpOptions(element),
+        protocol: resolveProtocol(element)
+    };
+}
+
+/**
+ * Name of the BroadcastChannel, and prefix of the Web Lock, used to share connections between tabs.
+ */
+const SHARED_CONNECTION_NAME = 'turbo-signalr';
+
+/**
+ * Whether tabs should share hub connections, from configure({ shareConnection }) or
+ * the turbo-signalr-share-connection meta tag.
+ * @returns {boolean}
+ */
+function isSharingEnabled() {
+    if (globalSettings.shareConnection !== undefined) {
+        return globalSettings.shareConnection === true;
+    }
+
+    return readMetaContent('turbo-signalr-share-connection') === 'true';
+}
+
+/**
+ * Creates a random ID for this tab.
+ * @returns {string}
+ */
+function createTabId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    return Math.random().toString(36).slice(2);
+}
+
+/**
+ * The number of recent sequence numbers kept per stream to recognize messages received twice.
+ */
+const SEEN_SEQUENCE_LIMIT = 100;
+
+/**
+ * Hub methods that markup can never invoke, because the adapter calls them itself.
+ */
+const RESERVED_HUB_METHODS = Object.freeze(['Subscribe', 'SubscribeWithSequence', 'Resubscribe', 'SubscribeMany', 'ResubscribeMany', 'Unsubscribe']);
+
+/**
+ * The most streams sent in one SubscribeMany or ResubscribeMany call. The hub rejects larger
+ * batches with batch_too_large, so longer lists are split.
+ */
+const MAX_SUBSCRIBE_BATCH_SIZE = 100;
+
+/**
+ * Whether markup may invoke a hub method through data-turbo-signalr-invoke.
+ * Methods are allowed with configure({ invokeMethods }) or the turbo-signalr-invoke-methods meta tag.
+ * @param {string} method - The hub method name
+ * @returns {boolean}
+ */
+function isInvokeAllowed(method) {
+    if (RESERVED_HUB_METHODS.includes(method)) {
+        return false;
+    }
+
+    const metaMethods = (readMetaContent('turbo-signalr-invoke-methods') || '').split(/[\s,]+/);
+
+    return (globalSettings.invokeMethods || []).includes(method) || metaMethods.includes(method);
+}
+
+/**
+ * Converts form data to a plain object to pass as a hub method argument.
+ * Repeated fields become arrays of values; files are skipped.
+ * @param {FormData} formData - The form data
+ * @returns {Object<string, string|string[]>}
+ */
+function formDataToObject(formData) {
+    const data = {};
+
+    for (const [name, value] of formData.entries()) {
+        if (typeof value !== 'string') {
+            continue;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(data, name)) {
+            data[name] = value;
+        } else if (Array.isArray(data[name])) {
+            data[name].push(value);
+        } else {
+            data[name] = [data[name], value];
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Computes the delay before the next reconnect attempt.
+ * @param {object} policy - The reconnect policy
+ * @param {number} previousRetryCount - Number of attempts made so far
+ * @returns {number|null} Delay in milliseconds, or null to stop reconnecting
+ */
+function computeReconnectDelay(policy, previousRetryCount) {
+    if (previousRetryCount >= policy.maxAttempts) {
+        return null;
+    }
+
+    // Exponential backoff: base, 2x base, 4x base, ... capped at maxDelay
+    const delay = Math.min(policy.baseDelay * Math.pow(2, previousRetryCount), policy.maxDelay);
+    const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+
+    return Math.round(delay + delay * jitter * Math.random());
+}
+
+/**
+ * Delay used to coalesce page refreshes requested by several streams reconnecting together.
+ */
+const REFRESH_ON_RECONNECT_DELAY = 100;
+
+/**
+ * Refreshes the page through Turbo.
+ * @param {'replace'|'morph'} mode - 'replace' performs a replace visit; 'morph' renders a
+ *   refresh stream action, which morphs when the page sets turbo-refresh-method to morph
+ */
+function refreshPage(mode) {
+    const turbo = typeof window !== 'undefined' ? window.Turbo : undefined;
+
+    if (mode === 'morph' && turbo && typeof turbo.renderStreamMessage === 'function') {
+        turbo.renderStreamMessage('<turbo-stream action="refresh"></turbo-stream>');
+    } else if (turbo && typeof turbo.visit === 'function') {
+        turbo.visit(window.location.href, { action: 'replace' });
+    } else {
+        // eslint-disable-next-line no-console
+        console.warn('Turbo.js is not loaded. The page could not be refreshed.');
+    }
+}
+
+/**
+ * Whether the page is currently in a background tab.
+ * @returns {boolean}
+ */
+function isDocumentHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+}
+
+/**
+ * Queue policy for stream messages received while the page is hidden. Off unless enabled through configure().
+ * The queue is kept in memory only: it is lost when the page unloads, for example when the browser
+ * discards a background tab.
+ */
+const DEFAULT_HIDDEN_QUEUE = Object.freeze({
+    enabled: false,
+    maxSize: 100,
+    collapse: 'latest'
+});
+
+/**
+ * Stream actions made redundant by a later action on the same target: a replace
+ * discards the whole element and an update discards its content.
+ */
+const SUPERSEDED_ACTIONS = Object.freeze({
+    replace: Object.freeze(['replace', 'update', 'append', 'prepend']),
+    update: Object.freeze(['update', 'append', 'prepend'])
+});
+
+/**
+ * Resolves the queue policy for messages received while the page is hidden, from
+ * configure({ hiddenQueue }). Passing true enables it with the defaults; an object enables it
+ * unless it sets enabled to false.
+ * @returns {{ enabled: boolean, maxSize: number, collapse: 'latest'|'none'|Function }}
+ */
+function resolveHiddenQueue() {
+    const setting = globalSettings.hiddenQueue;
+
+    if (!setting) {
+        return DEFAULT_HIDDEN_QUEUE;
+    }
+
+    return { ...DEFAULT_HIDDEN_QUEUE, enabled: true, ...(setting === true ? {} : setting) };
+}
+
+/**
+ * Time a stream stays subscribed on the server after its last reference is released, in
+ * milliseconds. A Turbo Drive visit disconnects the old page's elements just before the new
+ * page's elements subscribe again, so the subscription carries over instead of being replaced.
+ */
+const DEFAULT_UNSUBSCRIBE_DELAY = 1000;
+
+/**
+ * Resolves the unsubscribe delay from configure({ unsubscribeDelay }). Zero unsubscribes immediately.
+ * @returns {number}
+ */
+function resolveUnsubscribeDelay() {
+    const delay = globalSettings.unsubscribeDelay;
+
+    return typeof delay === 'number' && delay >= 0 ? delay : DEFAULT_UNSUBSCRIBE_DELAY;
+}
+
+/**
+ * Policy for pausing subscriptions while the page is hidden. Off unless enabled through configure().
+ */
+const DEFAULT_PAUSE_WHEN_HIDDEN = Object.freeze({
+    enabled: false,
+    delay: 30000,
+    mode: 'unsubscribe',
+    refresh: null
+});
+
+/**
+ * Resolves the pause policy from configure({ pauseWhenHidden }). Passing true enables it
+ * with the defaults; an object enables it unless it sets enabled to false.
+ * @returns {{ enabled: boolean, delay: number, mode: 'unsubscribe'|'disconnect', refresh: 'replace'|'morph'|null }}
+ */
+function resolvePauseWhenHidden() {
+    const setting = globalSettings.pauseWhenHidden;
+
+    if (!setting) {
+        return DEFAULT_PAUSE_WHEN_HIDDEN;
+    }
+
+    const policy = { ...DEFAULT_PAUSE_WHEN_HIDDEN, enabled: true, ...(setting === true ? {} : setting) };
+
+    if (policy.refresh === true) {
+        policy.refresh = 'replace';
+    } else if (policy.refresh !== 'replace' && policy.refresh !== 'morph') {
+        policy.refresh = null;
+    }
+
+    return policy;
+}
+
+/**
+ * Whether messages arriving within one animation frame are rendered together, from
+ * configure({ batchRendering }) or the turbo-signalr-batch-rendering meta tag.
+ * @returns {boolean}
+ */
+function isBatchRenderingEnabled() {
+    if (globalSettings.batchRendering !== undefined) {
+        return globalSettings.batchRendering === true;
+    }
+
+    return readMetaContent('turbo-signalr-batch-rendering') === 'true';
+}
+
+/**
+ * Calls a function before the next repaint, or after a frame's worth of time where
+ * requestAnimationFrame is not available.
+ * @param {Function} callback - The function to call
+ * @returns {{ cancel: Function }}
+ */
+function requestFrame(callback) {
+    if (typeof window !== 'undefined' && typeof window.requestAnimationFrame === 'function') {
+        const id = window.requestAnimationFrame(callback);
+        return { cancel: () => window.cancelAnimationFrame(id) };
+    }
+
+    const id = setTimeout(callback, 16);
+    return { cancel: () => clearTimeout(id) };
+}
+
+/**
+ * Reads the arguments of a TurboStream hub message. TurboHub sends (html, info) to streams
+ * and (html) to broadcasts; hubs may also send (streamName, html) or (streamName, html, info).
+ * @param {Array} args - The arguments the hub sent
+ * @returns {{ html: string, info: { stream?: string, sequence?: number, reset?: boolean }|null }}
+ */
+function readStreamMessage(args) {
+    const [first, second, third] = args;
+
+    if (typeof second === 'string') {
+        return { html: second, info: { ...third, stream: first } };
+    }
+
+    return { html: first, info: second ?? null };
+}
+
+/**
+ * A <turbo-stream> action waiting to be rendered.
+ * @typedef {{ html: string, action: string|null, target: string|null, stream: string|null }} StreamEntry
+ */
+
+/**
+ * Parses the <turbo-stream> elements of Turbo Stream HTML.
+ * @param {string} html - The Turbo Stream HTML
+ * @returns {Element[]}
+ */
+function parseStreamFragment(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    return Array.from(template.content.children).filter((element) => element.localName === 'turbo-stream');
+}
+
+/**
+ * Converts <turbo-stream> elements into entries for the render queues.
+ * @param {Element[]} elements - The <turbo-stream> elements
+ * @param {string|null} stream - The stream the elements were received on
+ * @returns {StreamEntry[]}
+ */
+function toStreamEntries(elements, stream) {
+    return elements.map((element) => ({
+        html: element.outerHTML,
+        action: element.getAttribute('action'),
+        target: element.getAttribute('target'),
+        stream
+    }));
+}
+
+/**
+ * Splits Turbo Stream HTML into its <turbo-stream> elements. HTML without any is kept as one entry.
+ * @param {string} html - The Turbo Stream HTML
+ * @param {string|null} [stream] - The stream the HTML was received on
+ * @returns {StreamEntry[]}
+ */
+function parseStreamElements(html, stream = null) {
+    const elements = parseStreamFragment(html);
+
+    if (elements.length === 0) {
+        return [{ html, action: null, target: null, stream }];
+    }
+
+    return toStreamEntries(elements, stream);
+}
+
+/**
+ * Attribute that marks the container of a stream source with scope="self".
+ */
+const SCOPE_ATTRIBUTE = 'data-turbo-signalr-scope';
+
+/**
+ * Number of containers marked with SCOPE_ATTRIBUTE so far.
+ */
+let scopeCount = 0;
+
+/**
+ * Gets a selector matching a scope container, marking the container on first use.
+ * @param {Element} container - The container
+ * @returns {string}
+ */
+function scopeSelector(container) {
+    if (!container.hasAttribute(SCOPE_ATTRIBUTE)) {
+        scopeCount += 1;
+        container.setAttribute(SCOPE_ATTRIBUTE, String(scopeCount));
+    }
+
+    return `[${SCOPE_ATTRIBUTE}="${container.getAttribute(SCOPE_ATTRIBUTE)}"]`;
+}
+
+/**
+ * Copies a stream action with its target or targets replaced by a targets selector.
+ * @param {StreamEntry} entry - The action
+ * @param {Function} resolve - Builds the targets selector from a selector matching the original targets
+ * @returns {StreamEntry}
+ */
+function retargetStreamEntry(entry, resolve) {
+    const [element] = parseStreamFragment(entry.html);
+    const target = element.getAttribute('target');
+
+    if (target !== null) {
+        element.removeAttribute('target');
+        element.setAttribute('targets', resolve(`[id="${target.replace(/["\\]/g, '\\$&')}"]`));
+    } else {
+        element.setAttribute('targets', resolve(`:is(${element.getAttribute('targets')})`));
+    }
+
+    return { html: element.outerHTML, action: entry.action, target: null, stream: entry.stream };
+}
+
+/**
+ * Copies a stream action with its target or targets resolved inside a container.
+ * @param {StreamEntry} entry - The action
+ * @param {Element} container - The container
+ * @returns {StreamEntry}
+ */
+function scopeStreamEntry(entry, container) {
+    const scope = scopeSelector(container);
+    return retargetStreamEntry(entry, (selector) => `${scope} ${selector}`);
+}
+
+/**
+ * Copies a stream action with its target or targets resolved outside the given containers,
+ * so the unscoped copy does not apply the action a second time inside them.
+ * @param {StreamEntry} entry - The action
+ * @param {Element[]} containers - The containers
+ * @returns {StreamEntry}
+ */
+function unscopeStreamEntry(entry, containers) {
+    const scopes = containers.map(scopeSelector).join(', ');
+    return retargetStreamEntry(entry, (selector) => `${selector}:not(:is(${scopes}) *)`);
+}
+
+/**
+ * Calls a function once Turbo has applied rendered stream actions. Turbo applies them on
+ * the next repaint, or on the next tick while the page is hidden.
+ * @param {Function} callback - The function to call
+ */
+function afterStreamRender(callback) {
+    if (isDocumentHidden()) {
+        setTimeout(callback, 0);
+    } else {
+        requestFrame(callback);
+    }
+}
+
+/**
+ * Drops queued stream actions that a later replace or update on the same target makes redundant.
+ * Actions using the targets attribute are always kept.
+ * @param {StreamEntry[]} entries - Queued actions, oldest first
+ * @returns {StreamEntry[]}
+ */
+function collapseLatest(entries) {
+    const superseded = new Map();
+    const kept = [];
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+
+        if (!entry.target) {
+            kept.push(entry);
+            continue;
+        }
+
+        const dropped = superseded.get(entry.target);
+        if (dropped && dropped.has(entry.action)) {
+            continue;
+        }
+
+        kept.push(entry);
+
+        const actions = SUPERSEDED_ACTIONS[entry.action];
+        if (actions) {
+            superseded.set(entry.target, new Set([...(dropped || []), ...actions]));
+        }
+    }
+
+    return kept.reverse();
+}
+
+/**
+ * Applies a collapse strategy to the queued stream actions.
+ * @param {StreamEntry[]} entries - Queued actions, oldest first
+ * @param {'latest'|'none'|Function} strategy - A strategy name, or a function returning the actions to keep
+ * @returns {StreamEntry[]}
+ */
+function collapseStreamElements(entries, strategy) {
+    if (typeof strategy === 'function') {
+        return strategy(entries);
+    }
+
+    return strategy === 'latest' ? collapseLatest(entries) : entries;
+}
+
+/**
+ * Manages the connection to one SignalR hub: the stream reference counts, reconnection
+ * and resubscription for every stream subscribed through that hub URL.
+ * Instances are created and pooled by connectionManager.
+ */
+class HubConnectionManager {
+    /**
+     * @param {string} hubUrl - The SignalR hub URL
+     */
+    constructor(hubUrl) {
+        /** @type {string} The hub URL this manager connects to */
+        this.hubUrl = hubUrl;
+
+        /** @type {signalR.HubConnection|null} */
+        this.connection = null;
+
+        /** @type {Map<string, number>} Stream name to reference count */
+        this.streamRefs = new Map();
+
+        /** @type {Set<string>} Streams currently subscribed on the server */
+        this.subscribedStreams = new Set();
+
+        /** @type {Map<string, number>} Stream name to the sequence number of the last message received */
+        this.lastSequences = new Map();
+
+        /** @type {Map<string, Set<number>>} Stream name to the sequence numbers of its recently received messages */
+        this.seenSequences = new Map();
+
+        /** @type {Map<string, Array<{ html: string, info: object }>>} Streams being replayed, to the messages held until the replay ends */
+        this.replayBuffers = new Map();
+
+        /** @type {Map<string, *>} Stream name to the identity announced on its presence list */
+        this.presence = new Map();
+
+        /** @type {Map<string, Map<string, object>>} Stream name to its present members by connection ID */
+        this.presenceMembers = new Map();
+
+        /** @type {Map<string, number>} Stream name to the number of its references that announce presence */
+        this.presenceRefs = new Map();
+
+        /** @type {Map<string, 'subscribing'|'denied'|'error'>} Stream name to the outcome of its last subscription while not subscribed */
+        this.streamStatus = new Map();
+
+        /** @type {Map<string, number>} Stream name to the time its last message was received */
+        this.lastMessageTimes = new Map();
+
+        /** @type {Map<string, ReturnType<typeof setTimeout>>} Released streams still subscribed on the server, to their unsubscribe timers */
+        this.pendingUnsubscribes = new Map();
+
+        /** @type {Map<string, Promise<void>>} Stream name to the last queued subscribe or unsubscribe operation */
+        this.streamOperations = new Map();
+
+        /** @type {Array<{ streamName: string, resolve: Function, reject: Function }>} Server subscriptions waiting to be sent together */
+        this.subscribeBatch = [];
+
+        /** @type {boolean} Whether the hub has the SubscribeMany and ResubscribeMany methods */
+        this.supportsSubscribeMany = true;
+
+        /** @type {boolean} Whether the hub has the SubscribeWithSequence method */
+        this.supportsSubscribeWithSequence = true;
+
+        /** @type {boolean} Whether we're currently connected */
+        this.isConnected = false;
+
+        /** @type {boolean} Whether we're currently connecting */
+        this.isConnecting = false;
+
+        /** @type {boolean} Whether SignalR is reconnecting after the connection was lost */
+        this.isReconnecting = false;
+
+        /** @type {Array<{ resolve: Function, reject: Function }>} Callers waiting for the connection to start */
+        this.connectionCallbacks = [];
+
+        /** @type {object|null} Reconnect policy of the current connection */
+        this.reconnectPolicy = null;
+
+        /** @type {number} Number of reconnect attempts made since the connection was lost */
+        this.reconnectAttempt = 0;
+
+        /** @type {boolean} Whether the reconnect policy ran out of attempts */
+        this.reconnectExhausted = false;
+
+        /** @type {boolean} Whether the connection closed unexpectedly and must be restarted */
+        this.restartPending = false;
+
+        /** @type {number} Number of restart attempts made since the connection closed */
+        this.restartAttempt = 0;
+
+        /** @type {ReturnType<typeof setTimeout>|null} Timer for the next restart attempt */
+        this.restartTimer = null;
+
+        /** @type {boolean} Whether the connection is being stopped on purpose */
+        this.isStopping = false;
+
+        /** @type {boolean} Whether subscriptions are paused while the page is hidden */
+        this.isPaused = false;
+
+        /** @type {boolean} Whether the server rejected the last access token, so the next one must be refreshed */
+        this.tokenStale = false;
+    }
+
+    /**
+     * Gets or creates the connection to this hub.
+     * @param {object} [options] - Connection options, used only when a new connection is built
+     * @param {object} [options.reconnect] - Reconnect policy (see resolveReconnectPolicy)
+     * @param {signalR.IHttpConnectionOptions} [options.http] - Options passed to withUrl (see resolveHttpOptions)
+     * @param {string} [options.protocol] - Hub protocol name, e.g. 'json' or 'messagepack'
+     * @returns {Promise<signalR.HubConnection>}
+     */
+    async getConnection(options = {}) {
+        // If already connected, return the connection
+        if (this.connection && this.isConnected) {
+            return this.connection;
+        }
+
+        // If the connection closed and is waiting to restart, restart it now
+        if (this.connection && this.restartPending && !this.isConnecting) {
+            if (await this.restartConnection()) {
+                return this.connection;
+            }
+
+            throw new Error('The SignalR connection is closed and could not be restarted');
+        }
+
+        // If currently connecting, wait for it
+        if (this.isConnecting) {
+            return new Promise((resolve, reject) => {
+                this.connectionCallbacks.push({ resolve, reject });
+            });
+        }
+
+        // Create new connection
+        this.isConnecting = true;
+
+        this.reconnectPolicy = options.reconnect || resolveReconnectPolicy();
+        this.reconnectAttempt = 0;
+        this.reconnectExhausted = false;
+
+        const httpOptions = { ...(options.http || resolveHttpOptions()) };
+
+        if (this.hasAccessTokenSource()) {
+            httpOptions.accessTokenFactory = () => this.getAccessToken();
+        }
+
+        let builder = new signalR.HubConnectionBuilder().withUrl(this.hubUrl, httpOptions);
+
+        const protocol = options.protocol || resolveProtocol();
+
+        if (protocol !== 'json') {
+            const createProtocol = hubProtocols.get(protocol);
+
+            if (createProtocol) {
+                builder = builder.withHubProtocol(createProtocol());
+            } else {
+                // eslint-disable-next-line no-console
+                console.warn(
+                    `The "${protocol}" hub protocol is not available in this build; falling back to JSON. ` +
+                    'Load the turbo-signalr.msgpack build to use MessagePack.'
+                );
+            }
+        }
+
+        if (this.reconnectPolicy.enabled) {
+            builder = builder.withAutomaticReconnect({
+                nextRetryDelayInMilliseconds: (retryContext) => this.nextReconnectDelay(retryContext)
+            });
+        }
+
+        this.connection = builder
+            .configureLogging(signalR.LogLevel.Warning)
+            .build();
+
+        // Set up message handler
+        this.connection.on('TurboStream', (...args) => {
+            const { html, info } = readStreamMessage(args);
+            const replay = info && this.replayBuffers.get(info.stream);
+
+            // Live messages can overtake the replay, so both are held until it has been sent
+            if (replay) {
+                replay.push({ html, info });
+                return;
+            }
+
+            this.receiveStreamMessage(html, info);
+        });
+
+        this.connection.on('TurboPresence', (change) => this.handlePresenceChange(change));
+
+        // Set up reconnection handlers
+        this.connection.onreconnecting(() => {
+            this.isConnected = false;
+            this.isReconnecting = true;
+            this.dispatchConnectionEvent('turbo:signalr:reconnecting');
+        });
+
+        this.connection.onreconnected(async () => {
+            this.isConnected = true;
+            this.isReconnecting = false;
+            this.reconnectAttempt = 0;
+            this.dispatchConnectionEvent('turbo:signalr:reconnected');
+
+            // Resubscribe to all active streams
+            await this.resubscribeAll();
+        });
+
+        const connection = this.connection;
+
+        this.connection.onclose((error) => {
+            this.isConnected = false;
+            this.isReconnecting = false;
+            this.subscribedStreams.clear();
+            this.dispatchConnectionEvent('turbo:signalr:disconnected', { intentional: this.isStopping });
+
+            if (this.reconnectExhausted) {
+                this.dispatchConnectionEvent('turbo:signalr:reconnect-failed', {
+                    attempts: this.reconnectAttempt,
+                    error
+                });
+            }
+
+            // Keep trying in the background while elements still reference streams
+            if (!this.isStopping && connection === this.connection &&
+                this.reconnectPolicy?.enabled !== false && this.streamRefs.size > 0) {
+                this.restartPending = true;
+                this.restartAttempt = 0;
+                this.scheduleRestart();
+            }
+        });
+
+        try {
+            this.dispatchConnectionEvent('turbo:signalr:connecting');
+            await this.startConnection();
+            this.isConnected = true;
+            this.isConnecting = false;
+            this.dispatchConnectionEvent('turbo:signalr:connected');
+
+            this.settleConnectionCallbacks();
+
+            return this.connection;
+        } catch (error) {
+            this.isConnecting = false;
+            this.dispatchConnectionEvent('turbo:signalr:error', { error });
+            this.settleConnectionCallbacks(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Settles the callers waiting in getConnection for a start that has finished.
+     * @param {Error} [error] - The error the start failed with, which rejects every waiting caller
+     */
+    settleConnectionCallbacks(error) {
+        const callbacks = this.connectionCallbacks;
+        this.connectionCallbacks = [];
+
+        callbacks.forEach(({ resolve, reject }) => error ? reject(error) : resolve(this.connection));
+    }
+
+    /**
+     * Whether an access token is available from configure({ accessTokenFactory }) or
+     * the turbo-signalr-token meta tag.
+     * @returns {boolean}
+     */
+    hasAccessTokenSource() {
+        return typeof globalSettings.accessTokenFactory === 'function' ||
+            readMetaContent('turbo-signalr-token') !== null;
+    }
+
+    /**
+     * Gets the access token sent with hub requests. After the server rejected a token,
+     * the factory is asked for a fresh one through its forceRefresh argument.
+     * @returns {Promise<string>}
+     */
+    async getAccessToken() {
+        const forceRefresh = this.tokenStale;
+        this.tokenStale = false;
+
+        if (typeof globalSettings.accessTokenFactory === 'function') {
+            return (await globalSettings.accessTokenFactory({ forceRefresh })) || '';
+        }
+
+        return readMetaContent('turbo-signalr-token') || '';
+    }
+
+    /**
+     * Starts the current connection. If the server rejects the access token,
+     * the token is refreshed and the start is retried once.
+     * @returns {Promise<void>}
+     */
+    async startConnection() {
+        try {
+            await this.connection.start();
+        } catch (error) {
+            if (!isUnauthorizedError(error) || !this.hasAccessTokenSource()) {
+                throw error;
+            }
+
+            this.tokenStale = true;
+            await this.connection.start();
+        }
+    }
+
+    /**
+     * Returns the delay before the next automatic reconnect attempt, or null once
+     * the reconnect policy is exhausted (which makes SignalR close the connection).
+     * @param {signalR.RetryContext} retryContext - The SignalR retry context
+     * @returns {number|null}
+     */
+    nextReconnectDelay(retryContext) {
+        // Ask for a fresh token if the previous attempt was rejected
+        if (isUnauthorizedError(retryContext.retryReason)) {
+            this.tokenStale = true;
+        }
+
+        const delay = computeReconnectDelay(this.reconnectPolicy || DEFAULT_RECONNECT_POLICY, retryContext.previousRetryCount);
+
+        if (delay === null) {
+            this.reconnectExhausted = true;
+        } else {
+            this.reconnectAttempt = retryContext.previousRetryCount + 1;
+        }
+
+        return delay;
+    }
+
+    /**
+     * Schedules the next restart attempt using the reconnect policy's backoff.
+     * Nothing is scheduled while the page is hidden; the restart resumes when it becomes visible.
+     */
+    scheduleRestart() {
+        this.cancelRestartTimer();
+
+        if (!this.restartPending || isDocumentHidden()) {
+            return;
+        }
+
+        // The restart loop never gives up, so only the delays of the policy apply
+        const policy = { ...(this.reconnectPolicy || DEFAULT_RECONNECT_POLICY), maxAttempts: Infinity };
+        const delay = computeReconnectDelay(policy, this.restartAttempt);
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.restartConnection();
+        }, delay);
+    }
+
+    /**
+     * Clears the pending restart timer, if any.
+     */
+    cancelRestartTimer() {
+        if (this.restartTimer !== null) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+    }
+
+    /**
+     * Restarts a connection that closed unexpectedly and resubscribes to every referenced stream.
+     * Schedules another attempt if the restart fails.
+     * @returns {Promise<boolean>} True if the connection was restarted
+     */
+    async restartConnection() {
+        this.cancelRestartTimer();
+
+        if (!this.connection || !this.restartPending || this.isConnecting) {
+            return this.isConnected;
+        }
+
+        this.isConnecting = true;
+        this.restartAttempt += 1;
+        this.dispatchConnectionEvent('turbo:signalr:reconnecting', { attempt: this.restartAttempt });
+
+        try {
+            await this.startConnection();
+        } catch (error) {
+            this.isConnecting = false;
+            this.dispatchConnectionEvent('turbo:signalr:error', { error });
+            this.settleConnectionCallbacks(error);
+            this.scheduleRestart();
+            return false;
+        }
+
+        this.isConnecting = false;
+        this.isConnected = true;
+        this.isPaused = false;
+        this.restartPending = false;
+        this.restartAttempt = 0;
+        this.reconnectAttempt = 0;
+        this.reconnectExhausted = false;
+        this.dispatchConnectionEvent('turbo:signalr:reconnected');
+
+        this.settleConnectionCallbacks();
+
+        await this.resubscribeAll();
+        return true;
+    }
+
+    /**
+     * Restarts immediately when the browser comes back online.
+     */
+    handleOnline() {
+        if (this.restartPending && !this.isPaused) {
+            this.restartAttempt = 0;
+            this.restartConnection();
+        }
+    }
+
+    /**
+     * Resumes a paused restart when the page becomes visible again.
+     */
+    handleVisibilityChange() {
+        if (this.restartPending && !this.isPaused && !isDocumentHidden() && this.restartTimer === null) {
+            this.restartConnection();
+        }
+    }
+
+    /**
+     * Pauses this hub's subscriptions while the page is hidden. The stream references are
+     * kept, so resume() can subscribe to them again.
+     * @param {'unsubscribe'|'disconnect'} mode - 'unsubscribe' leaves the streams but keeps the
+     *   connection open; 'disconnect' stops the connection
+     * @returns {Promise<void>}
+     */
+    async pause(mode) {
+        if (!this.connection || this.isPaused || this.streamRefs.size === 0) {
+            return;
+        }
+
+        this.isPaused = true;
+        this.dispatchConnectionEvent('turbo:signalr:paused', { mode });
+
+        if (mode === 'disconnect') {
+            // A pending restart waits until resume(); restarts are not scheduled while hidden
+            this.cancelRestartTimer();
+            this.restartPending = true;
+            this.restartAttempt = 0;
+
+            this.isStopping = true;
+            try {
+                await this.connection.stop();
+            } catch (error) {
+                // eslint-disable-next-line no-console
+                console.warn('Error stopping the paused connection:', error);
+            } finally {
+                this.isStopping = false;
+            }
+
+            this.isConnected = false;
+            this.subscribedStreams.clear();
+            connectionManager.notifyStateChange();
+            return;
+        }
+
+        // Queued behind any subscribe or unsubscribe already running on the stream. Streams whose
+        // unsubscribe is pending are released now rather than paused.
+        const streamNames = new Set([...this.streamRefs.keys(), ...this.subscribedStreams]);
+
+        await Promise.all(Array.from(streamNames, (streamName) => this.queueStreamOperation(streamName, () =>
+            this.streamRefs.has(streamName) ? this.pauseStream(streamName) : this.releaseStream(streamName))));
+
+        connectionManager.notifyStateChange();
+    }
+
+    /**
+     * Leaves a referenced stream on the server while this hub is paused. Runs through queueStreamOperation.
+     * @param {string} streamName - The stream name
+     * @returns {Promise<void>}
+     */
+    async pauseStream(streamName) {
+        if (!this.isPaused || !this.subscribedStreams.delete(streamName) || !this.connection) {
+            return;
+        }
+
+        try {
+            await this.connection.invoke('Unsubscribe', streamName);
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('Error pausing stream:', streamName, error);
+        }
+    }
+
+    /**
+     * Resumes paused subscriptions: restarts a stopped connection, or resubscribes to every
+     * referenced stream. Streams with a known sequence number replay the messages they missed.
+     * @returns {Promise<boolean>} True if this hub was paused
+     */
+    async resume() {
+        if (!this.isPaused) {
+            return false;
+        }
+
+        this.isPaused = false;
+        this.dispatchConnectionEvent('turbo:signalr:resumed');
+
+        if (this.restartPending) {
+            await this.restartConnection();
+        } else {
+            await this.resubscribeAll();
+        }
+
+        return true;
+    }
+
+    /**
+     * Closes the connection to this hub.
+     */
+    async closeConnection() {
+        this.restartPending = false;
+        this.restartAttempt = 0;
+        this.cancelRestartTimer();
+        this.pendingUnsubscribes.forEach((timer) => clearTimeout(timer));
+        this.pendingUnsubscribes.clear();
+
+        if (this.connection) {
+            this.isStopping = true;
+            try {
+                await this.connection.stop();
+            } finally {
+                this.isStopping = false;
+            }
+            this.connection = null;
+            this.isConnected = false;
+            this.subscribedStreams.clear();
+        }
+    }
+
+    /**
+     * Runs subscribe and unsubscribe operations on a stream one at a time, in the order they
+     * were requested, so each one sees the reference count and server state left by the last.
+     * @param {string} streamName - The stream name
+     * @param {function(): Promise<*>} operation - The operation
+     * @returns {Promise<*>} The outcome of the operation
+     */
+    queueStreamOperation(streamName, operation) {
+        const previous = this.streamOperations.get(streamName) || Promise.resolve();
+        const result = previous.then(operation);
+        const settled = result.then(() => {}, () => {});
+
+        this.streamOperations.set(streamName, settled);
+        settled.then(() => {
+            if (this.streamOperations.get(streamName) === settled) {
+                this.streamOperations.delete(streamName);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Subscribes to a stream, incrementing the reference count. Resolves once the server
+     * subscription of the first reference has completed, so every caller sees its outcome.
+     * @param {string} streamName - The stream name to subscribe to
+     * @param {object} [options] - Connection options passed to getConnection
+     * @param {*} [options.presence] - Identity to announce on the stream's presence list (see joinPresence)
+     * @returns {Promise<boolean>} True if subscription was successful
+     */
+    async subscribe(streamName, options = {}) {
+        if (typeof streamName !== 'string') {
+            throw new TurboStreamError(ERROR_CODES.STREAM_NAME_INVALID, 'Stream name is required and must be a string');
+        }
+
+        const trimmedName = streamName.trim();
+        if (trimmedName.length === 0) {
+            throw new TurboStreamError(ERROR_CODES.STREAM_NAME_INVALID, 'Stream name cannot be empty or whitespace');
+        }
+
+        return this.queueStreamOperation(trimmedName, () => this.addStreamReference(trimmedName, options));
+    }
+
+    /**
+     * Adds a reference to a stream and subscribes on the server for the first one.
+     * Runs through queueStreamOperation.
+     * @param {string} trimmedName - The stream name
+     * @param {object} options - Options passed to subscribe
+     * @returns {Promise<boolean>} True if subscription was successful
+     */
+    async addStreamReference(trimmedName, options) {
+        // Increment reference count
+        const currentCount = this.streamRefs.get(trimmedName) || 0;
+        this.streamRefs.set(trimmedName, currentCount + 1);
+        connectionManager.notifyStateChange();
+
+        // If this is the first reference, subscribe on the server
+        if (currentCount === 0) {
+            this.streamStatus.set(trimmedName, 'subscribing');
+
+            // A stream released moments ago is still subscribed; keep that subscription
+            if (this.pendingUnsubscribes.has(trimmedName)) {
+                clearTimeout(this.pendingUnsubscribes.get(trimmedName));
+                this.pendingUnsubscribes.delete(trimmedName);
+            }
+
+            try {
+                await this.getConnection(options);
+
+                // A restarted connection already resubscribed every referenced stream
+                if (!this.subscribedStreams.has(trimmedName)) {
+                    // A stream released with its sequence number kept replays what it missed
+                    const lastSequence = this.lastSequences.get(trimmedName) ?? null;
+                    let success;
+
+                    if (lastSequence !== null) {
+                        this.startReplay(trimmedName);
+                    }
+
+                    try {
+                        success = await this.requestSubscribe(trimmedName, lastSequence);
+                    } finally {
+                        this.finishReplay(trimmedName);
+                    }
+
+                    if (!success) {
+                        // Subscription was denied (authorization failed)
+                        this.streamRefs.delete(trimmedName);
+                        this.streamStatus.set(trimmedName, 'denied');
+                        connectionManager.notifyStateChange();
+                        return false;
+                    }
+
+                    this.subscribedStreams.add(trimmedName);
+                }
+
+                this.streamStatus.delete(trimmedName);
+                connectionManager.notifyStateChange();
+            } catch (error) {
+                // Rollback the reference on error; a stream nobody references is not kept
+                this.streamRefs.delete(trimmedName);
+                this.streamStatus.set(trimmedName, 'error');
+                connectionManager.notifyStateChange();
+                throw error;
+            }
+        }
+
+        // The first subscriber that provides an identity announces presence on the stream
+        if (options.presence !== undefined) {
+            this.presenceRefs.set(trimmedName, (this.presenceRefs.get(trimmedName) || 0) + 1);
+
+            if (!this.presence.has(trimmedName)) {
+                await this.joinPresence(trimmedName, options.presence);
+            }
+        } else if (!this.presenceRefs.has(trimmedName) && this.presence.has(trimmedName)) {
+            // A subscription continued from a released stream whose presence nobody references
+            await this.leavePresence(trimmedName);
+        }
+
+        return true;
+    }
+
+    /**
+     * Subscribes to a stream on the server together with the other streams requested in the same tick.
+     * @param {string} streamName - The stream name
+     * @param {number|null} [lastSequence] - The last sequence received on the stream, to replay what it missed
+     * @returns {Promise<boolean>} True if subscription was successful
+     */
+    requestSubscribe(streamName, lastSequence = null) {
+        return new Promise((resolve, reject) => {
+            this.subscribeBatch.push({ streamName, lastSequence, resolve, reject });
+
+            if (this.subscribeBatch.length === 1) {
+                queueMicrotask(() => this.flushSubscribeBatch());
+            }
+        });
+    }
+
+    /**
+     * Sends the waiting server subscriptions in one call for the streams without a sequence number
+     * and one for the rest, and settles each request with its result.
+     * @returns {Promise<void>}
+     */
+    async flushSubscribeBatch() {
+        const batch = this.subscribeBatch.splice(0);
+        const newRequests = batch.filter((request) => request.lastSequence === null);
+        const replayedRequests = batch.filter((request) => request.lastSequence !== null);
+
+        const [newResults, replayedResults] = await Promise.all([
+            newRequests.length > 0 ? this.subscribeOnServer(newRequests.map((request) => request.streamName)) : [],
+            replayedRequests.length > 0
+                ? this.subscribeOnServer(
+                    replayedRequests.map((request) => request.streamName),
+                    replayedRequests.map((request) => request.lastSequence))
+                : []
+        ]);
+
+        const settle = ({ resolve, reject }, result) => {
+            if (result instanceof Error) {
+                reject(result);
+            } else {
+                resolve(result === true);
+            }
+        };
+
+        newRequests.forEach((request, i) => settle(request, newResults[i]));
+        replayedRequests.forEach((request, i) => settle(request, replayedResults[i]));
+    }
+
+    /**
+     * Subscribes to streams on the server with one SubscribeMany call, or ResubscribeMany when
+     * sequence numbers are given so the hub replays missed messages. A single stream uses
+     * SubscribeWithSequence or Resubscribe. Hubs without the batch methods get one call per stream.
+     * Lists longer than MAX_SUBSCRIBE_BATCH_SIZE are sent in several calls, one after another.
+     * @param {string[]} streamNames - The stream names
+     * @param {number[]|null} [lastSequences] - The last sequence received on each stream, in the same order
+     * @returns {Promise<Array<boolean|Error>>} For each stream, whether the hub allowed it, or the error that prevented it
+     */
+    async subscribeOnServer(streamNames, lastSequences = null) {
+        const connection = this.connection;
+
+        if (!connection) {
+            return streamNames.map(() => new Error('The SignalR connection is closed'));
+        }
+
+        if (streamNames.length > MAX_SUBSCRIBE_BATCH_SIZE) {
+            const results = [];
+
+            for (let start = 0; start < streamNames.length; start += MAX_SUBSCRIBE_BATCH_SIZE) {
+                const end = start + MAX_SUBSCRIBE_BATCH_SIZE;
+                results.push(...await this.subscribeOnServer(
+                    streamNames.slice(start, end),
+                    lastSequences ? lastSequences.slice(start, end) : null));
+            }
+
+            return results;
+        }
+
+        if (streamNames.length > 1 && this.supportsSubscribeMany) {
+            try {
+                const results = lastSequences
+                    ? await connection.invoke('ResubscribeMany', streamNames, lastSequences)
+                    : await connection.invoke('SubscribeMany', streamNames);
+
+                return streamNames.map((streamName, i) => this.readSubscribeResult(streamName, results?.[i]));
+            } catch (error) {
+                if (toStreamError(error).code !== ERROR_CODES.METHOD_NOT_FOUND) {
+                    return streamNames.map(() => error);
+                }
+
+                this.supportsSubscribeMany = false;
+            }
+        }
+
+        const results = [];
+
+        for (let i = 0; i < streamNames.length; i++) {
+            try {
+                const result = lastSequences
+                    ? await connection.invoke('Resubscribe', streamNames[i], lastSequences[i])
+                    : await this.subscribeWithSequence(connection, streamNames[i]);
+
+                results.push(this.readSubscribeResult(streamNames[i], result));
+            } catch (error) {
+                results.push(error);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Subscribes to one stream with SubscribeWithSequence, or Subscribe on hubs without it.
+     * @param {signalR.HubConnection} connection - The SignalR connection
+     * @param {string} streamName - The stream name
+     * @returns {Promise<boolean|{ subscribed: boolean, sequence: number }>} The value returned by the hub
+     */
+    async subscribeWithSequence(connection, streamName) {
+        if (this.supportsSubscribeWithSequence) {
+            try {
+                return await connection.invoke('SubscribeWithSequence', streamName);
+            } catch (error) {
+                if (toStreamError(error).code !== ERROR_CODES.METHOD_NOT_FOUND) {
+                    throw error;
+                }
+
+                this.supportsSubscribeWithSequence = false;
+            }
+        }
+
+        return connection.invoke('Subscribe', streamName);
+    }
+
+    /**
+     * Reads the result of a server subscription. SubscribeWithSequence and SubscribeMany return the
+     * stream's current sequence number, which becomes the replay point if no message has arrived yet,
+     * so messages broadcast during a later outage are replayed. Subscribe, Resubscribe and older hubs
+     * return a boolean.
+     * @param {string} streamName - The stream name
+     * @param {boolean|{ subscribed: boolean, sequence: number }|undefined} result - The value returned by the hub
+     * @returns {boolean} True if the hub allowed the subscription
+     */
+    readSubscribeResult(streamName, result) {
+        if (result === true) {
+            return true;
+        }
+
+        if (!result || result.subscribed !== true) {
+            return false;
+        }
+
+        const lastSequence = this.lastSequences.get(streamName);
+        if (typeof result.sequence === 'number' && (lastSequence === undefined || result.sequence > lastSequence)) {
+            this.lastSequences.set(streamName, result.sequence);
+        }
+
+        return true;
+    }
+
+    /**
+     * Announces this connection's presence on a stream and loads the current members.
+     * The identity is announced again after every reconnect.
+     * @param {string} streamName - The stream name
+     * @param {*} identity - The identity payload shown to other members, such as { name, avatarUrl }
+     * @returns {Promise<void>}
+     */
+    async joinPresence(streamName, identity) {
+        this.presence.set(streamName, identity);
+
+        try {
+            const connection = await this.getConnection();
+            const members = await connection.invoke('JoinPresence', streamName, identity);
+
+            if (!Array.isArray(members)) {
+                // Presence was denied (authorization failed)
+                this.presence.delete(streamName);
+                return;
+            }
+
+            this.presenceMembers.set(streamName, new Map(members.map((member) => [member.connectionId, member])));
+            this.dispatchPresenceEvent(streamName, 'list', null);
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('Error joining presence on stream:', streamName, error);
+        }
+    }
+
+    /**
+     * Removes this connection from the members of a stream it stays subscribed to.
+     * @param {string} streamName - The stream name
+     * @returns {Promise<void>}
+     */
+    async leavePresence(streamName) {
+        this.presence.delete(streamName);
+        this.presenceMembers.delete(streamName);
+
+        if (!this.connection || !this.isConnected || !this.subscribedStreams.has(streamName)) {
+            return;
+        }
+
+        try {
+            await this.connection.invoke('LeavePresence', streamName);
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('Error leaving presence on stream:', streamName, error);
+        }
+    }
+
+    /**
+     * Applies a member joining or leaving a stream this connection is present on.
+     * @param {{ stream: string, type: 'join'|'leave', member: { connectionId: string, identity: * } }} change - Change sent by the hub
+     */
+    handlePresenceChange(change) {
+        const members = change && this.presenceMembers.get(change.stream);
+
+        if (!members || !change.member) {
+            return;
+        }
+
+        if (change.type === 'join') {
+            members.set(change.member.connectionId, change.member);
+        } else if (change.type === 'leave') {
+            members.delete(change.member.connectionId);
+        } else {
+            return;
+        }
+
+        this.dispatchPresenceEvent(change.stream, change.type, change.member);
+    }
+
+    /**
+     * Gets the members present on a stream this connection has joined.
+     * @param {string} streamName - The stream name
+     * @returns {Array<{ connectionId: string, identity: * }>}
+     */
+    getPresence(streamName) {
+        return Array.from(this.presenceMembers.get(streamName)?.values() ?? []);
+    }
+
+    /**
+     * Dispatches a turbo:signalr:presence event with the current members of a stream.
+     * @param {string} streamName - The stream name
+     * @param {'list'|'join'|'leave'} type - 'list' after joining, otherwise the change that occurred
+     * @param {object|null} member - The member that joined or left
+     */
+    dispatchPresenceEvent(streamName, type, member) {
+        this.dispatchConnectionEvent('turbo:signalr:presence', {
+            stream: streamName,
+            type,
+            member,
+            members: this.getPresence(streamName)
+        });
+    }
+
+    /**
+     * Unsubscribes from a stream, decrementing the reference count. After the last reference,
+     * the server subscription is kept for the unsubscribe delay, so a subscribe that follows
+     * shortly (such as from the next page of a Turbo Drive visit) continues it without a gap.
+     * @param {string} streamName - The stream name to unsubscribe from
+     * @param {object} [options]
+     * @param {boolean} [options.presence] - The reference announced presence; the connection leaves the
+     *   stream's members after the last such reference, even while other references remain
+     * @param {boolean} [options.keepSequence] - Keep the stream's last sequence number after the last
+     *   reference, so subscribing again replays the messages missed in between
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(streamName, options = {}) {
+        if (!streamName) {
+            return;
+        }
+
+        const trimmedName = streamName.trim();
+        return this.queueStreamOperation(trimmedName, () => this.removeStreamReference(trimmedName, options));
+    }
+
+    /**
+     * Removes a reference to a stream and releases it after the last one.
+     * Runs through queueStreamOperation.
+     * @param {string} trimmedName - The stream name
+     * @param {object} [options] - Options passed to unsubscribe
+     * @returns {Promise<void>}
+     */
+    async removeStreamReference(trimmedName, options = {}) {
+        const currentCount = this.streamRefs.get(trimmedName) || 0;
+
+        if (currentCount <= 0) {
+            return;
+        }
+
+        const newCount = currentCount - 1;
+
+        if (options.presence && this.presenceRefs.has(trimmedName)) {
+            const presenceCount = this.presenceRefs.get(trimmedName) - 1;
+
+            if (presenceCount > 0) {
+                this.presenceRefs.set(trimmedName, presenceCount);
+            } else {
+                this.presenceRefs.delete(trimmedName);
+
+                // Releasing the stream leaves its presence too
+                if (newCount > 0) {
+                    await this.leavePresence(trimmedName);
+                }
+            }
+        }
+
+        if (newCount === 0) {
+            // Last reference
+            this.streamRefs.delete(trimmedName);
+            this.streamStatus.delete(trimmedName);
+            connectionManager.notifyStateChange();
+
+            const delay = resolveUnsubscribeDelay();
+
+            if (delay > 0 && this.subscribedStreams.has(trimmedName)) {
+                this.pendingUnsubscribes.set(trimmedName, setTimeout(() => {
+                    this.queueStreamOperation(trimmedName, () => this.releaseStream(trimmedName, options.keepSequence === true));
+                }, delay));
+                return;
+            }
+
+            await this.releaseStream(trimmedName, options.keepSequence === true);
+        } else {
+            this.streamRefs.set(trimmedName, newCount);
+            connectionManager.notifyStateChange();
+        }
+    }
+
+    /**
+     * Unsubscribes from a stream on the server and forgets its state, unless it was
+     * referenced again in the meantime.
+     * @param {string} streamName - The stream name
+     * @param {boolean} [keepSequence] - Keep the last sequence number, so the next subscription replays from it
+     * @returns {Promise<void>}
+     */
+    async releaseStream(streamName, keepSequence = false) {
+        clearTimeout(this.pendingUnsubscribes.get(streamName));
+        this.pendingUnsubscribes.delete(streamName);
+
+        if (this.streamRefs.has(streamName)) {
+            return;
+        }
+
+        const wasSubscribed = this.subscribedStreams.delete(streamName);
+
+        if (!keepSequence) {
+            this.lastSequences.delete(streamName);
+            this.seenSequences.delete(streamName);
+        }
+
+        this.presence.delete(streamName);
+        this.presenceMembers.delete(streamName);
+        this.presenceRefs.delete(streamName);
+        this.lastMessageTimes.delete(streamName);
+
+        if (wasSubscribed) {
+            connectionManager.notifyStateChange();
+        }
+
+        if (this.connection && this.isConnected) {
+            try {
+                await this.connection.invoke('Unsubscribe', streamName);
+            } catch (error) {
+                // Ignore errors during unsubscribe (connection might be closing)
+                // eslint-disable-next-line no-console
+                console.warn('Error unsubscribing from stream:', error);
+            }
+        }
+    }
+
+    /**
+     * Records when the last message of a subscribed stream was received.
+     * @param {{ stream?: string }|null} info - Message metadata sent by the hub
+     */
+    trackMessageTime(info) {
+        if (info && this.streamRefs.has(info.stream)) {
+            this.lastMessageTimes.set(info.stream, Date.now());
+            connectionManager.notifyStateChange();
+        }
+    }
+
+    /**
+     * Renders a stream message and relays it to the other tabs, unless it was already received.
+     * @param {string} html - The Turbo Stream HTML
+     * @param {{ stream: string, sequence: number, reset?: boolean }|null} info - Message metadata sent by the hub
+     */
+    receiveStreamMessage(html, info) {
+        // A message broadcast while a stream resubscribes can arrive both live and in the replay
+        if (!this.trackSequence(info)) {
+            return;
+        }
+
+        this.trackMessageTime(info);
+        sharedConnection.publishStream(this.hubUrl, html, info);
+
+        if (sharedConnection.shouldRender(this.hubUrl, info)) {
+            connectionManager.handleTurboStream(html, info, this.hubUrl);
+        }
+    }
+
+    /**
+     * Records the sequence number of a stream message so missed messages can be
+     * replayed after a reconnect. The hub does not order concurrent broadcasts, so a
+     * message older than the last one is still new unless its sequence was seen before.
+     * @param {{ stream: string, sequence: number, reset?: boolean }|undefined} info - Message metadata sent by the hub
+     * @returns {boolean} False if the message was already received, true otherwise
+     */
+    trackSequence(info) {
+        if (!info || typeof info.stream !== 'string' || typeof info.sequence !== 'number') {
+            return true;
+        }
+
+        // Released streams keep counting while their unsubscribe is pending
+        if (!this.streamRefs.has(info.stream) && !this.pendingUnsubscribes.has(info.stream)) {
+            return true;
+        }
+
+        let seen = this.seenSequences.get(info.stream);
+
+        if (info.reset || !seen) {
+            seen = new Set();
+            this.seenSequences.set(info.stream, seen);
+        } else if (seen.has(info.sequence)) {
+            return false;
+        }
+
+        seen.add(info.sequence);
+
+        if (seen.size > SEEN_SEQUENCE_LIMIT) {
+            seen.delete(seen.values().next().value);
+        }
+
+        const lastSequence = this.lastSequences.get(info.stream);
+        if (info.reset || lastSequence === undefined || info.sequence > lastSequence) {
+            this.lastSequences.set(info.stream, info.sequence);
+        }
+
+        return true;
+    }
+
+    /**
+     * Holds the live messages of a stream while the hub replays what it missed.
+     * @param {string} streamName - The stream name
+     */
+    startReplay(streamName) {
+        this.replayBuffers.set(streamName, []);
+    }
+
+    /**
+     * Applies the messages held during a replay in sequence order. The hub sends the replayed
+     * messages before the resubscribe call returns, so they are all held by then.
+     * @param {string} streamName - The stream name
+     */
+    finishReplay(streamName) {
+        const messages = this.replayBuffers.get(streamName);
+
+        if (!messages) {
+            return;
+        }
+
+        this.replayBuffers.delete(streamName);
+        messages.sort((a, b) => (a.info.sequence ?? 0) - (b.info.sequence ?? 0));
+        messages.forEach(({ html, info }) => this.receiveStreamMessage(html, info));
+    }
+
+    /**
+     * Resubscribes to all active streams after reconnection, in one call for the streams
+     * without a sequence number and one for the rest. Streams with a known sequence number
+     * are resubscribed so the hub replays missed messages, or asks for a page refresh when
+     * it no longer has them.
+     *
+     * Each stream is resubscribed through queueStreamOperation. Streams with an operation
+     * already running are not waited for, since that operation may itself be waiting for
+     * this reconnect; their resubscribe runs once it finishes.
+     */
+    async resubscribeAll() {
+        if (!this.connection || !this.isConnected) {
+            return;
+        }
+
+        const waitFor = (streamName, operation) => {
+            const busy = this.streamOperations.has(streamName);
+            const result = this.queueStreamOperation(streamName, operation);
+            return busy ? undefined : result;
+        };
+
+        // The new connection is not in the groups of released streams, so finish releasing them
+        await Promise.all(Array.from(this.pendingUnsubscribes.keys(),
+            (streamName) => waitFor(streamName, () => this.releaseStream(streamName))));
+
+        // The connection is in none of the stream groups now, whatever was subscribed before
+        this.subscribedStreams.clear();
+
+        await Promise.all(Array.from(this.streamRefs.keys(),
+            (streamName) => waitFor(streamName, () => this.resubscribeStream(streamName))));
+
+        connectionManager.notifyStateChange();
+        connectionManager.scheduleRefreshOnReconnect(this.getRefreshOnReconnectMode());
+    }
+
+    /**
+     * Subscribes a referenced stream again after a reconnect or resume, unless it has been
+     * released or subscribed since. Runs through queueStreamOperation.
+     * @param {string} streamName - The stream name
+     * @returns {Promise<void>}
+     */
+    async resubscribeStream(streamName) {
+        if (!this.streamRefs.has(streamName) || this.subscribedStreams.has(streamName) ||
+            !this.connection || !this.isConnected) {
+            return;
+        }
+
+        const lastSequence = this.lastSequences.get(streamName) ?? null;
+        let subscribed;
+
+        if (lastSequence !== null) {
+            this.startReplay(streamName);
+        }
+
+        try {
+            subscribed = await this.requestSubscribe(streamName, lastSequence);
+        } catch (error) {
+            this.streamStatus.set(streamName, 'error');
+            // eslint-disable-next-line no-console
+            console.warn('Error resubscribing to stream:', streamName, error);
+            return;
+        } finally {
+            this.finishReplay(streamName);
+        }
+
+        if (!subscribed) {
+            this.streamStatus.set(streamName, 'denied');
+            this.handleExpiredStream(streamName);
+            return;
+        }
+
+        this.subscribedStreams.add(streamName);
+        this.streamStatus.delete(streamName);
+
+        // The hub removed the old connection from the members, so announce presence again
+        if (this.presence.has(streamName)) {
+            await this.joinPresence(streamName, this.presence.get(streamName));
+        }
+    }
+
+    /**
+     * Handles a stream the hub denied on resubscribe. The stream was subscribed before, so the
+     * denial usually means its signed name expired; the elements using it are told to renew it.
+     * @param {string} streamName - The stream name
+     */
+    handleExpiredStream(streamName) {
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        connectionManager.sourceElements(streamName, this.hubUrl).forEach((element) => element._expire());
+    }
+
+    /**
+     * Finds how the page should be refreshed after reconnecting, based on the
+     * refresh-on-reconnect attribute of this hub's elements for resubscribed streams.
+     * @returns {'replace'|'morph'|null} The refresh mode, or null if no element asks for a refresh
+     */
+    getRefreshOnReconnectMode() {
+        if (typeof document === 'undefined') {
+            return null;
+        }
+
+        let mode = null;
+
+        for (const element of document.querySelectorAll('turbo-stream-source-signalr[refresh-on-reconnect]')) {
+            const value = element.getAttribute('refresh-on-reconnect');
+            const streamName = element.getAttribute('stream')?.trim();
+            const hubUrl = element.getAttribute('hub-url') || DEFAULT_HUB_URL;
+
+            if (value === 'false' || !streamName || hubUrl !== this.hubUrl || !this.subscribedStreams.has(streamName)) {
+                continue;
+            }
+
+            // A replace visit also covers elements that only asked for a morph
+            mode = value === 'morph' && mode !== 'replace' ? 'morph' : 'replace';
+        }
+
+        return mode;
+    }
+
+    /**
+     * Dispatches a custom event on the document. The detail identifies this hub.
+     * @param {string} eventName - The event name
+     * @param {object} detail - Optional event detail
+     */
+    dispatchConnectionEvent(eventName, detail = {}) {
+        if (typeof document !== 'undefined') {
+            detail.hubUrl = this.hubUrl;
+            detail.connectionId = this.connection?.connectionId ?? null;
+            document.dispatchEvent(new CustomEvent(eventName, { detail }));
+            sharedConnection.relayEvent(eventName, detail);
+        }
+
+        connectionManager.notifyStateChange();
+    }
+
+    /**
+     * Gets the state of the connection to this hub.
+     * streamStates covers the referenced streams and the streams whose last subscription failed.
+     * @returns {{ hubUrl: string, isConnected: boolean, status: 'connected'|'connecting'|'reconnecting'|'disconnected',
+     *   paused: boolean, reconnectAttempt: number, streamCount: number, streams: string[], streamStates: Object<string, object> }}
+     */
+    getState() {
+        const streamStates = {};
+
+        for (const streamName of new Set([...this.streamRefs.keys(), ...this.streamStatus.keys()])) {
+            streamStates[streamName] = {
+                status: this.getStreamStatus(streamName),
+                refCount: this.streamRefs.get(streamName) || 0,
+                lastMessageAt: this.lastMessageTimes.get(streamName) ?? null,
+                lastSequence: this.lastSequences.get(streamName) ?? null
+            };
+        }
+
+        return {
+            hubUrl: this.hubUrl,
+            isConnected: this.isConnected,
+            status: this.getConnectionStatus(),
+            paused: this.isPaused,
+            reconnectAttempt: this.restartPending ? this.restartAttempt : this.reconnectAttempt,
+            streamCount: this.streamRefs.size,
+            streams: Array.from(this.streamRefs.keys()),
+            streamStates
+        };
+    }
+
+    /**
+     * Gets the status of the connection to this hub.
+     * @returns {'connected'|'connecting'|'reconnecting'|'disconnected'}
+     */
+    getConnectionStatus() {
+        if (this.isConnected) {
+            return 'connected';
+        }
+
+        if (this.isPaused) {
+            return 'disconnected';
+        }
+
+        if (this.isReconnecting || this.restartPending) {
+            return 'reconnecting';
+        }
+
+        return this.isConnecting ? 'connecting' : 'disconnected';
+    }
+
+    /**
+     * Gets the status of a stream on this hub: subscribed, subscribing, pending while
+     * waiting for the connection, paused while the page is hidden, or denied or error
+     * after its last subscription failed.
+     * @param {string} streamName - The stream name
+     * @returns {'subscribed'|'subscribing'|'pending'|'paused'|'denied'|'error'}
+     */
+    getStreamStatus(streamName) {
+        if (this.subscribedStreams.has(streamName)) {
+            return 'subscribed';
+        }
+
+        if (this.isPaused && this.streamRefs.has(streamName)) {
+            return 'paused';
+        }
+
+        return this.streamStatus.get(streamName) ?? 'pending';
+    }
+}
+
+// Pool of hub connections, one per hub URL
 const connectionManager = {
-    /** @type {signalR.HubConnection|null} */
-    connection: null,
+    /** @type {Map<string, HubConnectionManager>} Hub URL to the manager of its connection */
+    hubs: new Map(),
+
+    /** @type {ReturnType<typeof setTimeout>|null} Timer for the pending refresh-on-reconnect */
+    refreshTimer: null,
+
+    /** @type {'replace'|'morph'|null} Mode of the pending refresh-on-reconnect */
+    refreshMode: null,
+
+    /** @type {ReturnType<typeof setTimeout>|null} Timer that pauses subscriptions after the page stays hidden */
+    pauseTimer: null,
+
+    /** @type {StreamEntry[]} Stream actions received while the page is hidden */
+    hiddenQueue: [],
+
+    /** @type {boolean} Whether the hidden queue overflowed, so the page refreshes when visible instead */
+    hiddenQueueOverflowed: false,
+
+    /** @type {StreamEntry[]} Stream actions waiting for the next animation frame */
+    frameQueue: [],
+
+    /** @type {{ cancel: Function }|null} The pending animation frame that renders frameQueue */
+    frameRequest: null,
+
+    /** @type {Set<Function>} Callbacks registered with onStateChange */
+    stateListeners: new Set(),
+
+    /** @type {boolean} Whether a state change notification is scheduled */
+    stateChangePending: false,
+
+    /**
+     * Gets the manager for a hub URL, creating it if needed.
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @returns {HubConnectionManager}
+     */
+    getHub(hubUrl = DEFAULT_HUB_URL) {
+        let hub = this.hubs.get(hubUrl);
+
+        if (!hub) {
+            hub = new HubConnectionManager(hubUrl);
+            this.hubs.set(hubUrl, hub);
+        }
+
+        return hub;
+    },
+
+    /**
+     * Gets or creates a connection to the specified hub URL.
+     * Connections to other hubs are left open.
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @param {object} [options] - Connection options, used only when a new connection is built
+     * @returns {Promise<signalR.HubConnection>}
+     */
+    getConnection(hubUrl = DEFAULT_HUB_URL, options = {}) {
+        return this.getHub(hubUrl).getConnection(options);
+    },
+
+    /**
+     * Subscribes to a stream on a hub, incrementing its reference count on that hub.
+     * @param {string} streamName - The stream name to subscribe to
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @param {object} [options] - Connection options passed to getConnection, plus an optional presence identity
+     * @returns {Promise<boolean>} True if subscription was successful; false if the hub denied it
+     * @throws {TurboStreamError} With the code of the failure
+     */
+    async subscribe(streamName, hubUrl = DEFAULT_HUB_URL, options = {}) {
+        try {
+            if (sharedConnection.isActive()) {
+                const result = await sharedConnection.subscribe(streamName, hubUrl, options);
+                this.notifyStateChange();
+                return result;
+            }
+
+            return await this.getHub(hubUrl).subscribe(streamName, options);
+        } catch (error) {
+            throw toStreamError(error);
+        }
+    },
+
+    /**
+     * Gets the members present on a stream that was subscribed with a presence identity.
+     * @param {string} streamName - The stream name
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @returns {Array<{ connectionId: string, identity: * }>}
+     */
+    getPresence(streamName, hubUrl = DEFAULT_HUB_URL) {
+        if (sharedConnection.isActive() && !sharedConnection.isLeader) {
+            return sharedConnection.getPresence(streamName, hubUrl);
+        }
+
+        return this.hubs.get(hubUrl)?.getPresence(streamName) ?? [];
+    },
+
+    /**
+     * Whether subscribing to a released stream again replays the messages it missed, because it
+     * was released with { keepSequence: true } on this tab's own connection.
+     * @param {string} streamName - The stream name
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @returns {boolean}
+     */
+    canReplay(streamName, hubUrl = DEFAULT_HUB_URL) {
+        return !sharedConnection.isActive() && this.hubs.get(hubUrl)?.lastSequences.has(streamName) === true;
+    },
+
+    /**
+     * Unsubscribes from a stream on a hub, decrementing its reference count on that hub.
+     * @param {string} streamName - The stream name to unsubscribe from
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @param {object} [options] - Pass { presence: true } for a reference that was subscribed with a presence identity,
+     *   and { keepSequence: true } to replay the messages missed until the stream is subscribed again
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(streamName, hubUrl = DEFAULT_HUB_URL, options = {}) {
+        if (sharedConnection.isActive()) {
+            await sharedConnection.unsubscribe(streamName, hubUrl, options);
+            this.notifyStateChange();
+            return;
+        }
+
+        const hub = this.hubs.get(hubUrl);
+
+        if (hub) {
+            await hub.unsubscribe(streamName, options);
+        }
+    },
+
+    /**
+     * Closes the connection to one hub, or to every hub when no URL is given.
+     * @param {string} [hubUrl] - The SignalR hub URL
+     */
+    async closeConnection(hubUrl) {
+        const hubs = hubUrl === undefined
+            ? Array.from(this.hubs.values())
+            : [this.hubs.get(hubUrl)].filter(Boolean);
+
+        if (hubUrl === undefined && this.refreshTimer !== null) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+            this.refreshMode = null;
+        }
+
+        if (hubUrl === undefined) {
+            this.cancelPause();
+        }
+
+        for (const hub of hubs) {
+            this.hubs.delete(hub.hubUrl);
+            sharedConnection.forgetHub(hub.hubUrl);
+            await hub.closeConnection();
+        }
+    },
+
+    /**
+     * Restarts every closed connection when the browser comes back online.
+     */
+    handleOnline() {
+        this.hubs.forEach((hub) => hub.handleOnline());
+    },
+
+    /**
+     * Schedules pausing subscriptions when the page is hidden. When it becomes visible again,
+     * renders the messages queued while it was hidden and resumes paused subscriptions and restarts.
+     */
+    handleVisibilityChange() {
+        if (isDocumentHidden()) {
+            // The pending animation frame would not run until the page is shown again.
+            this.flushFrameQueue();
+            this.schedulePause();
+        } else {
+            this.cancelPause();
+            this.flushHiddenQueue();
+            this.resume();
+        }
+
+        this.hubs.forEach((hub) => hub.handleVisibilityChange());
+    },
+
+    /**
+     * Pauses every hub once the page has stayed hidden for the delay of the pause policy
+     * (see configure({ pauseWhenHidden })). Nothing is paused while tabs share connections,
+     * since the leader's connection serves the other tabs.
+     */
+    schedulePause() {
+        const policy = resolvePauseWhenHidden();
+        this.cancelPause();
+
+        if (!policy.enabled || sharedConnection.isActive()) {
+            return;
+        }
+
+        this.pauseTimer = setTimeout(() => {
+            this.pauseTimer = null;
+            this.hubs.forEach((hub) => hub.pause(policy.mode));
+        }, policy.delay);
+    },
+
+    /**
+     * Clears the pending pause timer, if any.
+     */
+    cancelPause() {
+        if (this.pauseTimer !== null) {
+            clearTimeout(this.pauseTimer);
+            this.pauseTimer = null;
+        }
+    },
+
+    /**
+     * Resumes every paused hub, then refreshes the page if the pause policy asks for it.
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        const resumed = await Promise.all(Array.from(this.hubs.values(), (hub) => hub.resume()));
+
+        if (resumed.includes(true)) {
+            this.scheduleRefreshOnReconnect(resolvePauseWhenHidden().refresh);
+        }
+    },
+
+    /**
+     * Gets the connection ID sent with Turbo requests so the server can exclude the originator.
+     * The default hub is preferred; otherwise the first connected hub is used. Nothing is sent
+     * while tabs share connections, since excluding the shared connection would exclude every tab.
+     * @returns {string|null}
+     */
+    getConnectionId() {
+        if (sharedConnection.active) {
+            return null;
+        }
+
+        const defaultHub = this.hubs.get(DEFAULT_HUB_URL);
+
+        if (defaultHub?.isConnected && defaultHub.connection?.connectionId) {
+            return defaultHub.connection.connectionId;
+        }
+
+        for (const hub of this.hubs.values()) {
+            if (hub.isConnected && hub.connection?.connectionId) {
+                return hub.connection.connectionId;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Schedules a single page refresh after a hub reconnects or a stream source resubscribes.
+     * Requests made while one is pending are coalesced, so several streams or hubs reconnecting
+     * together refresh only once.
+     * @param {'replace'|'morph'|null} mode - The refresh mode requested by the hub
+     */
+    scheduleRefreshOnReconnect(mode) {
+        if (!mode) {
+            return;
+        }
+
+        if (this.refreshMode !== 'replace') {
+            this.refreshMode = mode;
+        }
+
+        if (this.refreshTimer !== null) {
+            clearTimeout(this.refreshTimer);
+        }
+
+        this.refreshTimer = setTimeout(() => {
+            const refreshMode = this.refreshMode;
+            this.refreshTimer = null;
+            this.refreshMode = null;
+            refreshPage(refreshMode);
+        }, REFRESH_ON_RECONNECT_DELAY);
+    },
+
+    /**
+     * Handles incoming Turbo Stream messages. A cancelable turbo:signalr:before-stream-render
+     * event lets listeners drop the message or change its actions first. Messages received
+     * while the page is hidden are queued and rendered together when it becomes visible again.
+     * @param {string} html - The Turbo Stream HTML
+     * @param {{ stream?: string }|null} [info] - The message info sent with the HTML
+     * @param {string|null} [hubUrl] - The hub the message was received from
+     */
+    handleTurboStream(html, info = null, hubUrl = null) {
+        if (!html) {
+            return;
+        }
+
+        const stream = info?.stream ?? null;
+        const elements = parseStreamFragment(html);
+        const hasElements = elements.length > 0;
+        const detail = { stream, hubUrl, elements, html };
+        const event = new CustomEvent('turbo:signalr:before-stream-render', { detail, cancelable: true });
+
+        if (!document.dispatchEvent(event)) {
+            return;
+        }
+
+        // Listeners either assign new HTML or change, remove and reorder the parsed elements
+        let entries;
+        if (detail.html !== html) {
+            entries = detail.html ? parseStreamElements(detail.html, stream) : [];
+        } else if (!hasElements) {
+            entries = [{ html, action: null, target: null, stream }];
+        } else {
+            entries = toStreamEntries(detail.elements, stream);
+        }
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        if (stream !== null) {
+            this.dispatchStreamMessage(stream, hubUrl, entries);
+            entries = this.scopeEntries(stream, hubUrl, entries);
+        }
+
+        const queue = resolveHiddenQueue();
+
+        if (queue.enabled && isDocumentHidden()) {
+            this.enqueueHidden(entries, queue);
+            return;
+        }
+
+        if (isBatchRenderingEnabled()) {
+            this.enqueueFrame(entries);
+            return;
+        }
+
+        this.renderEntries(entries);
+    },
+
+    /**
+     * Dispatches turbo:stream:message on the stream source elements subscribed to a stream.
+     * @param {string} stream - The stream the message was received on
+     * @param {string|null} hubUrl - The hub the message was received from; null matches every hub
+     * @param {StreamEntry[]} entries - The actions of the message
+     */
+    dispatchStreamMessage(stream, hubUrl, entries) {
+        const html = entries.map((entry) => entry.html).join('');
+
+        this.sourceElements(stream, hubUrl).forEach((element) => {
+            element.dispatchEvent(new CustomEvent('turbo:stream:message', {
+                bubbles: true,
+                detail: { stream, hubUrl: element.hubUrl, html }
+            }));
+        });
+    },
+
+    /**
+     * Resolves the targets of a message inside the parent container of each stream source
+     * element with scope="self". Each such container gets its own copy of the targeted actions.
+     * When other elements on the page use the stream unscoped, the actions also render once
+     * outside the scoped containers.
+     * @param {string} stream - The stream the message was received on
+     * @param {string|null} hubUrl - The hub the message was received from; null matches every hub
+     * @param {StreamEntry[]} entries - The actions of the message
+     * @returns {StreamEntry[]}
+     */
+    scopeEntries(stream, hubUrl, entries) {
+        const containers = new Set();
+        let unscoped = false;
+
+        for (const element of this.sourceElements(stream, hubUrl)) {
+            if (element.getAttribute('scope') === 'self' && element.parentElement) {
+                containers.add(element.parentElement);
+            } else {
+                unscoped = true;
+            }
+        }
+
+        if (containers.size === 0) {
+            return entries;
+        }
+
+        const scoped = [];
+
+        for (const entry of entries) {
+            const [element] = entry.action === null ? [] : parseStreamFragment(entry.html);
+            const targeted = element && (element.hasAttribute('target') || element.hasAttribute('targets'));
+
+            if (!targeted) {
+                scoped.push(entry);
+                continue;
+            }
+
+            if (unscoped) {
+                scoped.push(unscopeStreamEntry(entry, Array.from(containers)));
+            }
+
+            containers.forEach((container) => scoped.push(scopeStreamEntry(entry, container)));
+        }
+
+        return scoped;
+    },
+
+    /**
+     * Gets the stream source elements on the page that use a stream.
+     * @param {string} stream - The stream name
+     * @param {string|null} hubUrl - The hub URL; null matches every hub
+     * @returns {TurboStreamSourceSignalR[]}
+     */
+    sourceElements(stream, hubUrl) {
+        return Array.from(document.querySelectorAll('turbo-stream-source-signalr')).filter((element) =>
+            element.stream === stream && (hubUrl === null || element.hubUrl === hubUrl));
+    },
+
+    /**
+     * Adds a message to the batch rendered in the next animation frame. Background tabs do
+     * not run animation frames, so the batch renders on the next tick while the page is hidden.
+     * @param {StreamEntry[]} entries - The actions of the message
+     */
+    enqueueFrame(entries) {
+        this.frameQueue.push(...entries);
+
+        if (this.frameRequest) {
+            return;
+        }
+
+        if (isDocumentHidden()) {
+            const id = setTimeout(() => this.flushFrameQueue(), 0);
+            this.frameRequest = { cancel: () => clearTimeout(id) };
+        } else {
+            this.frameRequest = requestFrame(() => this.flushFrameQueue());
+        }
+    },
+
+    /**
+     * Renders the messages received during the last frame in one call, without the
+     * actions that a later replace or update on the same target overwrites.
+     */
+    flushFrameQueue() {
+        const entries = collapseLatest(this.takeFrameQueue());
+
+        if (entries.length > 0) {
+            this.renderEntries(entries);
+        }
+    },
+
+    /**
+     * Cancels the pending frame and returns the messages it would have rendered.
+     * @returns {StreamEntry[]}
+     */
+    takeFrameQueue() {
+        if (this.frameRequest) {
+            this.frameRequest.cancel();
+            this.frameRequest = null;
+        }
+
+        const entries = this.frameQueue;
+        this.frameQueue = [];
+        return entries;
+    },
+
+    /**
+     * Queues a message received while the page is hidden. Redundant actions are collapsed;
+     * if the queue still grows past its maximum size it is dropped and the page is
+     * refreshed when it becomes visible, since the missed changes can no longer be applied.
+     * @param {StreamEntry[]} entries - The actions of the message
+     * @param {{ maxSize: number, collapse: 'latest'|'none'|Function }} queue - The queue policy
+     */
+    enqueueHidden(entries, queue) {
+        if (this.hiddenQueueOverflowed) {
+            return;
+        }
+
+        // Messages still waiting for a frame were received first, so they join the queue first
+        const queued = [...this.hiddenQueue, ...this.takeFrameQueue(), ...entries];
+        this.hiddenQueue = collapseStreamElements(queued, queue.collapse);
+
+        if (this.hiddenQueue.length > queue.maxSize) {
+            this.hiddenQueue = [];
+            this.hiddenQueueOverflowed = true;
+        }
+    },
+
+    /**
+     * Renders the queued messages in order as a single batch.
+     */
+    flushHiddenQueue() {
+        if (this.hiddenQueueOverflowed) {
+            this.hiddenQueueOverflowed = false;
+            refreshPage('morph');
+            return;
+        }
+
+        if (this.hiddenQueue.length === 0) {
+            return;
+        }
+
+        const entries = this.hiddenQueue;
+        this.hiddenQueue = [];
+        this.renderEntries(entries);
+    },
+
+    /**
+     * Renders stream actions through Turbo.js in one call, then dispatches
+     * turbo:signalr:after-stream-render once Turbo has applied them.
+     * @param {StreamEntry[]} entries - The actions to render, in order
+     */
+    renderEntries(entries) {
+        const html = entries.map((entry) => entry.html).join('');
+        const streams = Array.from(new Set(entries.map((entry) => entry.stream).filter((stream) => stream !== null)));
+
+        // Check if Turbo.js is available
+        if (typeof window !== 'undefined' && window.Turbo && typeof window.Turbo.renderStreamMessage === 'function') {
+            window.Turbo.renderStreamMessage(html);
+            afterStreamRender(() => {
+                document.dispatchEvent(new CustomEvent('turbo:signalr:after-stream-render', { detail: { streams, html } }));
+            });
+        } else {
+            // eslint-disable-next-line no-console
+            console.warn(
+                'Turbo.js is not loaded. Turbo Stream message was received but cannot be rendered. ' +
+                'Please load Turbo.js before the SignalR adapter. The stream message has been dropped.'
+            );
+        }
+    },
+
+    /**
+     * Registers a callback that receives the combined state (see getState) now and whenever
+     * connections, stream references, subscription results or message times change.
+     * Changes made together are reported once.
+     * @param {function(object): void} callback - Receives the state
+     * @returns {function(): void} Removes the callback
+     */
+    onStateChange(callback) {
+        this.stateListeners.add(callback);
+        callback(this.getState());
+
+        return () => {
+            this.stateListeners.delete(callback);
+        };
+    },
+
+    /**
+     * Schedules a call to the onStateChange callbacks, coalescing changes made in the same task.
+     */
+    notifyStateChange() {
+        if (this.stateChangePending || this.stateListeners.size === 0) {
+            return;
+        }
+
+        this.stateChangePending = true;
+
+        queueMicrotask(() => {
+            this.stateChangePending = false;
+            const state = this.getState();
+
+            this.stateListeners.forEach((listener) => {
+                try {
+                    listener(state);
+                } catch (error) {
+                    // eslint-disable-next-line no-console
+                    console.warn('Error in a connection state listener:', error);
+                }
+            });
+        });
+    },
+
+    /**
+     * Gets the state of one hub, or of every hub when no URL is given.
+     * The combined state reports streams across all hubs and is connected only when every hub is.
+     * @param {string} [hubUrl] - The SignalR hub URL
+     * @returns {{ isConnected: boolean, streamCount: number, streams: string[], hubs: Object<string, object> }|object|null}
+     */
+    getState(hubUrl) {
+        if (hubUrl !== undefined) {
+            return this.hubs.get(hubUrl)?.getState() ?? null;
+        }
+
+        const hubs = {};
+        const streams = [];
+
+        for (const [url, hub] of this.hubs) {
+            hubs[url] = hub.getState();
+            streams.push(...hubs[url].streams);
+        }
+
+        // Tabs that don't hold the shared connections report the leader's connection status
+        if (sharedConnection.active && !sharedConnection.isLeader) {
+            const localStreams = Array.from(sharedConnection.localRefs.values(), (ref) => ref.stream);
+
+            return {
+                isConnected: sharedConnection.leaderConnected,
+                streamCount: localStreams.length,
+                streams: localStreams,
+                hubs
+            };
+        }
+
+        const states = Object.values(hubs);
+
+        return {
+            isConnected: states.length > 0 && states.every((state) => state.isConnected),
+            streamCount: streams.length,
+            streams,
+            hubs
+        };
+    }
+};
+
+/**
+ * Builds the key of a stream reference on a hub.
+ * @param {string} hubUrl - The SignalR hub URL
+ * @param {string} streamName - The stream name
+ * @returns {string}
+ */
+function streamKey(hubUrl, streamName) {
+    return `${hubUrl}\n${streamName}`;
+}
+
+// Shares hub connections between tabs. The tab holding the leader lock connects to the hubs
+// for every tab; the other tabs send it their subscriptions and receive stream messages and
+// connection events over a BroadcastChannel.
+const sharedConnection = {
+    /** @type {boolean|null} Whether this tab shares connections; decided on first use */
+    active: null,
+
+    /** @type {string} ID of this tab */
+    tabId: createTabId(),
+
+    /** @type {BroadcastChannel|null} */
+    channel: null,
+
+    /** @type {boolean} Whether this tab holds the hub connections */
+    isLeader: false,
+
+    /** @type {Function|null} Releases the leader lock */
+    releaseLock: null,
+
+    /** @type {boolean} Whether the leader reported its connections as connected */
+    leaderConnected: false,
+
+    /**
+     * This tab's stream references. result settles with the outcome of the subscription, which
+     * followers learn from the leader; settle is cleared once it has. presenceCount counts the
+     * references subscribed with a presence identity, and identity is the first of them.
+     * @type {Map<string, { hubUrl: string, stream: string, options: object, count: number, presenceCount: number, identity: *, result: Promise<boolean>, settle: { resolve: Function, reject: Function }|null }>}
+     */
+    localRefs: new Map(),
+
+    /** @type {Map<string, Map<string, { hubUrl: string, stream: string, options: object, presence?: { identity: * } }>>} Leader only: references of other tabs by tab ID */
+    remoteRefs: new Map(),
+
+    /**
+     * Leader only: references subscribed through the hub managers. presence resolves with whether
+     * the leader holds a presence reference for the stream, or is null when no tab wants one.
+     * @type {Map<string, { hubUrl: string, stream: string, result: Promise<boolean>, presence: Promise<boolean>|null }>}
+     */
+    applied: new Map(),
+
+    /** @type {Map<string, Array<{ connectionId: string, identity: * }>>} Follower only: members of the streams this tab is present on, as relayed by the leader */
+    presenceMembers: new Map(),
+
+    /** @type {Map<number, { resolve: Function, reject: Function }>} Follower only: hub invocations sent to the leader, by ID */
+    invocations: new Map(),
+
+    /** @type {number} ID of the last hub invocation this tab sent to the leader */
+    lastInvocationId: 0,
+
+    /**
+     * Whether this tab shares connections. Sharing is enabled on first use when configured
+     * and supported by the browser.
+     * @returns {boolean}
+     */
+    isActive() {
+        if (this.active === null) {
+            this.active = isSharingEnabled() && this.start();
+        }
+
+        return this.active;
+    },
+
+    /**
+     * Opens the channel and asks for the leader lock. The lock is held until the tab closes,
+     * when the next tab in line becomes the leader.
+     * @returns {boolean} False if the browser lacks BroadcastChannel or Web Locks
+     */
+    start() {
+        const locks = typeof navigator !== 'undefined' ? navigator.locks : undefined;
+
+        if (typeof BroadcastChannel === 'undefined' || !locks) {
+            // eslint-disable-next-line no-console
+            console.warn('Connection sharing needs BroadcastChannel and Web Locks; this tab will use its own connection.');
+            return false;
+        }
+
+        this.channel = new BroadcastChannel(SHARED_CONNECTION_NAME);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        locks.request(`${SHARED_CONNECTION_NAME}-leader`, () => new Promise((resolve) => {
+            this.releaseLock = resolve;
+            this.becomeLeader();
+        })).catch(() => {});
+
+        return true;
+    },
+
+    /**
+     * Stops sharing in this tab: hands leadership to another tab and withdraws this tab's references.
+     */
+    stop() {
+        this.localRefs.forEach((ref) => ref.settle?.reject(
+            new TurboStreamError(ERROR_CODES.NETWORK_ERROR, 'Connection sharing stopped before the subscription completed')));
+        this.rejectInvocations('Connection sharing stopped before the invocation completed');
+
+        if (this.channel) {
+            this.post({ type: 'sync', tabId: this.tabId, refs: [] });
+            this.channel.close();
+        }
+
+        if (this.releaseLock) {
+            this.releaseLock();
+        }
+
+        this.active = null;
+        this.channel = null;
+        this.isLeader = false;
+        this.releaseLock = null;
+        this.leaderConnected = false;
+        this.localRefs.clear();
+        this.remoteRefs.clear();
+        this.applied.clear();
+        this.presenceMembers.clear();
+    },
+
+    /**
+     * Takes over the hub connections. Other tabs answer the announcement with their references.
+     */
+    becomeLeader() {
+        this.isLeader = true;
+        this.remoteRefs.clear();
+        this.presenceMembers.clear();
+        this.rejectInvocations('The leader tab changed before the invocation completed');
+        this.post({ type: 'leader', tabId: this.tabId });
+        this.reconcile();
+
+        // Subscriptions this tab was waiting on the old leader for are now made here
+        this.localRefs.forEach((ref, key) => {
+            if (ref.settle && this.applied.has(key)) {
+                this.settleRef(key, ref, this.applied.get(key).result);
+            }
+        });
+    },
+
+    /**
+     * Adds a stream reference for this tab.
+     * @param {string} streamName - The stream name
+     * @param {string} hubUrl - The SignalR hub URL
+     * @param {object} options - Connection options for the hub
+     * @returns {Promise<boolean>} The subscription result, which follower tabs receive from the leader
+     * @throws {TurboStreamError} With the code of the failure
+     */
+    async subscribe(streamName, hubUrl, options) {
+        if (typeof streamName !== 'string') {
+            throw new TurboStreamError(ERROR_CODES.STREAM_NAME_INVALID, 'Stream name is required and must be a string');
+        }
+
+        const trimmedName = streamName.trim();
+        if (trimmedName.length === 0) {
+            throw new TurboStreamError(ERROR_CODES.STREAM_NAME_INVALID, 'Stream name cannot be empty or whitespace');
+        }
+
+        const key = streamKey(hubUrl, trimmedName);
+        const ref = this.localRefs.get(key);
+        const hasPresence = options.presence !== undefined;
+
+        if (ref) {
+            ref.count += 1;
+
+            // The first presence reference asks the leader to join the stream's presence
+            if (hasPresence && ref.presenceCount++ === 0) {
+                ref.identity = options.presence;
+
+                if (this.isLeader) {
+                    this.reconcile();
+                } else {
+                    this.syncToLeader();
+                }
+            }
+
+            return ref.result;
+        }
+
+        // Presence is joined by the leader separately from the subscription, see reconcile
+        const connectionOptions = { ...options };
+        delete connectionOptions.presence;
+
+        const newRef = {
+            hubUrl,
+            stream: trimmedName,
+            options: connectionOptions,
+            count: 1,
+            presenceCount: hasPresence ? 1 : 0,
+            identity: options.presence,
+            settle: null
+        };
+        newRef.result = new Promise((resolve, reject) => {
+            newRef.settle = { resolve, reject };
+        });
+        this.localRefs.set(key, newRef);
+
+        if (this.isLeader) {
+            this.settleRef(key, newRef, this.applied.get(key)?.result ?? this.apply(key, newRef));
+
+            if (hasPresence) {
+                this.reconcile();
+            }
+        } else {
+            this.syncToLeader();
+        }
+
+        return newRef.result;
+    },
+
+    /**
+     * Settles a reference of this tab with the outcome of its subscription. A denied or failed
+     * reference is dropped, so the leader stops holding the stream for this tab.
+     * @param {string} key - The reference key
+     * @param {object} ref - The reference, as stored in localRefs
+     * @param {Promise<boolean>} outcome - Resolves with whether the hub allowed the subscription
+     */
+    settleRef(key, ref, outcome) {
+        outcome.then(
+            (subscribed) => this.finishRef(key, ref, subscribed === true, null),
+            (error) => this.finishRef(key, ref, false, toStreamError(error))
+        );
+    },
+
+    /**
+     * Resolves or rejects the pending result of a reference.
+     * @param {string} key - The reference key
+     * @param {object} ref - The reference, as stored in localRefs
+     * @param {boolean} subscribed - Whether the hub allowed the subscription
+     * @param {TurboStreamError|null} error - The error that prevented the subscription
+     */
+    finishRef(key, ref, subscribed, error) {
+        if (!ref.settle) {
+            return;
+        }
+
+        const { resolve, reject } = ref.settle;
+        ref.settle = null;
+
+        if ((error || !subscribed) && this.localRefs.get(key) === ref) {
+            this.localRefs.delete(key);
+
+            if (this.isLeader) {
+                this.reconcile();
+            } else {
+                this.syncToLeader();
+            }
+        }
+
+        if (error) {
+            reject(error);
+        } else {
+            resolve(subscribed);
+        }
+    },
+
+    /**
+     * Removes a stream reference for this tab.
+     * @param {string} streamName - The stream name
+     * @param {string} hubUrl - The SignalR hub URL
+     * @param {object} [options] - Pass { presence: true } for a reference that was subscribed with a presence identity
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(streamName, hubUrl, options = {}) {
+        if (!streamName) {
+            return;
+        }
+
+        const key = streamKey(hubUrl, streamName.trim());
+        const ref = this.localRefs.get(key);
+
+        if (!ref) {
+            return;
+        }
+
+        ref.count -= 1;
+
+        const leftPresence = options.presence === true && ref.presenceCount > 0 && --ref.presenceCount === 0;
+
+        if (leftPresence) {
+            this.presenceMembers.delete(key);
+        }
+
+        if (ref.count > 0) {
+            // The stream stays referenced; only the leader's presence is withdrawn
+            if (leftPresence) {
+                if (this.isLeader) {
+                    await this.reconcile();
+                } else {
+                    this.syncToLeader();
+                }
+            }
+
+            return;
+        }
+
+        this.localRefs.delete(key);
+
+        if (this.isLeader) {
+            await this.reconcile();
+        } else {
+            this.syncToLeader();
+        }
+    },
+
+    /**
+     * Sends this tab's references to the leader.
+     */
+    syncToLeader() {
+        const refs = Array.from(this.localRefs.values(), ({ hubUrl, stream, options, presenceCount, identity }) => presenceCount > 0
+            ? { hubUrl, stream, options, presence: { identity } }
+            : { hubUrl, stream, options });
+        this.post({ type: 'sync', tabId: this.tabId, refs });
+    },
+
+    /**
+     * Subscribes a reference through the hub managers on behalf of one or more tabs.
+     * @param {string} key - The reference key
+     * @param {{ hubUrl: string, stream: string, options?: object }} ref - The reference
+     * @returns {Promise<boolean>}
+     */
+    apply(key, ref) {
+        const result = connectionManager.getHub(ref.hubUrl).subscribe(ref.stream, ref.options || {});
+        const applied = { hubUrl: ref.hubUrl, stream: ref.stream, result, presence: null };
+
+        this.applied.set(key, applied);
+        result.catch(() => {
+            if (this.applied.get(key) === applied) {
+                this.applied.delete(key);
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Leader only: sends another tab the outcome of a subscription it asked for.
+     * @param {string} tabId - The ID of the tab
+     * @param {string} key - The reference key
+     */
+    sendResult(tabId, key) {
+        const applied = this.applied.get(key);
+
+        if (!applied) {
+            return;
+        }
+
+        const { hubUrl, stream } = applied;
+
+        applied.result.then(
+            (subscribed) => this.post({ type: 'result', tabId: this.tabId, to: tabId, hubUrl, stream, subscribed: subscribed === true }),
+            (error) => {
+                const streamError = toStreamError(error);
+                this.post({
+                    type: 'result',
+                    tabId: this.tabId,
+                    to: tabId,
+                    hubUrl,
+                    stream,
+                    subscribed: false,
+                    error: { code: streamError.code, message: streamError.message }
+                });
+            }
+        );
+    },
+
+    /**
+     * Leader only: subscribes every stream some tab references and unsubscribes the rest.
+     * Presence is joined through a second reference on the leader's hub while any tab wants it,
+     * with the identity of the first such tab, and left when none does.
+     * @returns {Promise<void>}
+     */
+    async reconcile() {
+        const wanted = new Map(this.localRefs);
+        const wantedPresence = new Map();
+
+        this.localRefs.forEach((ref, key) => {
+            if (ref.presenceCount > 0) {
+                wantedPresence.set(key, ref.identity);
+            }
+        });
+
+        for (const refs of this.remoteRefs.values()) {
+            refs.forEach((ref, key) => {
+                if (!wanted.has(key)) {
+                    wanted.set(key, ref);
+                }
+
+                if (ref.presence && !wantedPresence.has(key)) {
+                    wantedPresence.set(key, ref.presence.identity);
+                }
+            });
+        }
+
+        const pending = [];
+
+        for (const [key, ref] of wanted) {
+            if (!this.applied.has(key)) {
+                pending.push(this.apply(key, ref).catch((error) => {
+                    // eslint-disable-next-line no-console
+                    console.warn('Error subscribing to shared stream:', ref.stream, error);
+                }));
+            }
+        }
+
+        for (const [key, ref] of this.applied) {
+            const hub = connectionManager.getHub(ref.hubUrl);
+
+            if (!wanted.has(key)) {
+                this.applied.delete(key);
+                pending.push(this.leavePresence(ref), hub.unsubscribe(ref.stream));
+            } else if (wantedPresence.has(key) && !ref.presence) {
+                ref.presence = hub.subscribe(ref.stream, { presence: wantedPresence.get(key) }).catch((error) => {
+                    // eslint-disable-next-line no-console
+                    console.warn('Error joining presence on shared stream:', ref.stream, error);
+                    return false;
+                });
+                pending.push(ref.presence);
+            } else if (!wantedPresence.has(key) && ref.presence) {
+                pending.push(this.leavePresence(ref));
+            }
+        }
+
+        await Promise.all(pending);
+    },
+
+    /**
+     * Leader only: releases the presence reference held for an applied reference.
+     * @param {{ hubUrl: string, stream: string, presence: Promise<boolean>|null }} ref - The applied reference
+     * @returns {Promise<void>}
+     */
+    async leavePresence(ref) {
+        const presence = ref.presence;
+        ref.presence = null;
+
+        if (presence && await presence) {
+            await connectionManager.getHub(ref.hubUrl).unsubscribe(ref.stream, { presence: true });
+        }
+    },
+
+    /**
+     * Leader only: sends the other tabs the members of a stream once the leader is present on it,
+     * for a tab that asked for presence after the leader joined.
+     * @param {string} key - The reference key
+     */
+    sendPresence(key) {
+        const applied = this.applied.get(key);
+
+        applied?.presence?.then((joined) => {
+            const hub = connectionManager.getHub(applied.hubUrl);
+
+            if (joined && hub.presenceMembers.has(applied.stream)) {
+                hub.dispatchPresenceEvent(applied.stream, 'list', null);
+            }
+        });
+    },
+
+    /**
+     * Gets the members of a stream this follower tab is present on.
+     * @param {string} streamName - The stream name
+     * @param {string} hubUrl - The SignalR hub URL
+     * @returns {Array<{ connectionId: string, identity: * }>}
+     */
+    getPresence(streamName, hubUrl) {
+        return this.presenceMembers.get(streamKey(hubUrl, streamName)) ?? [];
+    },
+
+    /**
+     * Invokes a hub method on the leader's connection. Follower tabs send the call to the
+     * leader, which answers with the method's result.
+     * @param {string} hubUrl - The SignalR hub URL
+     * @param {string} method - The hub method name
+     * @param {*} payload - The argument passed to the hub method
+     * @returns {Promise<*>} The value returned by the hub method
+     * @throws {TurboStreamError} With the code of the failure, when a follower's call fails
+     */
+    async invoke(hubUrl, method, payload) {
+        if (this.isLeader) {
+            const connection = await connectionManager.getConnection(hubUrl);
+            return connection.invoke(method, payload);
+        }
+
+        const id = ++this.lastInvocationId;
+
+        return new Promise((resolve, reject) => {
+            this.invocations.set(id, { resolve, reject });
+            this.post({ type: 'invoke', tabId: this.tabId, id, hubUrl, method, payload });
+        });
+    },
+
+    /**
+     * Leader only: invokes a hub method for another tab and sends it the outcome.
+     * @param {{ tabId: string, id: number, hubUrl: string, method: string, payload: * }} message - The invoke message
+     * @returns {Promise<void>}
+     */
+    async invokeFor({ tabId, id, hubUrl, method, payload }) {
+        const reply = { type: 'invoke-result', tabId: this.tabId, to: tabId, id };
+
+        try {
+            const connection = await connectionManager.getConnection(hubUrl);
+            this.post({ ...reply, result: await connection.invoke(method, payload) });
+        } catch (error) {
+            const streamError = toStreamError(error);
+            this.post({ ...reply, error: { code: streamError.code, message: streamError.message } });
+        }
+    },
 
-    /** @type {Map<string, number>} Stream name to reference count */
-    streamRefs: new Map(),
+    /**
+     * Rejects the hub invocations waiting on a leader that is gone, since it may never answer.
+     * @param {string} reason - The error message
+     */
+    rejectInvocations(reason) {
+        const invocations = this.invocations;
+        this.invocations = new Map();
+
+        invocations.forEach(({ reject }) => reject(new TurboStreamError(ERROR_CODES.NETWORK_ERROR, reason)));
+    },
+
+    /**
+     * Leader only: forgets the references of a closed hub, or of every hub, so they are
+     * subscribed again on the next reconcile.
+     * @param {string} hubUrl - The SignalR hub URL
+     */
+    forgetHub(hubUrl) {
+        for (const [key, ref] of this.applied) {
+            if (ref.hubUrl === hubUrl) {
+                this.applied.delete(key);
+            }
+        }
+    },
+
+    /**
+     * Handles a message from another tab.
+     * @param {object} message - The message
+     */
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId) {
+            return;
+        }
 
-    /** @type {Set<string>} Streams currently subscribed on the server */
-    subscribedStreams: new Set(),
+        if (this.isLeader) {
+            if (message.type === 'sync') {
+                const refs = new Map(message.refs.map((ref) => [streamKey(ref.hubUrl, ref.stream), ref]));
+                const previous = this.remoteRefs.get(message.tabId);
 
-    /** @type {string|null} Current hub URL */
-    hubUrl: null,
+                if (refs.size > 0) {
+                    this.remoteRefs.set(message.tabId, refs);
+                } else {
+                    this.remoteRefs.delete(message.tabId);
+                }
+
+                this.reconcile();
+
+                // Answer each new reference once its subscription settles
+                refs.forEach((ref, key) => {
+                    if (!previous?.has(key)) {
+                        this.sendResult(message.tabId, key);
+                    }
+
+                    if (ref.presence && !previous?.get(key)?.presence) {
+                        this.sendPresence(key);
+                    }
+                });
+            } else if (message.type === 'invoke') {
+                this.invokeFor(message);
+            }
+
+            return;
+        }
+
+        if (message.type === 'leader') {
+            this.leaderConnected = false;
+            this.rejectInvocations('The leader tab changed before the invocation completed');
+            this.syncToLeader();
+        } else if (message.type === 'result') {
+            const key = streamKey(message.hubUrl, message.stream);
+            const ref = this.localRefs.get(key);
+
+            if (message.to === this.tabId && ref) {
+                const error = message.error ? new TurboStreamError(message.error.code, message.error.message) : null;
+                this.finishRef(key, ref, message.subscribed === true, error);
+            }
+        } else if (message.type === 'stream') {
+            if (this.shouldRender(message.hubUrl, message.info)) {
+                connectionManager.handleTurboStream(message.html, message.info, message.hubUrl);
+            }
+        } else if (message.type === 'invoke-result') {
+            const invocation = message.to === this.tabId ? this.invocations.get(message.id) : undefined;
+
+            if (invocation) {
+                this.invocations.delete(message.id);
 
-    /** @type {boolean} Whether we're currently connected */
-    isConnected: false,
+                if (message.error) {
+                    invocation.reject(new TurboStreamError(message.error.code, message.error.message));
+                } else {
+                    invocation.resolve(message.result);
+                }
+            }
+        } else if (message.type === 'event') {
+            if (message.name === 'turbo:signalr:presence') {
+                const key = streamKey(message.detail.hubUrl, message.detail.stream);
 
-    /** @type {boolean} Whether we're currently connecting */
-    isConnecting: false,
+                if (this.localRefs.get(key)?.presenceCount > 0) {
+                    this.presenceMembers.set(key, message.detail.members);
+                }
+            }
 
-    /** @type {Array<Function>} Callbacks waiting for connection */
-    connectionCallbacks: [],
+            this.leaderConnected = message.isConnected;
+            document.dispatchEvent(new CustomEvent(message.name, { detail: message.detail }));
+            connectionManager.notifyStateChange();
+        }
+    },
 
     /**
-     * Gets or creates a connection to the specified hub URL.
-     * @param {string} hubUrl - The SignalR hub URL
-     * @returns {Promise<signalR.HubConnection>}
+     * Whether this tab renders a stream message, which it does only for streams it references.
+     * Messages without stream metadata are rendered by every tab using the hub.
+     * @param {string} hubUrl - The hub the message came from
+     * @param {{ stream: string }|undefined} info - Message metadata sent by the hub
+     * @returns {boolean}
      */
-    async getConnection(hubUrl) {
-        // If we have a connection to a different URL, close it
-        if (this.connection && this.hubUrl !== hubUrl) {
-            await this.closeConnection();
+    shouldRender(hubUrl, info) {
+        if (!this.active) {
+            return true;
         }
 
-        // If already connected, return the connection
-        if (this.connection && this.isConnected) {
-            return this.connection;
+        if (info && typeof info.stream === 'string') {
+            return this.localRefs.has(streamKey(hubUrl, info.stream));
         }
 
-        // If currently connecting, wait for it
-        if (this.isConnecting) {
-            return new Promise((resolve) => {
-                this.connectionCallbacks.push(() => resolve(this.connection));
-            });
+        return Array.from(this.localRefs.values()).some((ref) => ref.hubUrl === hubUrl);
+    },
+
+    /**
+     * Leader only: forwards a stream message to the other tabs.
+     * @param {string} hubUrl - The hub the message came from
+     * @param {string} html - The Turbo Stream HTML
+     * @param {object|undefined} info - Message metadata sent by the hub
+     */
+    publishStream(hubUrl, html, info) {
+        if (this.active && this.isLeader) {
+            this.post({ type: 'stream', tabId: this.tabId, hubUrl, html, info });
         }
+    },
 
-        // Create new connection
-        this.isConnecting = true;
-        this.hubUrl = hubUrl;
+    /**
+     * Leader only: forwards a connection event to the other tabs.
+     * @param {string} eventName - The event name
+     * @param {object} detail - The event detail
+     */
+    relayEvent(eventName, detail) {
+        if (this.active && this.isLeader) {
+            const isConnected = connectionManager.getState().isConnected;
+            this.post({ type: 'event', tabId: this.tabId, name: eventName, detail, isConnected });
+        }
+    },
 
-        this.connection = new signalR.HubConnectionBuilder()
-            .withUrl(hubUrl)
-            .withAutomaticReconnect({
-                nextRetryDelayInMilliseconds: (retryContext) => {
-                    // Exponential backoff: 0s, 2s, 4s, 8s, 16s, max 30s
-                    const delay = Math.min(Math.pow(2, retryContext.previousRetryCount) * 1000, 30000);
-                    return delay;
-                }
-            })
-            .configureLogging(signalR.LogLevel.Warning)
-            .build();
+    /**
+     * Posts a message to the other tabs.
+     * @param {object} message - The message
+     */
+    post(message) {
+        try {
+            this.channel?.postMessage(message);
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('Error sending message to other tabs:', error);
+        }
+    }
+};
 
+/**
+ * How far outside the viewport a loading="lazy" element starts subscribing.
+ */
+const LAZY_ROOT_MARGIN = '200px';
 
+/**
+ * Custom element for Turbo Stream sources via SignalR.
+ *
+ * With loading="lazy", the element subscribes only once it nears the viewport. With
+ * unsubscribe-when-hidden, it releases its subscription when it scrolls away and refreshes
+ * its region when it subscribes again.
+ *
+ * @example
+ * <turbo-stream-source-signalr stream="notifications" hub-url="/turbo-hub">
+ * </turbo-stream-source-signalr>
+ */
+class TurboStreamSourceSignalR extends HTMLElement {
+    static get observedAttributes() {
+        return ['stream', 'hub-url'];
+    }
 
-        // Set up message handler
-        this.connection.on('TurboStream', (html) => {
-            this.handleTurboStream(html);
-        });
+    constructor() {
+        super();
+        this._streamName = null;
+        this._hubUrl = null;
+        this._subscribed = false;
+        this._subscribedHubUrl = null;
+        this._attached = false;
+        this._observer = null;
+        this._inViewport = false;
+        this._syncingViewport = false;
+        this._releasedWhileHidden = false;
+    }
 
-        // Set up reconnection handlers
-        this.connection.onreconnecting(() => {
-            this.isConnected = false;
-            this.dispatchConnectionEvent('turbo:signalr:reconnecting');
-        });
+    /**
+     * Called when the element is added to the DOM.
+     */
+    async connectedCallback() {
+        this._attached = true;
+        this._streamName = this.getAttribute('stream');
+        this._hubUrl = this.getAttribute('hub-url') || DEFAULT_HUB_URL;
 
-        this.connection.onreconnected(async () => {
-            this.isConnected = true;
-            this.dispatchConnectionEvent('turbo:signalr:reconnected');
+        if (this._observesViewport()) {
+            // Entries are queued in order, so the last one is the element's current position
+            this._observer = new IntersectionObserver(
+                (entries) => this._handleIntersection(entries[entries.length - 1].isIntersecting),
+                { rootMargin: LAZY_ROOT_MARGIN }
+            );
+            this._observer.observe(this);
 
-            // Resubscribe to all active streams
-            await this.resubscribeAll();
-        });
+            // Eager elements count as visible until the observer reports otherwise. Subscribing
+            // through the viewport sync releases the stream if the element turns out to start
+            // offscreen while the subscription is in flight.
+            if (this.getAttribute('loading') !== 'lazy') {
+                await this._handleIntersection(true);
+            }
 
-        this.connection.onclose(() => {
-            this.isConnected = false;
-            this.subscribedStreams.clear();
-            this.dispatchConnectionEvent('turbo:signalr:disconnected');
-        });
+            return;
+        }
 
-        try {
-            await this.connection.start();
-            this.isConnected = true;
-            this.isConnecting = false;
-            this.dispatchConnectionEvent('turbo:signalr:connected');
+        if (this._streamName) {
+            await this._subscribe();
+        }
+    }
 
-            // Notify any waiting callbacks
-            this.connectionCallbacks.forEach((cb) => cb());
-            this.connectionCallbacks = [];
+    /**
+     * Called when the element is removed from the DOM.
+     */
+    async disconnectedCallback() {
+        this._attached = false;
+        this._observer?.disconnect();
+        this._observer = null;
+        this._inViewport = false;
+        this._releasedWhileHidden = false;
 
-            return this.connection;
-        } catch (error) {
-            this.isConnecting = false;
-            this.dispatchConnectionEvent('turbo:signalr:error', { error });
-            throw error;
+        if (this._subscribed && this._streamName) {
+            await this._unsubscribe();
         }
-    },
+    }
 
     /**
-     * Closes the current connection.
+     * Called when an observed attribute changes.
+     * @param {string} name - Attribute name
+     * @param {string|null} oldValue - Previous value
+     * @param {string|null} newValue - New value
      */
-    async closeConnection() {
-        if (this.connection) {
-            await this.connection.stop();
-            this.connection = null;
-            this.hubUrl = null;
-            this.isConnected = false;
-            this.subscribedStreams.clear();
+    async attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) {
+            return;
         }
-    },
+
+        if (name === 'stream') {
+            // Unsubscribe from old stream
+            if (this._subscribed && this._streamName) {
+                await this._unsubscribe();
+            }
+
+            // Subscribe to new stream; a lazy element out of view waits until it is visible.
+            // During an upgrade this runs before connectedCallback, which subscribes instead.
+            this._streamName = newValue;
+            this._releasedWhileHidden = false;
+            if (this._streamName && this._attached && !this._waitsForViewport()) {
+                await this._subscribe();
+            }
+        } else if (name === 'hub-url') {
+            this._hubUrl = newValue || DEFAULT_HUB_URL;
+
+            // Move the subscription to the new hub; other elements keep their connections
+            if (this._subscribed && this._streamName) {
+                await this._unsubscribe();
+                await this._subscribe();
+            }
+        }
+    }
 
     /**
-     * Subscribes to a stream, incrementing the reference count.
-     * @param {string} streamName - The stream name to subscribe to
-     * @param {string} hubUrl - The SignalR hub URL
-     * @returns {Promise<boolean>} True if subscription was successful
+     * Subscribes to the current stream.
      */
-    async subscribe(streamName, hubUrl) {
-        if (typeof streamName !== 'string') {
-            throw new Error('Stream name is required and must be a string');
+    async _subscribe() {
+        if (!this._streamName) {
+            return;
         }
 
-        const trimmedName = streamName.trim();
-        if (trimmedName.length === 0) {
-            throw new Error('Stream name cannot be empty or whitespace');
+        // Ensure hubUrl is set (may not be if attributeChangedCallback fires for 'stream' before 'hub-url')
+        if (!this._hubUrl) {
+            this._hubUrl = this.getAttribute('hub-url') || DEFAULT_HUB_URL;
         }
 
-        // Increment reference count
-        const currentCount = this.streamRefs.get(trimmedName) || 0;
-        this.streamRefs.set(trimmedName, currentCount + 1);
+        try {
+            const hubUrl = this._hubUrl;
+            const success = await connectionManager.subscribe(this._streamName, hubUrl, this._connectionOptions());
+            this._subscribed = success;
+            this._subscribedHubUrl = success ? hubUrl : null;
 
-        // If this is the first reference, subscribe on the server
-        if (currentCount === 0) {
-            try {
-                const connection = await this.getConnection(hubUrl);
-                const success = await connection.invoke('Subscribe', trimmedName);
+            // The element was removed while the subscription was in flight
+            if (success && !this.isConnected) {
+                await this._unsubscribe();
+                return;
+            }
 
-                if (success) {
-                    this.subscribedStreams.add(trimmedName);
-                    return true;
-                } else {
-                    // Subscription was denied (authorization failed)
-                    this.streamRefs.set(trimmedName, currentCount);
-                    return false;
-                }
-            } catch (error) {
-                // Rollback reference count on error
-                this.streamRefs.set(trimmedName, currentCount);
-                throw error;
+            if (!success) {
+                this.dispatchEvent(new CustomEvent('turbo:stream:unauthorized', {
+                    bubbles: true,
+                    detail: { stream: this._streamName, code: ERROR_CODES.SUBSCRIPTION_DENIED }
+                }));
             }
+        } catch (error) {
+            this.dispatchEvent(new CustomEvent('turbo:stream:error', {
+                bubbles: true,
+                detail: { stream: this._streamName, error, code: error.code }
+            }));
         }
+    }
 
-        return true;
-    },
+    /**
+     * Unsubscribes from the current stream on the hub it was subscribed through.
+     * @param {object} [options] - Options passed to connectionManager.unsubscribe
+     */
+    async _unsubscribe(options = {}) {
+        const hubUrl = this._subscribedHubUrl || this.hubUrl;
+        this._subscribed = false;
+        this._subscribedHubUrl = null;
+        await connectionManager.unsubscribe(this._streamName, hubUrl, options);
+    }
 
     /**
-     * Unsubscribes from a stream, decrementing the reference count.
-     * @param {string} streamName - The stream name to unsubscribe from
-     * @returns {Promise<void>}
+     * Whether the element watches its position in the viewport, through loading="lazy"
+     * or unsubscribe-when-hidden. Without IntersectionObserver, it subscribes right away.
+     * @returns {boolean}
      */
-    async unsubscribe(streamName) {
-        if (!streamName) {
-            return;
+    _observesViewport() {
+        return typeof IntersectionObserver !== 'undefined' &&
+            (this.getAttribute('loading') === 'lazy' || this.hasAttribute('unsubscribe-when-hidden'));
+    }
+
+    /**
+     * Whether the element should hold off subscribing until it nears the viewport.
+     * @returns {boolean}
+     */
+    _waitsForViewport() {
+        if (this._observer) {
+            return !this._inViewport;
         }
 
-        const trimmedName = streamName.trim();
-        const currentCount = this.streamRefs.get(trimmedName) || 0;
+        return this._observesViewport() && this.getAttribute('loading') === 'lazy';
+    }
 
-        if (currentCount <= 0) {
+    /**
+     * Handles the element entering or leaving the area near the viewport.
+     * @param {boolean} isIntersecting - Whether the element is near the viewport
+     */
+    async _handleIntersection(isIntersecting) {
+        this._inViewport = isIntersecting;
+
+        // Another pass is running; it picks up the new position when its current step finishes
+        if (this._syncingViewport) {
             return;
         }
 
-        const newCount = currentCount - 1;
+        this._syncingViewport = true;
 
-        if (newCount === 0) {
-            // Last reference, unsubscribe from server
-            this.streamRefs.delete(trimmedName);
-            this.subscribedStreams.delete(trimmedName);
+        try {
+            while (this.isConnected && this._streamName) {
+                if (this._inViewport && !this._subscribed) {
+                    // The hub replays what was missed while released when the stream kept its sequence number
+                    const refresh = this._releasedWhileHidden && !connectionManager.canReplay(this._streamName, this.hubUrl);
 
-            if (this.connection && this.isConnected) {
-                try {
-                    await this.connection.invoke('Unsubscribe', trimmedName);
-                } catch (error) {
-                    // Ignore errors during unsubscribe (connection might be closing)
-                    // eslint-disable-next-line no-console
-                    console.warn('Error unsubscribing from stream:', error);
+                    await this._subscribe();
+
+                    if (!this._subscribed) {
+                        break;
+                    }
+
+                    if (this._releasedWhileHidden) {
+                        this._releasedWhileHidden = false;
+
+                        if (refresh) {
+                            this._refreshRegion();
+                        }
+                    }
+                } else if (!this._inViewport && this._subscribed && this.hasAttribute('unsubscribe-when-hidden')) {
+                    this._releasedWhileHidden = true;
+                    await this._unsubscribe({ keepSequence: true });
+                } else {
+                    break;
                 }
             }
+        } finally {
+            this._syncingViewport = false;
+        }
+    }
+
+    /**
+     * Refreshes the content this element's stream updates, after it missed messages while
+     * unsubscribed that the hub cannot replay: reloads the enclosing turbo-frame with a src,
+     * or morphs the page.
+     */
+    _refreshRegion() {
+        const frame = this.closest('turbo-frame[src]');
+
+        if (frame && typeof frame.reload === 'function') {
+            frame.reload();
         } else {
-            this.streamRefs.set(trimmedName, newCount);
+            connectionManager.scheduleRefreshOnReconnect('morph');
         }
-    },
+    }
 
     /**
-     * Resubscribes to all active streams after reconnection.
+     * Handles the hub denying this element's stream on resubscribe. Dispatches a cancelable
+     * turbo:stream:expired event and, unless it is canceled, fetches a freshly signed stream
+     * name from the refresh-url attribute and subscribes to it.
      */
-    async resubscribeAll() {
-        if (!this.connection || !this.isConnected) {
+    async _expire() {
+        const refreshUrl = this.getAttribute('refresh-url');
+        const proceed = this.dispatchEvent(new CustomEvent('turbo:stream:expired', {
+            bubbles: true,
+            cancelable: true,
+            detail: { stream: this._streamName, hubUrl: this.hubUrl, refreshUrl }
+        }));
+
+        if (!proceed || !refreshUrl) {
             return;
         }
 
-        const streamsToResubscribe = Array.from(this.streamRefs.keys());
+        try {
+            const response = await fetch(refreshUrl, {
+                credentials: 'same-origin',
+                headers: { Accept: 'text/plain' }
+            });
+
+            if (!response.ok) {
+                throw Object.assign(new Error(`Renewing the stream name failed with status ${response.status}`), {
+                    statusCode: response.status
+                });
+            }
 
-        for (const streamName of streamsToResubscribe) {
-            try {
-                const success = await this.connection.invoke('Subscribe', streamName);
-                if (success) {
-                    this.subscribedStreams.add(streamName);
-                }
-            } catch (error) {
-                // eslint-disable-next-line no-console
-                console.warn('Error resubscribing to stream:', streamName, error);
+            const streamName = (await response.text()).trim();
+
+            if (!streamName || streamName === this._streamName) {
+                throw new TurboStreamError(ERROR_CODES.SUBSCRIPTION_DENIED, 'The refresh URL did not return a new stream name');
             }
+
+            // Moves the subscription to the new name through attributeChangedCallback
+            this.stream = streamName;
+        } catch (error) {
+            const streamError = toStreamError(error);
+
+            this.dispatchEvent(new CustomEvent('turbo:stream:error', {
+                bubbles: true,
+                detail: { stream: this._streamName, error: streamError, code: streamError.code }
+            }));
         }
-    },
+    }
 
     /**
-     * Handles incoming Turbo Stream messages.
-     * @param {string} html - The Turbo Stream HTML
+     * Builds the connection options declared on this element.
+     * @returns {object}
      */
-    handleTurboStream(html) {
-        if (!html) {
-            return;
-        }
+    _connectionOptions() {
+        return resolveConnectionOptions(this);
+    }
 
-        // Check if Turbo.js is available
-        if (typeof window !== 'undefined' && window.Turbo && typeof window.Turbo.renderStreamMessage === 'function') {
-            window.Turbo.renderStreamMessage(html);
-        } else {
-            // eslint-disable-next-line no-console
-            console.warn(
-                'Turbo.js is not loaded. Turbo Stream message was received but cannot be rendered. ' +
-                'Please load Turbo.js before the SignalR adapter. The stream message has been dropped.'
-            );
-        }
-    },
+    /**
+     * Gets the current stream name.
+     * @returns {string|null}
+     */
+    get stream() {
+        return this._streamName;
+    }
 
     /**
-     * Dispatches a custom event on the document.
-     * @param {string} eventName - The event name
-     * @param {object} detail - Optional event detail
+     * Sets the stream name.
+     * @param {string} value
      */
-    dispatchConnectionEvent(eventName, detail = {}) {
-        if (typeof document !== 'undefined') {
-            detail.connectionId = this.connection?.connectionId ?? null;
-            document.dispatchEvent(new CustomEvent(eventName, { detail }));
-        }
-    },
+    set stream(value) {
+        this.setAttribute('stream', value);
+    }
 
     /**
-     * Gets the current connection state.
-     * @returns {{ isConnected: boolean, streamCount: number, streams: string[] }}
+     * Gets the hub URL.
+     * @returns {string}
      */
-    getState() {
-        return {
-            isConnected: this.isConnected,
-            streamCount: this.streamRefs.size,
-            streams: Array.from(this.streamRefs.keys())
-        };
+    get hubUrl() {
+        return this._hubUrl || DEFAULT_HUB_URL;
     }
-};
+
+    /**
+     * Sets the hub URL.
+     * @param {string} value
+     */
+    set hubUrl(value) {
+        this.setAttribute('hub-url', value);
+    }
+}
 
 /**
- * Custom element for Turbo Stream sources via SignalR.
+ * Custom element that announces presence on a stream and shows who else is present.
+ * Each member is rendered from the element's template; elements in the template with
+ * data-presence-field are filled with that field of the member's identity.
  *
  * @example
- * <turbo-stream-source-signalr stream="notifications" hub-url="/turbo-hub">
- * </turbo-stream-source-signalr>
+ * <turbo-presence stream="document:42" identity='{"name":"Ann"}'>
+ *   <template><span class="avatar" data-presence-field="name"></span></template>
+ * </turbo-presence>
  */
-class TurboStreamSourceSignalR extends HTMLElement {
-    static get observedAttributes() {
-        return ['stream', 'hub-url'];
-    }
-
+class TurboPresence extends HTMLElement {
     constructor() {
         super();
         this._streamName = null;
         this._hubUrl = null;
         this._subscribed = false;
+        this._rendered = [];
+        this._onPresence = (event) => this._handlePresence(event);
     }
 
     /**
@@ -306,10 +3734,32 @@ class TurboStreamSourceSignalR extends HTMLElement {
      */
     async connectedCallback() {
         this._streamName = this.getAttribute('stream');
-        this._hubUrl = this.getAttribute('hub-url') || '/turbo-hub';
+        this._hubUrl = this.getAttribute('hub-url') || DEFAULT_HUB_URL;
 
-        if (this._streamName) {
-            await this._subscribe();
+        if (!this._streamName) {
+            return;
+        }
+
+        document.addEventListener('turbo:signalr:presence', this._onPresence);
+
+        const options = { ...resolveConnectionOptions(this), presence: this._identity() };
+
+        try {
+            this._subscribed = await connectionManager.subscribe(this._streamName, this._hubUrl, options);
+
+            // The element was removed while the subscription was in flight
+            if (this._subscribed && !this.isConnected) {
+                this._subscribed = false;
+                await connectionManager.unsubscribe(this._streamName, this._hubUrl, { presence: true });
+                return;
+            }
+
+            this._render();
+        } catch (error) {
+            this.dispatchEvent(new CustomEvent('turbo:stream:error', {
+                bubbles: true,
+                detail: { stream: this._streamName, error, code: error.code }
+            }));
         }
     }
 
@@ -317,132 +3767,439 @@ class TurboStreamSourceSignalR extends HTMLElement {
      * Called when the element is removed from the DOM.
      */
     async disconnectedCallback() {
-        if (this._subscribed && this._streamName) {
-            await connectionManager.unsubscribe(this._streamName);
+        document.removeEventListener('turbo:signalr:presence', this._onPresence);
+
+        if (this._subscribed) {
             this._subscribed = false;
+            await connectionManager.unsubscribe(this._streamName, this._hubUrl, { presence: true });
         }
     }
 
     /**
-     * Called when an observed attribute changes.
-     * @param {string} name - Attribute name
-     * @param {string|null} oldValue - Previous value
-     * @param {string|null} newValue - New value
+     * Gets the members present on the stream.
+     * @returns {Array<{ connectionId: string, identity: * }>}
      */
-    async attributeChangedCallback(name, oldValue, newValue) {
-        if (oldValue === newValue) {
+    get members() {
+        return this._streamName ? connectionManager.getPresence(this._streamName, this._hubUrl) : [];
+    }
+
+    /**
+     * Reads the identity attribute as JSON, or as a plain string when it isn't JSON.
+     * @returns {*}
+     */
+    _identity() {
+        const value = this.getAttribute('identity');
+
+        if (value === null) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+
+    /**
+     * Re-renders when the members of this element's stream change.
+     * @param {CustomEvent} event - The turbo:signalr:presence event
+     */
+    _handlePresence(event) {
+        if (event.detail.stream === this._streamName && event.detail.hubUrl === this._hubUrl) {
+            this._render();
+        }
+    }
+
+    /**
+     * Renders one copy of the template per member and updates the data-count attribute.
+     */
+    _render() {
+        const members = this.members;
+        this.setAttribute('data-count', String(members.length));
+
+        const template = this.querySelector(':scope > template');
+        if (!template) {
             return;
         }
 
-        if (name === 'stream') {
-            // Unsubscribe from old stream
-            if (this._subscribed && this._streamName) {
-                await connectionManager.unsubscribe(this._streamName);
-                this._subscribed = false;
-            }
+        this._rendered.forEach((node) => node.remove());
+        this._rendered = [];
 
-            // Subscribe to new stream
-            this._streamName = newValue;
-            if (this._streamName && this.isConnected) {
-                await this._subscribe();
-            }
-        } else if (name === 'hub-url') {
-            this._hubUrl = newValue || '/turbo-hub';
+        for (const member of members) {
+            const fragment = template.content.cloneNode(true);
+            const identity = member.identity;
 
-            // Reconnect with new URL if already subscribed
-            if (this._subscribed && this._streamName) {
-                await connectionManager.unsubscribe(this._streamName);
-                this._subscribed = false;
-                await this._subscribe();
+            fragment.querySelectorAll('[data-presence-field]').forEach((field) => {
+                const name = field.getAttribute('data-presence-field');
+                const value = name && identity !== null && typeof identity === 'object' ? identity[name] : identity;
+                field.textContent = value ?? '';
+            });
+
+            for (const node of fragment.children) {
+                node.setAttribute('data-connection-id', member.connectionId);
             }
+
+            this._rendered.push(...fragment.childNodes);
+            this.appendChild(fragment);
         }
     }
+}
+
+/**
+ * Connection states shown by <turbo-signalr-status>, most severe first.
+ */
+const STATUS_STATES = Object.freeze(['error', 'disconnected', 'reconnecting', 'connecting', 'connected']);
+
+/**
+ * The connection state each connection event moves a hub to.
+ */
+const STATUS_EVENTS = Object.freeze({
+    'turbo:signalr:connecting': 'connecting',
+    'turbo:signalr:connected': 'connected',
+    'turbo:signalr:reconnecting': 'reconnecting',
+    'turbo:signalr:reconnected': 'connected',
+    'turbo:signalr:disconnected': 'disconnected',
+    'turbo:signalr:reconnect-failed': 'error',
+    'turbo:signalr:error': 'error'
+});
+
+/**
+ * Text shown for each state by a <turbo-signalr-status> element without templates.
+ */
+const STATUS_LABELS = Object.freeze({
+    error: 'Connection error',
+    disconnected: 'Disconnected',
+    reconnecting: 'Reconnecting…',
+    connecting: 'Connecting…',
+    connected: 'Connected'
+});
+
+/**
+ * Custom element that shows the state of the hub connections: connected, connecting,
+ * reconnecting, disconnected or error. The state is reflected in the data-state attribute
+ * and rendered from the child template with a matching data-state, or as a text label when
+ * the element has no templates. It is a polite live region, so changes are announced.
+ * Without a hub-url attribute, it shows the most severe state of any hub.
+ *
+ * @example
+ * <turbo-signalr-status>
+ *   <template data-state="connected"><span class="dot"></span> Live</template>
+ *   <template data-state="reconnecting">Reconnecting…</template>
+ * </turbo-signalr-status>
+ */
+class TurboSignalRStatus extends HTMLElement {
+    constructor() {
+        super();
+        this._states = new Map();
+        this._state = null;
+        this._rendered = [];
+        this._onConnectionEvent = (event) => this._handleConnectionEvent(event);
+    }
 
     /**
-     * Subscribes to the current stream.
+     * Called when the element is added to the DOM.
      */
-    async _subscribe() {
-        if (!this._streamName) {
-            return;
+    connectedCallback() {
+        if (!this.hasAttribute('role')) {
+            this.setAttribute('role', 'status');
         }
 
-        // Ensure hubUrl is set (may not be if attributeChangedCallback fires for 'stream' before 'hub-url')
-        if (!this._hubUrl) {
-            this._hubUrl = this.getAttribute('hub-url') || '/turbo-hub';
+        if (!this.hasAttribute('aria-live')) {
+            this.setAttribute('aria-live', 'polite');
         }
 
-        try {
-            const success = await connectionManager.subscribe(this._streamName, this._hubUrl);
-            this._subscribed = success;
+        if (!this.hasAttribute('aria-atomic')) {
+            this.setAttribute('aria-atomic', 'true');
+        }
 
-            if (!success) {
-                this.dispatchEvent(new CustomEvent('turbo:stream:unauthorized', {
-                    bubbles: true,
-                    detail: { stream: this._streamName }
-                }));
+        Object.keys(STATUS_EVENTS).forEach((name) => document.addEventListener(name, this._onConnectionEvent));
+
+        this._states.clear();
+        for (const hub of connectionManager.hubs.values()) {
+            if (this._watches(hub.hubUrl)) {
+                this._states.set(hub.hubUrl, this._hubState(hub));
             }
-        } catch (error) {
-            this.dispatchEvent(new CustomEvent('turbo:stream:error', {
-                bubbles: true,
-                detail: { stream: this._streamName, error }
-            }));
         }
+
+        this._render();
     }
 
     /**
-     * Gets the current stream name.
-     * @returns {string|null}
+     * Called when the element is removed from the DOM.
      */
-    get stream() {
-        return this._streamName;
+    disconnectedCallback() {
+        Object.keys(STATUS_EVENTS).forEach((name) => document.removeEventListener(name, this._onConnectionEvent));
     }
 
     /**
-     * Sets the stream name.
-     * @param {string} value
+     * Gets the connection state shown by the element.
+     * @returns {'error'|'disconnected'|'reconnecting'|'connecting'|'connected'}
      */
-    set stream(value) {
-        this.setAttribute('stream', value);
+    get state() {
+        return this._state;
     }
 
     /**
-     * Gets the hub URL.
+     * Whether the element shows the state of a hub.
+     * @param {string} hubUrl - The SignalR hub URL
+     * @returns {boolean}
+     */
+    _watches(hubUrl) {
+        const watched = this.getAttribute('hub-url');
+        return !watched || watched === hubUrl;
+    }
+
+    /**
+     * Reads the current state of a hub that was connected before the element.
+     * @param {HubConnectionManager} hub - The hub
      * @returns {string}
      */
-    get hubUrl() {
-        return this._hubUrl || '/turbo-hub';
+    _hubState(hub) {
+        if (hub.isConnected) {
+            return 'connected';
+        }
+
+        if (hub.isConnecting) {
+            return 'connecting';
+        }
+
+        return hub.restartPending ? 'reconnecting' : 'disconnected';
     }
 
     /**
-     * Sets the hub URL.
-     * @param {string} value
+     * Updates the state of the hub a connection event concerns.
+     * @param {CustomEvent} event - The connection event
      */
-    set hubUrl(value) {
-        this.setAttribute('hub-url', value);
+    _handleConnectionEvent(event) {
+        const hubUrl = event.detail?.hubUrl;
+
+        if (!hubUrl || !this._watches(hubUrl)) {
+            return;
+        }
+
+        // A hub closed because no element uses it anymore no longer counts
+        if (event.type === 'turbo:signalr:disconnected' && event.detail.intentional) {
+            this._states.delete(hubUrl);
+        } else {
+            this._states.set(hubUrl, STATUS_EVENTS[event.type]);
+        }
+
+        this._render();
+    }
+
+    /**
+     * Shows the most severe state of the watched hubs, if it changed.
+     */
+    _render() {
+        const states = new Set(this._states.values());
+        const state = STATUS_STATES.find((candidate) => states.has(candidate)) || 'disconnected';
+
+        if (state === this._state) {
+            return;
+        }
+
+        this._state = state;
+        this.setAttribute('data-state', state);
+
+        this._rendered.forEach((node) => node.remove());
+        this._rendered = [];
+
+        let fragment;
+        if (this.querySelector(':scope > template')) {
+            const template = this.querySelector(`:scope > template[data-state="${state}"]`);
+            fragment = template ? template.content.cloneNode(true) : document.createDocumentFragment();
+        } else {
+            fragment = document.createDocumentFragment();
+            fragment.append(STATUS_LABELS[state]);
+        }
+
+        this._rendered.push(...fragment.childNodes);
+        this.appendChild(fragment);
     }
 }
 
-// Register the custom element
+// Register the custom elements
 if (typeof customElements !== 'undefined') {
     customElements.define('turbo-stream-source-signalr', TurboStreamSourceSignalR);
+    customElements.define('turbo-presence', TurboPresence);
+    customElements.define('turbo-signalr-status', TurboSignalRStatus);
 }
 
 // Export for testing and programmatic use
-export { TurboStreamSourceSignalR, connectionManager };
+export { TurboStreamSourceSignalR, TurboPresence, TurboSignalRStatus, TurboStreamError, ERROR_CODES, connectionManager, sharedConnection };
+
+/**
+ * Sets connection options for every hub connection built afterwards.
+ * Call this before stream source elements connect; attributes on the element
+ * that creates the connection take precedence.
+ * @param {object} options
+ * @param {string|string[]|number} [options.transport] - Transport name(s), e.g. 'websockets', or an HttpTransportType mask
+ * @param {boolean} [options.skipNegotiation] - Skip the negotiate request (WebSockets only)
+ * @param {boolean} [options.withCredentials] - Send cookies with cross-origin requests
+ * @param {object} [options.reconnect] - Reconnect policy overrides: enabled, maxAttempts, baseDelay, maxDelay, jitter
+ * @param {function({ forceRefresh: boolean }): (string|Promise<string>)} [options.accessTokenFactory] - Returns the
+ *   bearer token for hub requests; forceRefresh is true after the server rejected the previous token
+ * @param {string} [options.protocol] - Hub protocol name: 'json' (default) or a protocol added by registerHubProtocol()
+ * @param {string[]} [options.invokeMethods] - Hub methods that data-turbo-signalr-invoke may call
+ * @param {boolean} [options.shareConnection] - Share hub connections between the tabs of this origin
+ * @param {object|boolean} [options.hiddenQueue] - Queue messages received while the page is hidden and render them
+ *   when it becomes visible: maxSize (default 100) and collapse ('latest' by default, 'none', or a function); true
+ *   uses the defaults. Off by default. The queue is kept in memory and is lost when the page unloads
+ * @param {boolean} [options.batchRendering] - Render the messages received within one animation frame together
+ * @param {number} [options.unsubscribeDelay] - Milliseconds a released stream stays subscribed on the server, so a
+ *   Turbo Drive visit that subscribes to it again keeps the subscription (default 1000, 0 to unsubscribe immediately)
+ * @param {object|boolean} [options.pauseWhenHidden] - Pause subscriptions after the page stays hidden: delay in
+ *   milliseconds (default 30000), mode ('unsubscribe' by default, or 'disconnect') and refresh ('morph' or
+ *   'replace') to refresh the page on return; true uses the defaults
+ */
+export function configure(options = {}) {
+    Object.assign(globalSettings, options);
+}
+
+/**
+ * Makes a hub protocol available to the protocol attribute and configure().
+ * The MessagePack build registers 'messagepack' automatically.
+ * @param {string} name - The protocol name
+ * @param {function(): signalR.IHubProtocol} factory - Creates a protocol instance for a new connection
+ */
+export function registerHubProtocol(name, factory) {
+    hubProtocols.set(name.trim().toLowerCase(), factory);
+}
+
+// Export a helper to get connection state, for one hub URL or for every hub
+export function getConnectionState(hubUrl) {
+    return connectionManager.getState(hubUrl);
+}
+
+// Export a helper to follow connection state changes; returns a function that stops following
+export function onStateChange(callback) {
+    return connectionManager.onStateChange(callback);
+}
+
+// Export a helper to manually close the connection to one hub URL, or to every hub.
+// Closing every hub also stops sharing connections with other tabs.
+export async function disconnect(hubUrl) {
+    if (hubUrl === undefined && sharedConnection.active) {
+        sharedConnection.stop();
+    }
 
-// Export a helper to get connection state
-export function getConnectionState() {
-    return connectionManager.getState();
+    await connectionManager.closeConnection(hubUrl);
 }
 
-// Export a helper to manually close the connection
-export async function disconnect() {
-    await connectionManager.closeConnection();
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => connectionManager.handleOnline());
+
+    // Withdraw this tab's shared references when it closes, and restore them if it comes back from the page cache
+    window.addEventListener('pagehide', () => {
+        if (sharedConnection.active && !sharedConnection.isLeader) {
+            sharedConnection.post({ type: 'sync', tabId: sharedConnection.tabId, refs: [] });
+        }
+    });
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted && sharedConnection.active && !sharedConnection.isLeader) {
+            sharedConnection.syncToLeader();
+        }
+    });
 }
 
+document.addEventListener('visibilitychange', () => connectionManager.handleVisibilityChange());
+
 document.addEventListener('turbo:before-fetch-request', (e) => {
-    const connectionId = connectionManager.connection?.connectionId;
+    const connectionId = connectionManager.getConnectionId();
     if (connectionId) {
         e.detail.fetchOptions.headers['X-SignalR-Connection-Id'] = connectionId;
     }
-});
\ No newline at end of file
+});
+
+/**
+ * Invokes a hub method for a form or element with data-turbo-signalr-invoke and renders
+ * the Turbo Stream HTML the method returns.
+ * @param {Element} element - The form or element that triggered the call; it is marked aria-busy while the call runs
+ * @param {string} method - The hub method name
+ * @param {object} payload - The argument passed to the hub method
+ * @param {string} hubUrl - The SignalR hub URL
+ */
+async function invokeFromElement(element, method, payload, hubUrl) {
+    const dispatchError = (error) => {
+        element.dispatchEvent(new CustomEvent('turbo:signalr:invoke-error', {
+            bubbles: true,
+            detail: { method, error }
+        }));
+    };
+
+    if (!isInvokeAllowed(method)) {
+        // eslint-disable-next-line no-console
+        console.warn(
+            `The hub method "${method}" cannot be invoked from markup. ` +
+            'Allow it with configure({ invokeMethods }) or the turbo-signalr-invoke-methods meta tag.'
+        );
+        dispatchError(new Error(`Hub method "${method}" is not allowed`));
+        return;
+    }
+
+    element.setAttribute('aria-busy', 'true');
+
+    try {
+        let html;
+
+        // Tabs that share a connection invoke through the leader rather than opening their own
+        if (sharedConnection.isActive()) {
+            html = await sharedConnection.invoke(hubUrl, method, payload);
+        } else {
+            const connection = await connectionManager.getConnection(hubUrl);
+            html = await connection.invoke(method, payload);
+        }
+
+        if (typeof html === 'string') {
+            connectionManager.handleTurboStream(html);
+        }
+    } catch (error) {
+        dispatchError(error);
+    } finally {
+        element.removeAttribute('aria-busy');
+    }
+}
+
+// Submit forms with data-turbo-signalr-invoke over the hub connection instead of HTTP.
+// A submit button's own attribute takes precedence, like formaction.
+document.addEventListener('submit', (e) => {
+    const form = e.target;
+    const submitter = e.submitter || null;
+    const method = submitter?.getAttribute('data-turbo-signalr-invoke') || form.getAttribute('data-turbo-signalr-invoke');
+
+    if (!method || e.defaultPrevented) {
+        return;
+    }
+
+    e.preventDefault();
+
+    const formData = new FormData(form);
+    if (submitter?.name) {
+        formData.append(submitter.name, submitter.value);
+    }
+
+    const hubUrl = submitter?.getAttribute('data-turbo-signalr-hub-url') ||
+        form.getAttribute('data-turbo-signalr-hub-url') || DEFAULT_HUB_URL;
+
+    invokeFromElement(form, method, formDataToObject(formData), hubUrl);
+});
+
+// Invoke from other elements, such as buttons outside a form, on click
+document.addEventListener('click', (e) => {
+    const element = e.target instanceof Element ? e.target.closest('[data-turbo-signalr-invoke]') : null;
+
+    // Forms and their submit buttons are handled on submit
+    if (!element || e.defaultPrevented || element instanceof HTMLFormElement ||
+        (element.form && (element.type === 'submit' || element.type === 'image'))) {
+        return;
+    }
+
+    e.preventDefault();
+
+    const name = element.getAttribute('name');
+    const payload = name ? { [name]: element.value ?? element.getAttribute('value') ?? '' } : {};
+    const hubUrl = element.getAttribute('data-turbo-signalr-hub-url') || DEFAULT_HUB_URL;
+
+    invokeFromElement(element, element.getAttribute('data-turbo-signalr-invoke'), payload, hubUrl);
+});
@@ -0,0 +1,17 @@
+/**
+ * Turbo Stream Source SignalR with the MessagePack hub protocol
+ *
+ * Same as turbo-stream-source-signalr.js, with the MessagePack hub protocol registered.
+ * Binary framing keeps large Turbo Stream HTML payloads smaller than JSON. The server
+ * must enable the protocol with AddMessagePackProtocol().
+ *
+ * Usage:
+ *   <turbo-stream-source-signalr stream="my-stream" protocol="messagepack"></turbo-stream-source-signalr>
+ */
+
+import { MessagePackHubProtocol } from '@microsoft/signalr-protocol-msgpack';
+import { registerHubProtocol } from './turbo-stream-source-signalr.js';
+
+registerHubProtocol('messagepack', () => new MessagePackHubProtocol());
+
+export * from './turbo-stream-source-signalr.js';
@@ -19,6 +19,7 @@ const mockConnection = {
 const mockHubConnectionBuilder = {
     withUrl: vi.fn().mockReturnThis(),
     withAutomaticReconnect: vi.fn().mockReturnThis(),
+    withHubProtocol: vi.fn().mockReturnThis(),
     configureLogging: vi.fn().mockReturnThis(),
     build: vi.fn().mockReturnValue(mockConnection)
 };
@@ -27,22 +28,25 @@ vi.mock('@microsoft/signalr', () => ({
     HubConnectionBuilder: vi.fn().mockImplementation(() => mockHubConnectionBuilder),
     LogLevel: {
         Warning: 3
+    },
+    HttpTransportType: {
+        None: 0,
+        WebSockets: 1,
+        ServerSentEvents: 2,
+        LongPolling: 4
     }
 }));
 
 // Import after mocking
-import { TurboStreamSourceSignalR, connectionManager, getConnectionState, disconnect } from '../src/turbo-stream-source-signalr.js';
+import { TurboStreamSourceSignalR, TurboSignalRStatus, TurboStreamError, ERROR_CODES, connectionManager, sharedConnection, getConnectionState, onStateChange, disconnect, configure, registerHubProtocol } from '../src/turbo-stream-source-signalr.js';
+
+// Gets the pooled connection manager for a hub URL
+const hub = (hubUrl = '/test-hub') => connectionManager.getHub(hubUrl);
 
 describe('TurboStreamSourceSignalR', () => {
     beforeEach(() => {
         // Reset connection manager state
-        connectionManager.connection = null;
-        connectionManager.streamRefs.clear();
-        connectionManager.subscribedStreams.clear();
-        connectionManager.hubUrl = null;
-        connectionManager.isConnected = false;
-        connectionManager.isConnecting = false;
-        connectionManager.connectionCallbacks = [];
+        connectionManager.hubs.clear();
 
         // Reset mocks
         vi.clearAllMocks();
@@ -53,6 +57,7 @@ describe('TurboStreamSourceSignalR', () => {
     afterEach(async () => {
         // Clean up any custom elements
         document.body.innerHTML = '';
+        configure({ unsubscribeDelay: undefined });
         await disconnect();
     });
 
@@ -91,7 +96,7 @@ describe('TurboStreamSourceSignalR', () => {
             // Wait for async operations
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            expect(mockConnection.invoke).toHaveBeenCalledWith('Subscribe', 'test-stream');
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
         });
 
         it('should use default hub-url if not specified', async () => {
@@ -101,7 +106,14 @@ describe('TurboStreamSourceSignalR', () => {
             document.body.appendChild(element);
             await new Promise(resolve => setTimeout(resolve, 10));
 
-            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub');
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub', {});
+        });
+
+        it('should take one reference when created from HTML', async () => {
+            document.body.innerHTML = '<turbo-stream-source-signalr stream="test-stream" hub-url="/test-hub"></turbo-stream-source-signalr>';
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
         });
 
         it('should not subscribe if no stream attribute', async () => {
@@ -116,6 +128,7 @@ describe('TurboStreamSourceSignalR', () => {
 
     describe('disconnectedCallback', () => {
         it('should unsubscribe when removed from DOM', async () => {
+            configure({ unsubscribeDelay: 0 });
             const element = document.createElement('turbo-stream-source-signalr');
             element.setAttribute('stream', 'test-stream');
 
@@ -130,10 +143,31 @@ describe('TurboStreamSourceSignalR', () => {
 
             expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'test-stream');
         });
+
+        it('should release the stream when removed while subscribing', async () => {
+            configure({ unsubscribeDelay: 0 });
+            let completeSubscribe;
+            mockConnection.invoke.mockImplementation((method) => method === 'SubscribeWithSequence'
+                ? new Promise((resolve) => {
+                    completeSubscribe = resolve;
+                })
+                : Promise.resolve(true));
+
+            document.body.innerHTML = '<turbo-stream-source-signalr stream="test-stream" hub-url="/test-hub"></turbo-stream-source-signalr>';
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            document.body.innerHTML = '';
+            completeSubscribe(true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+            expect(hub().streamRefs.has('test-stream')).toBe(false);
+        });
     });
 
     describe('attributeChangedCallback', () => {
         it('should resubscribe when stream attribute changes', async () => {
+            configure({ unsubscribeDelay: 0 });
             const element = document.createElement('turbo-stream-source-signalr');
             element.setAttribute('stream', 'stream-1');
 
@@ -146,7 +180,174 @@ describe('TurboStreamSourceSignalR', () => {
             await new Promise(resolve => setTimeout(resolve, 10));
 
             expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'stream-1');
-            expect(mockConnection.invoke).toHaveBeenCalledWith('Subscribe', 'stream-2');
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'stream-2');
+        });
+    });
+
+    describe('lazy loading', () => {
+        let observers;
+
+        class FakeIntersectionObserver {
+            constructor(callback, options) {
+                this.callback = callback;
+                this.options = options;
+                this.disconnect = vi.fn();
+                observers.push(this);
+            }
+
+            observe(target) {
+                this.target = target;
+            }
+        }
+
+        const intersect = async (isIntersecting) => {
+            observers.at(-1).callback([{ isIntersecting }]);
+            await new Promise(resolve => setTimeout(resolve, 10));
+        };
+
+        const source = async (attributes) => {
+            document.body.innerHTML = `<turbo-stream-source-signalr stream="lazy-stream" ${attributes}></turbo-stream-source-signalr>`;
+            await new Promise(resolve => setTimeout(resolve, 10));
+            return document.querySelector('turbo-stream-source-signalr');
+        };
+
+        beforeEach(() => {
+            observers = [];
+            vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver);
+        });
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('should subscribe only once the element nears the viewport', async () => {
+            await source('loading="lazy"');
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+            expect(observers[0].options).toEqual({ rootMargin: '200px' });
+
+            await intersect(true);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'lazy-stream');
+        });
+
+        it('should keep the subscription when the element scrolls away', async () => {
+            await source('loading="lazy"');
+            await intersect(true);
+            await intersect(false);
+
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'lazy-stream');
+        });
+
+        it('should subscribe right away without IntersectionObserver', async () => {
+            vi.stubGlobal('IntersectionObserver', undefined);
+
+            await source('loading="lazy"');
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'lazy-stream');
+        });
+
+        it('should release the subscription while hidden and refresh the page when it returns without a sequence to replay', async () => {
+            configure({ unsubscribeDelay: 0 });
+            vi.useFakeTimers();
+            window.Turbo = { renderStreamMessage: vi.fn() };
+
+            try {
+                document.body.innerHTML = '<turbo-stream-source-signalr stream="lazy-stream" loading="lazy" unsubscribe-when-hidden></turbo-stream-source-signalr>';
+                observers[0].callback([{ isIntersecting: true }]);
+                await vi.advanceTimersByTimeAsync(10);
+                observers[0].callback([{ isIntersecting: false }]);
+                await vi.advanceTimersByTimeAsync(10);
+
+                expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'lazy-stream');
+                expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+
+                observers[0].callback([{ isIntersecting: true }]);
+                await vi.advanceTimersByTimeAsync(200);
+
+                expect(mockConnection.invoke.mock.calls.filter(([method]) => method === 'SubscribeWithSequence')).toHaveLength(2);
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream action="refresh"></turbo-stream>');
+            } finally {
+                vi.useRealTimers();
+                delete window.Turbo;
+            }
+        });
+
+        it('should reload the enclosing turbo-frame instead of the page without a sequence to replay', async () => {
+            document.body.innerHTML = `<turbo-frame id="comments" src="/comments">
+                <turbo-stream-source-signalr stream="lazy-stream" unsubscribe-when-hidden></turbo-stream-source-signalr>
+            </turbo-frame>`;
+            const frame = document.querySelector('turbo-frame');
+            frame.reload = vi.fn();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'lazy-stream');
+
+            await intersect(false);
+            await intersect(true);
+
+            expect(frame.reload).toHaveBeenCalledTimes(1);
+        });
+
+        it('should replay the messages missed while hidden instead of refreshing', async () => {
+            configure({ unsubscribeDelay: 0 });
+            mockConnection.invoke.mockImplementation((method) =>
+                Promise.resolve(method === 'SubscribeWithSequence' ? { subscribed: true, sequence: 3 } : true));
+            document.body.innerHTML = `<turbo-frame id="comments" src="/comments">
+                <turbo-stream-source-signalr stream="lazy-stream" unsubscribe-when-hidden></turbo-stream-source-signalr>
+            </turbo-frame>`;
+            const frame = document.querySelector('turbo-frame');
+            frame.reload = vi.fn();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            await intersect(false);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'lazy-stream');
+
+            await intersect(true);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Resubscribe', 'lazy-stream', 3);
+            expect(frame.reload).not.toHaveBeenCalled();
+        });
+
+        it('should follow the last of several queued intersection entries', async () => {
+            await source('loading="lazy"');
+
+            observers[0].callback([{ isIntersecting: true }, { isIntersecting: false }]);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+        });
+
+        it('should release an eager element that starts offscreen once its subscription completes', async () => {
+            configure({ unsubscribeDelay: 0 });
+            let completeSubscribe;
+            mockConnection.invoke.mockImplementation((method) => method === 'SubscribeWithSequence'
+                ? new Promise((resolve) => {
+                    completeSubscribe = resolve;
+                })
+                : Promise.resolve(true));
+
+            document.body.innerHTML = '<turbo-stream-source-signalr stream="lazy-stream" unsubscribe-when-hidden></turbo-stream-source-signalr>';
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'lazy-stream');
+
+            await intersect(false);
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'lazy-stream');
+
+            completeSubscribe(true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'lazy-stream');
+            expect(hub().streamRefs.has('lazy-stream')).toBe(false);
+        });
+
+        it('should stop observing when removed', async () => {
+            const element = await source('loading="lazy"');
+
+            element.remove();
+
+            expect(observers[0].disconnect).toHaveBeenCalled();
         });
     });
 
@@ -176,13 +377,7 @@ describe('TurboStreamSourceSignalR', () => {
 
 describe('connectionManager', () => {
     beforeEach(() => {
-        connectionManager.connection = null;
-        connectionManager.streamRefs.clear();
-        connectionManager.subscribedStreams.clear();
-        connectionManager.hubUrl = null;
-        connectionManager.isConnected = false;
-        connectionManager.isConnecting = false;
-        connectionManager.connectionCallbacks = [];
+        connectionManager.hubs.clear();
 
         vi.clearAllMocks();
         mockConnection.start.mockResolvedValue(undefined);
@@ -190,6 +385,7 @@ describe('connectionManager', () => {
     });
 
     afterEach(async () => {
+        configure({ unsubscribeDelay: undefined });
         await disconnect();
     });
 
@@ -198,7 +394,7 @@ describe('connectionManager', () => {
             const connection = await connectionManager.getConnection('/test-hub');
 
             expect(connection).toBe(mockConnection);
-            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/test-hub');
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/test-hub', {});
             expect(mockConnection.start).toHaveBeenCalled();
         });
 
@@ -211,11 +407,13 @@ describe('connectionManager', () => {
             expect(mockConnection.start).not.toHaveBeenCalled();
         });
 
-        it('should close old connection when URL changes', async () => {
+        it('should keep the connection to another hub open', async () => {
             await connectionManager.getConnection('/hub-1');
             await connectionManager.getConnection('/hub-2');
 
-            expect(mockConnection.stop).toHaveBeenCalled();
+            expect(mockConnection.stop).not.toHaveBeenCalled();
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/hub-1', {});
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/hub-2', {});
         });
 
         it('should set up TurboStream message handler', async () => {
@@ -233,250 +431,3150 @@ describe('connectionManager', () => {
         });
     });
 
-    describe('subscribe', () => {
-        it('should subscribe to a stream', async () => {
-            await connectionManager.subscribe('test-stream', '/test-hub');
+    describe('reconnect policy', () => {
+        const getRetryDelay = () => mockHubConnectionBuilder.withAutomaticReconnect.mock.calls[0][0].nextRetryDelayInMilliseconds;
 
-            expect(mockConnection.invoke).toHaveBeenCalledWith('Subscribe', 'test-stream');
-            expect(connectionManager.streamRefs.get('test-stream')).toBe(1);
+        afterEach(() => {
+            document.head.innerHTML = '';
         });
 
-        it('should increment reference count for same stream', async () => {
-            await connectionManager.subscribe('test-stream', '/test-hub');
-            await connectionManager.subscribe('test-stream', '/test-hub');
+        it('should use exponential backoff capped by the default policy', async () => {
+            await connectionManager.getConnection('/test-hub');
 
-            expect(connectionManager.streamRefs.get('test-stream')).toBe(2);
-            // Should only invoke Subscribe once (first time)
-            expect(mockConnection.invoke).toHaveBeenCalledTimes(1);
-        });
+            const nextRetryDelay = getRetryDelay();
 
-        it('should throw on empty stream name', async () => {
-            await expect(connectionManager.subscribe('', '/test-hub'))
-                .rejects.toThrow('Stream name cannot be empty or whitespace');
+            expect(nextRetryDelay({ previousRetryCount: 0 })).toBe(1000);
+            expect(nextRetryDelay({ previousRetryCount: 1 })).toBe(2000);
+            expect(nextRetryDelay({ previousRetryCount: 4 })).toBe(16000);
+            expect(nextRetryDelay({ previousRetryCount: 5 })).toBeNull();
         });
 
-        it('should throw on null stream name', async () => {
-            await expect(connectionManager.subscribe(null, '/test-hub'))
-                .rejects.toThrow('Stream name is required and must be a string');
-        });
+        it('should read the policy from the turbo-signalr-reconnect meta tag', async () => {
+            document.head.innerHTML = '<meta name="turbo-signalr-reconnect" content=\'{"enabled":true,"maxAttempts":2,"baseDelay":100,"maxDelay":150,"jitter":0}\'>';
 
-        it('should throw on whitespace stream name', async () => {
-            await expect(connectionManager.subscribe('   ', '/test-hub'))
-                .rejects.toThrow('Stream name cannot be empty or whitespace');
-        });
+            await connectionManager.getConnection('/test-hub');
 
-        it('should trim stream names', async () => {
-            await connectionManager.subscribe('  test-stream  ', '/test-hub');
+            const nextRetryDelay = getRetryDelay();
 
-            expect(mockConnection.invoke).toHaveBeenCalledWith('Subscribe', 'test-stream');
+            expect(nextRetryDelay({ previousRetryCount: 0 })).toBe(100);
+            expect(nextRetryDelay({ previousRetryCount: 1 })).toBe(150);
+            expect(nextRetryDelay({ previousRetryCount: 2 })).toBeNull();
         });
 
-        it('should return false when subscription is denied', async () => {
-            mockConnection.invoke.mockResolvedValue(false);
+        it('should let element attributes override the meta tag', async () => {
+            document.head.innerHTML = '<meta name="turbo-signalr-reconnect" content=\'{"maxAttempts":2,"baseDelay":100}\'>';
 
-            const result = await connectionManager.subscribe('denied-stream', '/test-hub');
+            const element = document.createElement('turbo-stream-source-signalr');
+            element.setAttribute('stream', 'test-stream');
+            element.setAttribute('reconnect-attempts', '10');
+            element.setAttribute('reconnect-base-delay', '50');
+            document.body.appendChild(element);
+            await new Promise(resolve => setTimeout(resolve, 10));
 
-            expect(result).toBe(false);
-            expect(connectionManager.streamRefs.get('denied-stream')).toBe(0);
+            const nextRetryDelay = getRetryDelay();
+
+            expect(nextRetryDelay({ previousRetryCount: 0 })).toBe(50);
+            expect(nextRetryDelay({ previousRetryCount: 9 })).not.toBeNull();
+            expect(nextRetryDelay({ previousRetryCount: 10 })).toBeNull();
+
+            document.body.innerHTML = '';
         });
-    });
 
-    describe('unsubscribe', () => {
-        it('should decrement reference count', async () => {
-            await connectionManager.subscribe('test-stream', '/test-hub');
-            await connectionManager.subscribe('test-stream', '/test-hub');
+        it('should apply jitter on top of the backoff delay', async () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0.5);
 
-            await connectionManager.unsubscribe('test-stream');
+            await connectionManager.getConnection('/test-hub', {
+                reconnect: { enabled: true, maxAttempts: 3, baseDelay: 1000, maxDelay: 30000, jitter: 0.2 }
+            });
 
-            expect(connectionManager.streamRefs.get('test-stream')).toBe(1);
-        });
+            expect(getRetryDelay()({ previousRetryCount: 0 })).toBe(1100);
 
-        it('should unsubscribe from server when count reaches zero', async () => {
-            await connectionManager.subscribe('test-stream', '/test-hub');
-            mockConnection.invoke.mockClear();
+            Math.random.mockRestore();
+        });
 
-            await connectionManager.unsubscribe('test-stream');
+        it('should not enable automatic reconnect when the policy is disabled', async () => {
+            await connectionManager.getConnection('/test-hub', {
+                reconnect: { enabled: false, maxAttempts: 5, baseDelay: 1000, maxDelay: 30000, jitter: 0 }
+            });
 
-            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'test-stream');
-            expect(connectionManager.streamRefs.has('test-stream')).toBe(false);
+            expect(mockHubConnectionBuilder.withAutomaticReconnect).not.toHaveBeenCalled();
         });
 
-        it('should not unsubscribe from server when count > 0', async () => {
-            await connectionManager.subscribe('test-stream', '/test-hub');
-            await connectionManager.subscribe('test-stream', '/test-hub');
-            mockConnection.invoke.mockClear();
+        it('should dispatch turbo:signalr:reconnect-failed when attempts are exhausted', async () => {
+            const handler = vi.fn();
+            document.addEventListener('turbo:signalr:reconnect-failed', handler);
 
-            await connectionManager.unsubscribe('test-stream');
+            await connectionManager.getConnection('/test-hub', {
+                reconnect: { enabled: true, maxAttempts: 1, baseDelay: 10, maxDelay: 10, jitter: 0 }
+            });
 
-            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+            const nextRetryDelay = getRetryDelay();
+            nextRetryDelay({ previousRetryCount: 0 });
+            nextRetryDelay({ previousRetryCount: 1 });
+
+            const onClose = mockConnection.onclose.mock.calls[0][0];
+            const error = new Error('gone');
+            onClose(error);
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail.attempts).toBe(1);
+            expect(handler.mock.calls[0][0].detail.error).toBe(error);
+
+            document.removeEventListener('turbo:signalr:reconnect-failed', handler);
         });
 
-        it('should handle null stream name gracefully', async () => {
-            await expect(connectionManager.unsubscribe(null)).resolves.not.toThrow();
+        it('should not dispatch turbo:signalr:reconnect-failed on a normal close', async () => {
+            const handler = vi.fn();
+            document.addEventListener('turbo:signalr:reconnect-failed', handler);
+
+            await connectionManager.getConnection('/test-hub');
+            mockConnection.onclose.mock.calls[0][0]();
+
+            expect(handler).not.toHaveBeenCalled();
+
+            document.removeEventListener('turbo:signalr:reconnect-failed', handler);
         });
     });
 
-    describe('handleTurboStream', () => {
-        it('should call Turbo.renderStreamMessage when available', () => {
-            window.Turbo = {
-                renderStreamMessage: vi.fn()
-            };
+    describe('transport options', () => {
+        const connectElement = async (attributes) => {
+            const element = document.createElement('turbo-stream-source-signalr');
+            element.setAttribute('stream', 'test-stream');
+            for (const [name, value] of Object.entries(attributes)) {
+                element.setAttribute(name, value);
+            }
+            document.body.appendChild(element);
+            await new Promise(resolve => setTimeout(resolve, 10));
+        };
 
-            connectionManager.handleTurboStream('<turbo-stream action="append" target="list"></turbo-stream>');
+        afterEach(() => {
+            document.body.innerHTML = '';
+            configure({ transport: undefined, skipNegotiation: undefined, withCredentials: undefined });
+        });
 
-            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
-                '<turbo-stream action="append" target="list"></turbo-stream>'
-            );
+        it('should map the transport attribute to HttpConnectionOptions', async () => {
+            await connectElement({ transport: 'websockets, serversentevents' });
 
-            delete window.Turbo;
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub', { transport: 3 });
         });
 
-        it('should warn and drop the message when Turbo is not available', () => {
+        it('should skip negotiation for WebSockets only', async () => {
+            await connectElement({ transport: 'WebSockets', 'skip-negotiation': '' });
+
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub', { transport: 1, skipNegotiation: true });
+        });
+
+        it('should ignore skip-negotiation without the WebSockets transport', async () => {
             const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
-            document.body.innerHTML = '<div id="list"></div>';
 
-            connectionManager.handleTurboStream(
-                '<turbo-stream action="append" target="list"><template><p>New item</p></template></turbo-stream>'
-            );
+            await connectElement({ transport: 'longpolling', 'skip-negotiation': '' });
 
-            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Turbo.js is not loaded'));
-            expect(document.getElementById('list').innerHTML).not.toContain('New item');
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub', { transport: 4 });
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('skip-negotiation'));
 
             warnSpy.mockRestore();
         });
 
-        it('should handle empty html gracefully', () => {
-            expect(() => connectionManager.handleTurboStream('')).not.toThrow();
-            expect(() => connectionManager.handleTurboStream(null)).not.toThrow();
+        it('should map the with-credentials attribute', async () => {
+            await connectElement({ 'with-credentials': 'false' });
+
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub', { withCredentials: false });
         });
-    });
 
-    describe('getState', () => {
-        it('should return current state', async () => {
-            await connectionManager.subscribe('stream-1', '/test-hub');
-            await connectionManager.subscribe('stream-2', '/test-hub');
+        it('should use settings from configure()', async () => {
+            configure({ transport: ['websockets'], skipNegotiation: true, withCredentials: true });
 
-            const state = connectionManager.getState();
+            await connectionManager.getConnection('/test-hub');
 
-            expect(state.isConnected).toBe(true);
-            expect(state.streamCount).toBe(2);
-            expect(state.streams).toContain('stream-1');
-            expect(state.streams).toContain('stream-2');
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/test-hub', {
+                transport: 1,
+                skipNegotiation: true,
+                withCredentials: true
+            });
         });
-    });
 
-    describe('dispatchConnectionEvent', () => {
-        it('should dispatch custom events', () => {
-            const handler = vi.fn();
-            document.addEventListener('turbo:signalr:test', handler);
+        it('should let element attributes override configure()', async () => {
+            configure({ transport: 'websockets' });
 
-            connectionManager.dispatchConnectionEvent('turbo:signalr:test', { data: 'test' });
+            await connectElement({ transport: 'longpolling' });
 
-            expect(handler).toHaveBeenCalled();
-            expect(handler.mock.calls[0][0].detail).toEqual({ data: 'test', connectionId: null });
+            expect(mockHubConnectionBuilder.withUrl).toHaveBeenCalledWith('/turbo-hub', { transport: 4 });
+        });
+    });
 
-            document.removeEventListener('turbo:signalr:test', handler);
+    describe('hub protocol', () => {
+        afterEach(() => {
+            document.body.innerHTML = '';
+            configure({ protocol: undefined });
         });
 
-        it('should include connectionId when connection exists', async () => {
-            await connectionManager.subscribe('stream-1', '/test-hub');
+        it('should use the JSON protocol by default', async () => {
+            await connectionManager.getConnection('/test-hub');
 
-            const handler = vi.fn();
-            document.addEventListener('turbo:signalr:test', handler);
+            expect(mockHubConnectionBuilder.withHubProtocol).not.toHaveBeenCalled();
+        });
 
-            connectionManager.dispatchConnectionEvent('turbo:signalr:test', { data: 'test' });
+        it('should use a registered protocol named by the protocol attribute', async () => {
+            const protocol = { name: 'test' };
+            registerHubProtocol('test', () => protocol);
 
-            expect(handler).toHaveBeenCalled();
-            expect(handler.mock.calls[0][0].detail.connectionId).toBe('mock-connection-id');
+            const element = document.createElement('turbo-stream-source-signalr');
+            element.setAttribute('stream', 'test-stream');
+            element.setAttribute('protocol', 'Test');
+            document.body.appendChild(element);
+            await new Promise(resolve => setTimeout(resolve, 10));
 
-            document.removeEventListener('turbo:signalr:test', handler);
+            expect(mockHubConnectionBuilder.withHubProtocol).toHaveBeenCalledWith(protocol);
         });
-    });
-});
-
-describe('Exported Functions', () => {
-    beforeEach(() => {
-        connectionManager.connection = null;
-        connectionManager.streamRefs.clear();
-        connectionManager.subscribedStreams.clear();
-        connectionManager.hubUrl = null;
-        connectionManager.isConnected = false;
-        connectionManager.isConnecting = false;
-        vi.clearAllMocks();
-    });
 
-    describe('getConnectionState', () => {
-        it('should return connection state', async () => {
-            await connectionManager.subscribe('test-stream', '/test-hub');
+        it('should use the protocol from configure()', async () => {
+            const protocol = { name: 'test' };
+            registerHubProtocol('test', () => protocol);
+            configure({ protocol: 'test' });
 
-            const state = getConnectionState();
+            await connectionManager.getConnection('/test-hub');
 
-            expect(state.isConnected).toBe(true);
-            expect(state.streams).toContain('test-stream');
+            expect(mockHubConnectionBuilder.withHubProtocol).toHaveBeenCalledWith(protocol);
         });
-    });
 
-    describe('disconnect', () => {
-        it('should close the connection', async () => {
+        it('should fall back to JSON when the protocol is not registered', async () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            configure({ protocol: 'messagepack' });
+
             await connectionManager.getConnection('/test-hub');
 
-            await disconnect();
+            expect(mockHubConnectionBuilder.withHubProtocol).not.toHaveBeenCalled();
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('messagepack'));
 
-            expect(mockConnection.stop).toHaveBeenCalled();
-            expect(connectionManager.connection).toBeNull();
+            warnSpy.mockRestore();
         });
     });
-});
 
-describe('turbo:before-fetch-request header injection', () => {
-    beforeEach(() => {
-        connectionManager.connection = null;
-        connectionManager.streamRefs.clear();
-        connectionManager.subscribedStreams.clear();
-        connectionManager.hubUrl = null;
-        connectionManager.isConnected = false;
-        connectionManager.isConnecting = false;
-        vi.clearAllMocks();
-        mockConnection.start.mockResolvedValue(undefined);
-        mockConnection.invoke.mockResolvedValue(true);
-    });
+    describe('access tokens', () => {
+        const getTokenFactory = () => mockHubConnectionBuilder.withUrl.mock.calls[0][1].accessTokenFactory;
 
-    afterEach(async () => {
-        await disconnect();
-    });
+        afterEach(() => {
+            configure({ accessTokenFactory: undefined });
+            document.head.innerHTML = '';
+        });
 
-    it('should set X-SignalR-Connection-Id header when connection exists', async () => {
-        await connectionManager.getConnection('/test-hub');
+        it('should not set an access token factory by default', async () => {
+            await connectionManager.getConnection('/test-hub');
 
-        const fetchOptions = { headers: {} };
-        const event = new CustomEvent('turbo:before-fetch-request', {
-            detail: { fetchOptions }
+            expect(mockHubConnectionBuilder.withUrl.mock.calls[0][1].accessTokenFactory).toBeUndefined();
         });
-        document.dispatchEvent(event);
 
-        expect(fetchOptions.headers['X-SignalR-Connection-Id']).toBe('mock-connection-id');
-    });
+        it('should use the factory from configure()', async () => {
+            const factory = vi.fn().mockResolvedValue('token-1');
+            configure({ accessTokenFactory: factory });
 
-    it('should not set header when no connection exists', () => {
-        const fetchOptions = { headers: {} };
-        const event = new CustomEvent('turbo:before-fetch-request', {
-            detail: { fetchOptions }
+            await connectionManager.getConnection('/test-hub');
+
+            await expect(getTokenFactory()()).resolves.toBe('token-1');
+            expect(factory).toHaveBeenCalledWith({ forceRefresh: false });
         });
-        document.dispatchEvent(event);
 
-        expect(fetchOptions.headers['X-SignalR-Connection-Id']).toBeUndefined();
-    });
-});
+        it('should read the token from the turbo-signalr-token meta tag', async () => {
+            document.head.innerHTML = '<meta name="turbo-signalr-token" content="meta-token">';
 
-describe('Reference Counting', () => {
-    beforeEach(() => {
-        connectionManager.connection = null;
-        connectionManager.streamRefs.clear();
-        connectionManager.subscribedStreams.clear();
-        connectionManager.hubUrl = null;
-        connectionManager.isConnected = false;
-        connectionManager.isConnecting = false;
-        vi.clearAllMocks();
+            await connectionManager.getConnection('/test-hub');
+
+            await expect(getTokenFactory()()).resolves.toBe('meta-token');
+        });
+
+        it('should refresh the token and retry when negotiate returns 401', async () => {
+            const factory = vi.fn().mockResolvedValue('token');
+            configure({ accessTokenFactory: factory });
+            mockConnection.start
+                .mockImplementationOnce(async () => {
+                    await getTokenFactory()();
+                    throw new Error("Failed to complete negotiation with the server: Error: Unauthorized: Status code '401'");
+                })
+                .mockImplementationOnce(async () => {
+                    await getTokenFactory()();
+                });
+
+            const connection = await connectionManager.getConnection('/test-hub');
+
+            expect(connection).toBe(mockConnection);
+            expect(mockConnection.start).toHaveBeenCalledTimes(2);
+            expect(factory).toHaveBeenNthCalledWith(1, { forceRefresh: false });
+            expect(factory).toHaveBeenNthCalledWith(2, { forceRefresh: true });
+        });
+
+        it('should not retry on 401 without a token source', async () => {
+            mockConnection.start.mockRejectedValueOnce(new Error("Unauthorized: Status code '401'"));
+
+            await expect(connectionManager.getConnection('/test-hub')).rejects.toThrow('401');
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+        });
+
+        it('should refresh the token when a reconnect attempt is rejected', async () => {
+            const factory = vi.fn().mockResolvedValue('token');
+            configure({ accessTokenFactory: factory });
+
+            await connectionManager.getConnection('/test-hub');
+
+            const nextRetryDelay = mockHubConnectionBuilder.withAutomaticReconnect.mock.calls[0][0].nextRetryDelayInMilliseconds;
+            nextRetryDelay({ previousRetryCount: 1, retryReason: new Error("Status code '401'") });
+            await getTokenFactory()();
+
+            expect(factory).toHaveBeenCalledWith({ forceRefresh: true });
+        });
+    });
+
+    describe('restart after close', () => {
+        const setVisibility = (state) => {
+            Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+        };
+
+        const closeUnexpectedly = () => mockConnection.onclose.mock.calls[0][0](new Error('closed'));
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            setVisibility('visible');
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+            setVisibility('visible');
+        });
+
+        it('should restart the connection and resubscribe after a final close', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.start.mockClear();
+            mockConnection.invoke.mockClear();
+
+            closeUnexpectedly();
+
+            expect(hub().isConnected).toBe(false);
+            expect(hub().restartPending).toBe(true);
+
+            await vi.advanceTimersByTimeAsync(1000);
+
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+            expect(hub().isConnected).toBe(true);
+            expect(hub().restartPending).toBe(false);
+        });
+
+        it('should back off between failed restart attempts', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.start.mockClear();
+            mockConnection.start.mockRejectedValue(new Error('offline'));
+
+            closeUnexpectedly();
+
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+
+            await vi.advanceTimersByTimeAsync(1999);
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+
+            await vi.advanceTimersByTimeAsync(1);
+            expect(mockConnection.start).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not restart when no streams are referenced', async () => {
+            await connectionManager.getConnection('/test-hub');
+            mockConnection.start.mockClear();
+
+            closeUnexpectedly();
+            await vi.advanceTimersByTimeAsync(60000);
+
+            expect(hub().restartPending).toBe(false);
+            expect(mockConnection.start).not.toHaveBeenCalled();
+        });
+
+        it('should not restart when reconnection is disabled', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub', {
+                reconnect: { enabled: false, maxAttempts: 5, baseDelay: 1000, maxDelay: 30000, jitter: 0 }
+            });
+            mockConnection.start.mockClear();
+
+            closeUnexpectedly();
+            await vi.advanceTimersByTimeAsync(60000);
+
+            expect(mockConnection.start).not.toHaveBeenCalled();
+        });
+
+        it('should pause while the page is hidden and resume when visible', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.start.mockClear();
+
+            setVisibility('hidden');
+            closeUnexpectedly();
+            await vi.advanceTimersByTimeAsync(60000);
+
+            expect(mockConnection.start).not.toHaveBeenCalled();
+
+            setVisibility('visible');
+            document.dispatchEvent(new Event('visibilitychange'));
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry immediately when the browser comes back online', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.start.mockClear();
+
+            closeUnexpectedly();
+            window.dispatchEvent(new Event('online'));
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+            expect(hub().isConnected).toBe(true);
+        });
+
+        it('should not restart after an intentional disconnect', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.start.mockClear();
+            mockConnection.stop.mockImplementationOnce(async () => closeUnexpectedly());
+
+            await disconnect();
+            await vi.advanceTimersByTimeAsync(60000);
+
+            expect(mockConnection.start).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('pause while hidden', () => {
+        const setVisibility = (state) => {
+            Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+        };
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            window.Turbo = { renderStreamMessage: vi.fn(), visit: vi.fn() };
+        });
+
+        afterEach(() => {
+            setVisibility('visible');
+            vi.useRealTimers();
+            configure({ pauseWhenHidden: undefined });
+            delete window.Turbo;
+        });
+
+        it('should unsubscribe after the grace period and resubscribe on return', async () => {
+            configure({ pauseWhenHidden: { delay: 5000 } });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(4999);
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+
+            await vi.advanceTimersByTimeAsync(1);
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+            expect(hub().getState().streamStates['test-stream'].status).toBe('paused');
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
+
+            setVisibility('visible');
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+            expect(hub().isPaused).toBe(false);
+            expect(hub().subscribedStreams.has('test-stream')).toBe(true);
+        });
+
+        it('should unsubscribe a stream only after its subscribe completes', async () => {
+            configure({ pauseWhenHidden: { delay: 1000 } });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            let completeSubscribe;
+            mockConnection.invoke.mockImplementation((method) => method === 'SubscribeWithSequence'
+                ? new Promise((resolve) => {
+                    completeSubscribe = resolve;
+                })
+                : Promise.resolve(true));
+
+            const subscribing = connectionManager.subscribe('other-stream', '/test-hub');
+            await vi.advanceTimersByTimeAsync(0);
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(1000);
+
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'other-stream');
+
+            completeSubscribe(true);
+            await subscribing;
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'other-stream');
+            expect(hub().subscribedStreams.has('other-stream')).toBe(false);
+        });
+
+        it('should release a stream with a pending unsubscribe instead of pausing it', async () => {
+            configure({ pauseWhenHidden: { delay: 1000 }, unsubscribeDelay: 5000 });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await connectionManager.subscribe('other-stream', '/test-hub');
+            await connectionManager.unsubscribe('other-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(1000);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'other-stream');
+            expect(hub().pendingUnsubscribes.has('other-stream')).toBe(false);
+            mockConnection.invoke.mockClear();
+
+            setVisibility('visible');
+            await vi.advanceTimersByTimeAsync(5000);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('SubscribeWithSequence', 'other-stream');
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'other-stream');
+        });
+
+        it('should not pause when the page returns within the grace period', async () => {
+            configure({ pauseWhenHidden: true });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(29000);
+            setVisibility('visible');
+            await vi.advanceTimersByTimeAsync(30000);
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+        });
+
+        it('should not pause unless enabled', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(60000);
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+        });
+
+        it('should stop the connection and restart it on return in disconnect mode', async () => {
+            const paused = vi.fn();
+            document.addEventListener('turbo:signalr:paused', paused);
+            configure({ pauseWhenHidden: { delay: 1000, mode: 'disconnect' } });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.start.mockClear();
+            mockConnection.invoke.mockClear();
+
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(1000);
+
+            expect(mockConnection.stop).toHaveBeenCalled();
+            expect(paused.mock.calls[0][0].detail.mode).toBe('disconnect');
+            expect(hub().getState().status).toBe('disconnected');
+
+            setVisibility('visible');
+            await vi.advanceTimersByTimeAsync(0);
+
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+            expect(hub().isConnected).toBe(true);
+            document.removeEventListener('turbo:signalr:paused', paused);
+        });
+
+        it('should refresh the page on return when configured', async () => {
+            configure({ pauseWhenHidden: { delay: 1000, refresh: 'morph' } });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            setVisibility('hidden');
+            await vi.advanceTimersByTimeAsync(1000);
+            setVisibility('visible');
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream action="refresh"></turbo-stream>');
+        });
+    });
+
+    describe('multiple hubs', () => {
+        const createConnection = (connectionId) => ({
+            ...mockConnection,
+            connectionId,
+            start: vi.fn().mockResolvedValue(undefined),
+            stop: vi.fn().mockResolvedValue(undefined),
+            invoke: vi.fn().mockResolvedValue(true),
+            on: vi.fn(),
+            onclose: vi.fn()
+        });
+
+        let tenantConnection;
+        let globalConnection;
+
+        beforeEach(() => {
+            tenantConnection = createConnection('tenant-connection-id');
+            globalConnection = createConnection('global-connection-id');
+            mockHubConnectionBuilder.build
+                .mockReturnValueOnce(tenantConnection)
+                .mockReturnValueOnce(globalConnection);
+        });
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+            mockHubConnectionBuilder.build.mockReset();
+            mockHubConnectionBuilder.build.mockReturnValue(mockConnection);
+        });
+
+        it('should keep separate reference counts per hub', async () => {
+            configure({ unsubscribeDelay: 0 });
+            await connectionManager.subscribe('alerts', '/tenant-hub');
+            await connectionManager.subscribe('alerts', '/global-hub');
+            await connectionManager.subscribe('alerts', '/global-hub');
+
+            await connectionManager.unsubscribe('alerts', '/tenant-hub');
+
+            expect(tenantConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'alerts');
+            expect(globalConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'alerts');
+            expect(hub('/global-hub').streamRefs.get('alerts')).toBe(2);
+        });
+
+        it('should report each hub separately', async () => {
+            await connectionManager.subscribe('tenant-stream', '/tenant-hub');
+            await connectionManager.subscribe('global-stream', '/global-hub');
+            tenantConnection.onclose.mock.calls[0][0]();
+
+            const state = getConnectionState();
+
+            expect(state.isConnected).toBe(false);
+            expect(state.streams).toEqual(['tenant-stream', 'global-stream']);
+            expect(state.hubs['/tenant-hub']).toEqual({
+                hubUrl: '/tenant-hub',
+                isConnected: false,
+                status: 'reconnecting',
+                paused: false,
+                reconnectAttempt: 0,
+                streamCount: 1,
+                streams: ['tenant-stream'],
+                streamStates: {
+                    'tenant-stream': { status: 'pending', refCount: 1, lastMessageAt: null, lastSequence: null }
+                }
+            });
+            expect(getConnectionState('/global-hub').isConnected).toBe(true);
+        });
+
+        it('should identify the hub in connection events', async () => {
+            const handler = vi.fn();
+            document.addEventListener('turbo:signalr:connected', handler);
+
+            await connectionManager.getConnection('/tenant-hub');
+            await connectionManager.getConnection('/global-hub');
+
+            expect(handler.mock.calls.map(([event]) => event.detail.hubUrl)).toEqual(['/tenant-hub', '/global-hub']);
+
+            document.removeEventListener('turbo:signalr:connected', handler);
+        });
+
+        it('should not touch other hubs when an element changes its hub-url', async () => {
+            configure({ unsubscribeDelay: 0 });
+            const tenantSource = document.createElement('turbo-stream-source-signalr');
+            tenantSource.setAttribute('stream', 'tenant-stream');
+            tenantSource.setAttribute('hub-url', '/tenant-hub');
+            const globalSource = document.createElement('turbo-stream-source-signalr');
+            globalSource.setAttribute('stream', 'global-stream');
+            globalSource.setAttribute('hub-url', '/global-hub');
+            document.body.append(tenantSource, globalSource);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            tenantSource.setAttribute('hub-url', '/global-hub');
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(tenantConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'tenant-stream');
+            expect(globalConnection.stop).not.toHaveBeenCalled();
+            expect(hub('/global-hub').streamRefs.get('global-stream')).toBe(1);
+            expect(globalConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'tenant-stream');
+        });
+
+        it('should send the default hub connection ID with Turbo requests', async () => {
+            await connectionManager.getConnection('/tenant-hub');
+            mockHubConnectionBuilder.build.mockReset();
+            mockHubConnectionBuilder.build.mockReturnValue(mockConnection);
+            await connectionManager.getConnection('/turbo-hub');
+
+            expect(connectionManager.getConnectionId()).toBe('mock-connection-id');
+        });
+    });
+
+    describe('subscribe', () => {
+        it('should subscribe to a stream', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
+        });
+
+        it('should increment reference count for same stream', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            expect(hub().streamRefs.get('test-stream')).toBe(2);
+            // Should only invoke Subscribe once (first time)
+            expect(mockConnection.invoke).toHaveBeenCalledTimes(1);
+        });
+
+        it('should throw on empty stream name', async () => {
+            await expect(connectionManager.subscribe('', '/test-hub'))
+                .rejects.toThrow('Stream name cannot be empty or whitespace');
+        });
+
+        it('should throw on null stream name', async () => {
+            await expect(connectionManager.subscribe(null, '/test-hub'))
+                .rejects.toThrow('Stream name is required and must be a string');
+        });
+
+        it('should throw on whitespace stream name', async () => {
+            await expect(connectionManager.subscribe('   ', '/test-hub'))
+                .rejects.toThrow('Stream name cannot be empty or whitespace');
+        });
+
+        describe('error codes', () => {
+            const subscribeError = async () => {
+                try {
+                    await connectionManager.subscribe('test-stream', '/test-hub');
+                } catch (error) {
+                    return error;
+                }
+
+                throw new Error('Expected the subscription to fail');
+            };
+
+            it.each([
+                ['An unexpected error occurred invoking \'Subscribe\' on the server. HubException: stream_name_invalid: Stream name cannot be null, empty or whitespace.', ERROR_CODES.STREAM_NAME_INVALID],
+                ['An unexpected error occurred invoking \'Subscribe\' on the server. HubException: rate_limited: Too many subscriptions.', ERROR_CODES.RATE_LIMITED],
+                ['Failed to invoke \'Subscribe\' due to an error on the server. HubException: Method does not exist.', ERROR_CODES.METHOD_NOT_FOUND],
+                ['An unexpected error occurred invoking \'Subscribe\' on the server.', ERROR_CODES.SERVER_ERROR],
+                ['Invocation canceled due to the underlying connection being closed.', ERROR_CODES.NETWORK_ERROR]
+            ])('should map the hub error "%s"', async (message, code) => {
+                mockConnection.invoke.mockRejectedValue(new Error(message));
+
+                const error = await subscribeError();
+
+                expect(error).toBeInstanceOf(TurboStreamError);
+                expect(error.code).toBe(code);
+                expect(error.message).toBe(message);
+                expect(error.cause).toBeInstanceOf(Error);
+            });
+
+            it.each([
+                ['Failed to complete negotiation with the server: Error: Unauthorized: Status code \'401\'', ERROR_CODES.UNAUTHORIZED],
+                ['Failed to complete negotiation with the server: Error: Forbidden: Status code \'403\'', ERROR_CODES.FORBIDDEN],
+                ['Failed to complete negotiation with the server: Error: Too Many Requests: Status code \'429\'', ERROR_CODES.RATE_LIMITED],
+                ['Failed to complete negotiation with the server: Error: Bad Gateway: Status code \'502\'', ERROR_CODES.SERVER_ERROR],
+                ['Failed to complete negotiation with the server: TypeError: Failed to fetch', ERROR_CODES.NETWORK_ERROR]
+            ])('should map the connection error "%s"', async (message, code) => {
+                mockConnection.start.mockRejectedValueOnce(new Error(message));
+
+                const error = await subscribeError();
+
+                expect(error.code).toBe(code);
+            });
+
+            it('should report invalid stream names checked on the client', async () => {
+                await expect(connectionManager.subscribe('   ', '/test-hub'))
+                    .rejects.toMatchObject({ code: ERROR_CODES.STREAM_NAME_INVALID });
+            });
+
+            it('should include the code in element events', async () => {
+                const errored = vi.fn();
+                const denied = vi.fn();
+                document.addEventListener('turbo:stream:error', errored);
+                document.addEventListener('turbo:stream:unauthorized', denied);
+
+                mockConnection.invoke.mockRejectedValueOnce(new Error('HubException: rate_limited: Slow down.'));
+                document.body.innerHTML = '<turbo-stream-source-signalr stream="limited" hub-url="/test-hub"></turbo-stream-source-signalr>';
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                mockConnection.invoke.mockResolvedValueOnce(false);
+                document.body.innerHTML = '<turbo-stream-source-signalr stream="denied" hub-url="/test-hub"></turbo-stream-source-signalr>';
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                expect(errored.mock.calls[0][0].detail.code).toBe(ERROR_CODES.RATE_LIMITED);
+                expect(denied.mock.calls[0][0].detail).toEqual({ stream: 'denied', code: ERROR_CODES.SUBSCRIPTION_DENIED });
+
+                document.removeEventListener('turbo:stream:error', errored);
+                document.removeEventListener('turbo:stream:unauthorized', denied);
+                document.body.innerHTML = '';
+            });
+        });
+
+        it('should trim stream names', async () => {
+            await connectionManager.subscribe('  test-stream  ', '/test-hub');
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+        });
+
+        it('should return false when subscription is denied', async () => {
+            mockConnection.invoke.mockResolvedValue(false);
+
+            const result = await connectionManager.subscribe('denied-stream', '/test-hub');
+
+            expect(result).toBe(false);
+            expect(hub().streamRefs.has('denied-stream')).toBe(false);
+        });
+
+        it('should reject subscriptions waiting for a connection that fails to start', async () => {
+            mockConnection.start.mockRejectedValueOnce(new Error('offline'));
+
+            const results = await Promise.allSettled([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub')
+            ]);
+
+            expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+            expect(hub().streamRefs.size).toBe(0);
+        });
+    });
+
+    describe('unsubscribe', () => {
+        it('should decrement reference count', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
+        });
+
+        it('should unsubscribe from server when count reaches zero', async () => {
+            configure({ unsubscribeDelay: 0 });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+            expect(hub().streamRefs.has('test-stream')).toBe(false);
+        });
+
+        it('should not unsubscribe from server when count > 0', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+        });
+
+        it('should handle null stream name gracefully', async () => {
+            await expect(connectionManager.unsubscribe(null)).resolves.not.toThrow();
+        });
+    });
+
+    describe('operation queue', () => {
+        const deferInvoke = () => {
+            let resolve;
+            mockConnection.invoke.mockImplementationOnce(() => new Promise((r) => {
+                resolve = r;
+            }));
+            return (value) => resolve(value);
+        };
+
+        beforeEach(async () => {
+            await connectionManager.getConnection('/test-hub');
+        });
+
+        it('should resolve a second subscriber with the outcome of the first subscription', async () => {
+            const finishSubscribe = deferInvoke();
+            const second = vi.fn();
+
+            const first = connectionManager.subscribe('test-stream', '/test-hub');
+            connectionManager.subscribe('test-stream', '/test-hub').then(second);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(second).not.toHaveBeenCalled();
+
+            finishSubscribe(true);
+            await first;
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(second).toHaveBeenCalledWith(true);
+            expect(mockConnection.invoke.mock.calls.filter(([method]) => method === 'SubscribeWithSequence')).toHaveLength(1);
+            expect(hub().streamRefs.get('test-stream')).toBe(2);
+        });
+
+        it('should let a second subscriber try again after the first is denied', async () => {
+            mockConnection.invoke.mockResolvedValue(false);
+
+            const results = await Promise.all([
+                connectionManager.subscribe('test-stream', '/test-hub'),
+                connectionManager.subscribe('test-stream', '/test-hub')
+            ]);
+
+            expect(results).toEqual([false, false]);
+            expect(mockConnection.invoke.mock.calls.filter(([method]) => method === 'SubscribeWithSequence')).toHaveLength(2);
+            expect(hub().streamRefs.has('test-stream')).toBe(false);
+        });
+
+        it('should unsubscribe only after a pending subscribe has finished', async () => {
+            configure({ unsubscribeDelay: 0 });
+            const finishSubscribe = deferInvoke();
+
+            const subscribing = connectionManager.subscribe('test-stream', '/test-hub');
+            const unsubscribing = connectionManager.unsubscribe('test-stream', '/test-hub');
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+
+            finishSubscribe(true);
+            await Promise.all([subscribing, unsubscribing]);
+
+            expect(mockConnection.invoke.mock.calls.map(([method]) => method)).toEqual(['SubscribeWithSequence', 'Unsubscribe']);
+            expect(hub().streamRefs.has('test-stream')).toBe(false);
+            expect(hub().subscribedStreams.has('test-stream')).toBe(false);
+        });
+
+        it('should not hold up operations on other streams', async () => {
+            deferInvoke();
+
+            connectionManager.subscribe('slow-stream', '/test-hub');
+            // Let the slow subscription go out on its own rather than batched with the next one
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            await expect(connectionManager.subscribe('other-stream', '/test-hub')).resolves.toBe(true);
+        });
+
+        it('should continue the queue after an operation fails', async () => {
+            mockConnection.invoke.mockRejectedValueOnce(new Error('boom'));
+
+            const failing = connectionManager.subscribe('test-stream', '/test-hub');
+            const next = connectionManager.subscribe('test-stream', '/test-hub');
+
+            await expect(failing).rejects.toThrow();
+            await expect(next).resolves.toBe(true);
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
+        });
+    });
+
+    describe('batched subscriptions', () => {
+        const calls = (method) => mockConnection.invoke.mock.calls.filter(([name]) => name === method);
+
+        beforeEach(() => {
+            mockConnection.invoke.mockImplementation((method, streams) =>
+                Promise.resolve(method.endsWith('Many') ? streams.map((stream) => stream !== 'private-stream') : true));
+        });
+
+        afterEach(() => {
+            mockConnection.invoke.mockResolvedValue(true);
+        });
+
+        it('should subscribe to streams requested in the same tick with one SubscribeMany call', async () => {
+            const results = await Promise.all([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('private-stream', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub')
+            ]);
+
+            expect(results).toEqual([true, false, true]);
+            expect(calls('SubscribeMany')).toEqual([['SubscribeMany', ['stream-1', 'private-stream', 'stream-2']]]);
+            expect(calls('SubscribeWithSequence')).toHaveLength(0);
+            expect(hub().getStreamStatus('private-stream')).toBe('denied');
+        });
+
+        it('should subscribe streams requested while the connection starts with one SubscribeMany call', async () => {
+            let completeStart;
+            mockConnection.start.mockReturnValueOnce(new Promise((resolve) => {
+                completeStart = resolve;
+            }));
+
+            const subscribing = Promise.all([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub')
+            ]);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const lateSubscribing = connectionManager.subscribe('stream-3', '/test-hub');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+
+            completeStart();
+
+            await expect(Promise.all([subscribing, lateSubscribing])).resolves.toEqual([[true, true], true]);
+            expect(mockConnection.start).toHaveBeenCalledTimes(1);
+            expect(calls('SubscribeMany')).toEqual([['SubscribeMany', ['stream-1', 'stream-2', 'stream-3']]]);
+            expect(calls('SubscribeWithSequence')).toHaveLength(0);
+        });
+
+        it('should split batches larger than the hub accepts', async () => {
+            const streamNames = Array.from({ length: 150 }, (_, i) => `stream-${i}`);
+
+            const results = await Promise.all(streamNames.map((streamName) => connectionManager.subscribe(streamName, '/test-hub')));
+
+            expect(results.every((result) => result === true)).toBe(true);
+            expect(calls('SubscribeMany').map(([, streams]) => streams)).toEqual([
+                streamNames.slice(0, 100),
+                streamNames.slice(100)
+            ]);
+        });
+
+        it('should subscribe elements connected together in one call', async () => {
+            document.body.innerHTML = `
+                <turbo-stream-source-signalr stream="stream-1" hub-url="/test-hub"></turbo-stream-source-signalr>
+                <turbo-stream-source-signalr stream="stream-2" hub-url="/test-hub"></turbo-stream-source-signalr>`;
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(calls('SubscribeMany')).toEqual([['SubscribeMany', ['stream-1', 'stream-2']]]);
+            document.body.innerHTML = '';
+        });
+
+        it('should fall back to one SubscribeWithSequence per stream when the hub lacks SubscribeMany', async () => {
+            mockConnection.invoke.mockImplementation((method) => method === 'SubscribeMany'
+                ? Promise.reject(new Error('Failed to invoke \'SubscribeMany\' due to an error on the server. HubException: Method does not exist.'))
+                : Promise.resolve(true));
+
+            const results = await Promise.all([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub')
+            ]);
+
+            expect(results).toEqual([true, true]);
+            expect(calls('SubscribeWithSequence').map(([, stream]) => stream)).toEqual(['stream-1', 'stream-2']);
+
+            await Promise.all([
+                connectionManager.subscribe('stream-3', '/test-hub'),
+                connectionManager.subscribe('stream-4', '/test-hub')
+            ]);
+
+            expect(calls('SubscribeMany')).toHaveLength(1);
+        });
+
+        it('should fall back to Subscribe when the hub lacks SubscribeWithSequence', async () => {
+            mockConnection.invoke.mockImplementation((method) => method === 'SubscribeWithSequence'
+                ? Promise.reject(new Error('Failed to invoke \'SubscribeWithSequence\' due to an error on the server. HubException: Method does not exist.'))
+                : Promise.resolve(true));
+
+            expect(await connectionManager.subscribe('stream-1', '/test-hub')).toBe(true);
+            expect(await connectionManager.subscribe('stream-2', '/test-hub')).toBe(true);
+
+            expect(calls('SubscribeWithSequence')).toEqual([['SubscribeWithSequence', 'stream-1']]);
+            expect(calls('Subscribe')).toEqual([['Subscribe', 'stream-1'], ['Subscribe', 'stream-2']]);
+            expect(hub().subscribedStreams.has('stream-2')).toBe(true);
+        });
+
+        it('should fail every subscription in a batch that fails', async () => {
+            mockConnection.invoke.mockRejectedValue(new Error('Status code \'500\''));
+
+            const results = await Promise.allSettled([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub')
+            ]);
+
+            expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+            expect(results[0].reason.code).toBe(ERROR_CODES.SERVER_ERROR);
+            expect(hub().streamRefs.has('stream-1')).toBe(false);
+        });
+
+        it('should resubscribe with one call for new streams and one for replayed streams', async () => {
+            await Promise.all([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub'),
+                connectionManager.subscribe('stream-3', '/test-hub')
+            ]);
+            hub().lastSequences.set('stream-2', 4);
+            hub().lastSequences.set('stream-3', 9);
+            mockConnection.invoke.mockClear();
+
+            await mockConnection.onreconnected.mock.calls[0][0]();
+
+            expect(calls('SubscribeMany')).toHaveLength(0);
+            expect(calls('SubscribeWithSequence')).toEqual([['SubscribeWithSequence', 'stream-1']]);
+            expect(calls('ResubscribeMany')).toEqual([['ResubscribeMany', ['stream-2', 'stream-3'], [4, 9]]]);
+            expect(Array.from(hub().subscribedStreams).sort()).toEqual(['stream-1', 'stream-2', 'stream-3']);
+        });
+    });
+
+    describe('unsubscribe delay', () => {
+        beforeEach(() => {
+            // Leave requestAnimationFrame real; the render events rely on it
+            vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should unsubscribe from the server after the delay', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+            expect(hub().getState().streams).toEqual([]);
+
+            await vi.advanceTimersByTimeAsync(1000);
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'test-stream');
+            expect(hub().subscribedStreams.has('test-stream')).toBe(false);
+        });
+
+        it('should keep the subscription when the stream is subscribed again within the delay', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            mockConnection.invoke.mockClear();
+
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await vi.advanceTimersByTimeAsync(5000);
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
+            expect(hub().getStreamStatus('test-stream')).toBe('subscribed');
+        });
+
+        it('should keep tracking the sequence while the unsubscribe is pending', async () => {
+            window.Turbo = { renderStreamMessage: vi.fn() };
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+
+            const handler = mockConnection.on.mock.calls.find(([name]) => name === 'TurboStream')[1];
+            handler('<turbo-stream></turbo-stream>', { stream: 'test-stream', sequence: 7 });
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            expect(hub().lastSequences.get('test-stream')).toBe(7);
+            delete window.Turbo;
+        });
+
+        it('should carry a stream over a page swap', async () => {
+            document.body.innerHTML = '<turbo-stream-source-signalr stream="test-stream" hub-url="/test-hub"></turbo-stream-source-signalr>';
+            await vi.advanceTimersByTimeAsync(10);
+            mockConnection.invoke.mockClear();
+
+            document.body.innerHTML = '<main><turbo-stream-source-signalr stream="test-stream" hub-url="/test-hub"></turbo-stream-source-signalr></main>';
+            await vi.advanceTimersByTimeAsync(2000);
+
+            expect(mockConnection.invoke).not.toHaveBeenCalled();
+            expect(hub().streamRefs.get('test-stream')).toBe(1);
+            document.body.innerHTML = '';
+        });
+
+        it('should subscribe again on a new connection when the stream was released before reconnecting', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+            await connectionManager.unsubscribe('test-stream', '/test-hub');
+
+            mockConnection.onreconnected.mock.calls[0][0]();
+            await vi.advanceTimersByTimeAsync(0);
+            mockConnection.invoke.mockClear();
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'test-stream');
+        });
+    });
+
+    describe('message payload', () => {
+        const receive = (...args) => {
+            const handler = mockConnection.on.mock.calls.find(([name]) => name === 'TurboStream')[1];
+            handler(...args);
+        };
+
+        const listeners = [];
+
+        const on = (target, name, listener) => {
+            target.addEventListener(name, listener);
+            listeners.push([target, name, listener]);
+        };
+
+        beforeEach(() => {
+            window.Turbo = { renderStreamMessage: vi.fn() };
+        });
+
+        afterEach(() => {
+            listeners.splice(0).forEach(([target, name, listener]) => target.removeEventListener(name, listener));
+            document.body.innerHTML = '';
+            delete window.Turbo;
+        });
+
+        it('should accept the stream name before the HTML', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            const handler = vi.fn();
+            on(document, 'turbo:signalr:before-stream-render', handler);
+
+            receive('stream-1', '<turbo-stream></turbo-stream>', { sequence: 3 });
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream></turbo-stream>');
+            expect(handler.mock.calls[0][0].detail.stream).toBe('stream-1');
+            expect(hub().lastSequences.get('stream-1')).toBe(3);
+        });
+
+        it('should accept a stream name and HTML without metadata', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            const handler = vi.fn();
+            on(document, 'turbo:signalr:before-stream-render', handler);
+
+            receive('stream-1', '<turbo-stream></turbo-stream>');
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream></turbo-stream>');
+            expect(handler.mock.calls[0][0].detail.stream).toBe('stream-1');
+        });
+
+        it('should dispatch turbo:stream:message on the elements of the stream', async () => {
+            document.body.innerHTML = `
+                <turbo-stream-source-signalr id="orders" stream="orders" hub-url="/test-hub"></turbo-stream-source-signalr>
+                <turbo-stream-source-signalr id="other-hub" stream="orders" hub-url="/other-hub"></turbo-stream-source-signalr>
+                <turbo-stream-source-signalr id="prices" stream="prices" hub-url="/test-hub"></turbo-stream-source-signalr>`;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const received = vi.fn();
+            on(document, 'turbo:stream:message', (event) => received(event.target.id, event.detail));
+
+            receive('<turbo-stream></turbo-stream>', { stream: 'orders', sequence: 1 });
+
+            expect(received).toHaveBeenCalledTimes(1);
+            expect(received).toHaveBeenCalledWith('orders', {
+                stream: 'orders',
+                hubUrl: '/test-hub',
+                html: '<turbo-stream></turbo-stream>'
+            });
+        });
+
+        it('should not dispatch turbo:stream:message for broadcasts', async () => {
+            document.body.innerHTML = '<turbo-stream-source-signalr stream="orders" hub-url="/test-hub"></turbo-stream-source-signalr>';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const received = vi.fn();
+            on(document, 'turbo:stream:message', received);
+
+            receive('<turbo-stream></turbo-stream>');
+
+            expect(received).not.toHaveBeenCalled();
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('scoped rendering', () => {
+        const receive = (html, info) => {
+            const handler = mockConnection.on.mock.calls.find(([name]) => name === 'TurboStream')[1];
+            handler(html, info);
+        };
+
+        const rendered = () => {
+            const template = document.createElement('template');
+            template.innerHTML = window.Turbo.renderStreamMessage.mock.calls[0][0];
+            return Array.from(template.content.children);
+        };
+
+        const widget = (id, scope = 'self') => `
+            <div id="${id}">
+                <turbo-stream-source-signalr stream="ticker" hub-url="/test-hub" scope="${scope}"></turbo-stream-source-signalr>
+                <span id="price"></span>
+                <ul class="trades"></ul>
+            </div>`;
+
+        beforeEach(() => {
+            window.Turbo = { renderStreamMessage: vi.fn() };
+        });
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+            delete window.Turbo;
+        });
+
+        it('should resolve targets inside each scoped container', async () => {
+            document.body.innerHTML = widget('first') + widget('second');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receive('<turbo-stream action="update" target="price"><template>1</template></turbo-stream>', { stream: 'ticker' });
+
+            const [first, second] = rendered();
+            expect(first.hasAttribute('target')).toBe(false);
+            expect(Array.from(document.querySelectorAll(first.getAttribute('targets')))).toEqual([
+                document.querySelector('#first #price')
+            ]);
+            expect(Array.from(document.querySelectorAll(second.getAttribute('targets')))).toEqual([
+                document.querySelector('#second #price')
+            ]);
+        });
+
+        it('should resolve targets selectors inside the scoped container', async () => {
+            document.body.innerHTML = widget('first') + '<ul class="trades" id="outside"></ul>';
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receive('<turbo-stream action="append" targets=".trades"><template><li></li></template></turbo-stream>', { stream: 'ticker' });
+
+            const [element] = rendered();
+            expect(Array.from(document.querySelectorAll(element.getAttribute('targets')))).toEqual([
+                document.querySelector('#first .trades')
+            ]);
+        });
+
+        it('should render the original actions too when another element is unscoped', async () => {
+            document.body.innerHTML = widget('first') + widget('page', '');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receive('<turbo-stream action="update" target="price"><template>1</template></turbo-stream>', { stream: 'ticker' });
+
+            const elements = rendered();
+            expect(elements).toHaveLength(2);
+            expect(Array.from(document.querySelectorAll(elements[0].getAttribute('targets')))).toEqual([
+                document.querySelector('#page #price')
+            ]);
+            expect(Array.from(document.querySelectorAll(elements[1].getAttribute('targets')))).toEqual([
+                document.querySelector('#first #price')
+            ]);
+        });
+
+        it('should keep the original targets selectors out of the scoped containers', async () => {
+            document.body.innerHTML = widget('first') + widget('page', '') + '<ul class="trades" id="outside"></ul>';
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receive('<turbo-stream action="append" targets=".trades"><template><li></li></template></turbo-stream>', { stream: 'ticker' });
+
+            const [unscoped] = rendered();
+            expect(Array.from(document.querySelectorAll(unscoped.getAttribute('targets')))).toEqual([
+                document.querySelector('#page .trades'),
+                document.querySelector('#outside')
+            ]);
+        });
+
+        it('should render actions without a target once', async () => {
+            document.body.innerHTML = widget('first') + widget('second');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receive('<turbo-stream action="refresh"></turbo-stream>', { stream: 'ticker' });
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream action="refresh"></turbo-stream>');
+        });
+    });
+
+    describe('sequence tracking', () => {
+        const receive = (html, info) => {
+            const handler = mockConnection.on.mock.calls.find(([name]) => name === 'TurboStream')[1];
+            handler(html, info);
+        };
+
+        beforeEach(() => {
+            window.Turbo = { renderStreamMessage: vi.fn() };
+        });
+
+        afterEach(() => {
+            delete window.Turbo;
+        });
+
+        it('should track the last sequence per subscribed stream', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 4 });
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 5 });
+
+            expect(hub().lastSequences.get('stream-1')).toBe(5);
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(2);
+        });
+
+        it('should ignore messages without metadata', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive('<turbo-stream></turbo-stream>');
+
+            expect(hub().lastSequences.size).toBe(0);
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not move the sequence backwards unless reset', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 7 });
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 6 });
+            expect(hub().lastSequences.get('stream-1')).toBe(7);
+
+            receive('<turbo-stream action="refresh"></turbo-stream>', { stream: 'stream-1', sequence: 2, reset: true });
+            expect(hub().lastSequences.get('stream-1')).toBe(2);
+        });
+
+        it('should skip messages it has already received', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 4 });
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 5 });
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 4 });
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 5 });
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(2);
+            expect(hub().lastSequences.get('stream-1')).toBe(5);
+        });
+
+        it('should render a message that arrives after a newer one', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive('<turbo-stream>2</turbo-stream>', { stream: 'stream-1', sequence: 2 });
+            receive('<turbo-stream>1</turbo-stream>', { stream: 'stream-1', sequence: 1 });
+            receive('<turbo-stream>1</turbo-stream>', { stream: 'stream-1', sequence: 1 });
+
+            expect(window.Turbo.renderStreamMessage.mock.calls.map(([html]) => html)).toEqual([
+                '<turbo-stream>2</turbo-stream>',
+                '<turbo-stream>1</turbo-stream>'
+            ]);
+            expect(hub().lastSequences.get('stream-1')).toBe(2);
+        });
+
+        it('should apply live messages that overtake a replay after the replayed ones', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            receive('<turbo-stream>1</turbo-stream>', { stream: 'stream-1', sequence: 1 });
+            window.Turbo.renderStreamMessage.mockClear();
+            mockConnection.invoke.mockImplementation((method) => {
+                if (method === 'Resubscribe') {
+                    receive('<turbo-stream>4</turbo-stream>', { stream: 'stream-1', sequence: 4 });
+                    receive('<turbo-stream>2</turbo-stream>', { stream: 'stream-1', sequence: 2 });
+                    receive('<turbo-stream>3</turbo-stream>', { stream: 'stream-1', sequence: 3 });
+                    receive('<turbo-stream>4</turbo-stream>', { stream: 'stream-1', sequence: 4 });
+                }
+
+                return Promise.resolve(true);
+            });
+
+            await hub().resubscribeAll();
+
+            expect(window.Turbo.renderStreamMessage.mock.calls.map(([html]) => html)).toEqual([
+                '<turbo-stream>2</turbo-stream>',
+                '<turbo-stream>3</turbo-stream>',
+                '<turbo-stream>4</turbo-stream>'
+            ]);
+            expect(hub().replayBuffers.size).toBe(0);
+            mockConnection.invoke.mockResolvedValue(true);
+        });
+
+        it('should render a reset message even when its sequence is not newer', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 7 });
+            receive('<turbo-stream action="refresh"></turbo-stream>', { stream: 'stream-1', sequence: 7, reset: true });
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(2);
+        });
+
+        it('should pass the last sequence to Resubscribe after reconnecting', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            await connectionManager.subscribe('stream-2', '/test-hub');
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 3 });
+            mockConnection.invoke.mockClear();
+
+            await hub().resubscribeAll();
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Resubscribe', 'stream-1', 3);
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'stream-2');
+        });
+
+        it('should use the sequence returned by Subscribe as the replay point', async () => {
+            mockConnection.invoke.mockImplementation((method) =>
+                Promise.resolve(method === 'SubscribeWithSequence' ? { subscribed: true, sequence: 5 } : true));
+
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            mockConnection.invoke.mockClear();
+            await hub().resubscribeAll();
+
+            expect(hub().lastSequences.get('stream-1')).toBe(5);
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Resubscribe', 'stream-1', 5);
+        });
+
+        it('should keep a newer sequence received while Subscribe was in flight', async () => {
+            mockConnection.invoke.mockImplementation((method) => {
+                if (method !== 'SubscribeWithSequence') {
+                    return Promise.resolve(true);
+                }
+
+                receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 6 });
+                return Promise.resolve({ subscribed: true, sequence: 5 });
+            });
+
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            expect(hub().lastSequences.get('stream-1')).toBe(6);
+        });
+
+        it('should treat a Subscribe result that is not subscribed as denied', async () => {
+            mockConnection.invoke.mockResolvedValue({ subscribed: false, sequence: 0 });
+
+            const result = await connectionManager.subscribe('stream-1', '/test-hub');
+
+            expect(result).toBe(false);
+            expect(hub().lastSequences.has('stream-1')).toBe(false);
+        });
+
+        it('should read the sequences returned by SubscribeMany', async () => {
+            await connectionManager.getConnection('/test-hub');
+            mockConnection.invoke.mockImplementation((method, streams) => Promise.resolve(method === 'SubscribeMany'
+                ? streams.map((stream, i) => ({ subscribed: true, sequence: i + 1 }))
+                : true));
+
+            await Promise.all([
+                connectionManager.subscribe('stream-1', '/test-hub'),
+                connectionManager.subscribe('stream-2', '/test-hub')
+            ]);
+
+            expect(hub().lastSequences.get('stream-1')).toBe(1);
+            expect(hub().lastSequences.get('stream-2')).toBe(2);
+        });
+
+        it('should forget the sequence when the last reference unsubscribes', async () => {
+            configure({ unsubscribeDelay: 0 });
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            receive('<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 3 });
+
+            await connectionManager.unsubscribe('stream-1', '/test-hub');
+
+            expect(hub().lastSequences.has('stream-1')).toBe(false);
+        });
+    });
+
+    describe('expired streams', () => {
+        const listeners = [];
+
+        const on = (name, listener) => {
+            document.addEventListener(name, listener);
+            listeners.push([name, listener]);
+        };
+
+        const addSource = async (refreshUrl) => {
+            const element = document.createElement('turbo-stream-source-signalr');
+            element.setAttribute('stream', 'signed-1');
+            if (refreshUrl) {
+                element.setAttribute('refresh-url', refreshUrl);
+            }
+            document.body.appendChild(element);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            return element;
+        };
+
+        const resubscribeDenied = async () => {
+            mockConnection.invoke.mockResolvedValueOnce(false);
+            await hub('/turbo-hub').resubscribeAll();
+            await new Promise(resolve => setTimeout(resolve, 0));
+        };
+
+        afterEach(() => {
+            listeners.splice(0).forEach(([name, listener]) => document.removeEventListener(name, listener));
+            document.body.innerHTML = '';
+            vi.unstubAllGlobals();
+        });
+
+        it('should dispatch turbo:stream:expired when the hub denies a resubscribe', async () => {
+            const element = await addSource();
+            const expired = vi.fn();
+            on('turbo:stream:expired', expired);
+
+            await resubscribeDenied();
+
+            expect(expired).toHaveBeenCalledTimes(1);
+            expect(expired.mock.calls[0][0].target).toBe(element);
+            expect(expired.mock.calls[0][0].detail).toEqual({ stream: 'signed-1', hubUrl: '/turbo-hub', refreshUrl: null });
+        });
+
+        it('should subscribe to the stream name returned by refresh-url', async () => {
+            const fetchMock = vi.fn().mockResolvedValue({ ok: true, text: () => Promise.resolve('signed-2\n') });
+            vi.stubGlobal('fetch', fetchMock);
+            const element = await addSource('/streams/renew');
+
+            await resubscribeDenied();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(fetchMock).toHaveBeenCalledWith('/streams/renew', expect.objectContaining({ credentials: 'same-origin' }));
+            expect(element.stream).toBe('signed-2');
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'signed-2');
+            expect(hub('/turbo-hub').streamRefs.has('signed-1')).toBe(false);
+        });
+
+        it('should not renew the stream name when the event is canceled', async () => {
+            const fetchMock = vi.fn();
+            vi.stubGlobal('fetch', fetchMock);
+            await addSource('/streams/renew');
+            on('turbo:stream:expired', (event) => event.preventDefault());
+
+            await resubscribeDenied();
+
+            expect(fetchMock).not.toHaveBeenCalled();
+        });
+
+        it('should dispatch turbo:stream:error when renewing fails', async () => {
+            vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 403 }));
+            const element = await addSource('/streams/renew');
+            const errored = vi.fn();
+            on('turbo:stream:error', errored);
+
+            await resubscribeDenied();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(errored).toHaveBeenCalledTimes(1);
+            expect(errored.mock.calls[0][0].detail.error.message).toContain('403');
+            expect(element.stream).toBe('signed-1');
+        });
+    });
+
+    describe('refresh on reconnect', () => {
+        const addSource = async (stream, refreshOnReconnect) => {
+            const element = document.createElement('turbo-stream-source-signalr');
+            element.setAttribute('stream', stream);
+            if (refreshOnReconnect !== undefined) {
+                element.setAttribute('refresh-on-reconnect', refreshOnReconnect);
+            }
+            document.body.appendChild(element);
+            await vi.advanceTimersByTimeAsync(0);
+        };
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            window.Turbo = { visit: vi.fn(), renderStreamMessage: vi.fn() };
+            mockConnection.invoke.mockImplementation((method, streams) =>
+                Promise.resolve(method.endsWith('Many') ? streams.map(() => true) : true));
+        });
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+            delete window.Turbo;
+            vi.useRealTimers();
+        });
+
+        it('should refresh the page once when several streams reconnect', async () => {
+            await addSource('stream-1', '');
+            await addSource('stream-2', '');
+
+            await hub('/turbo-hub').resubscribeAll();
+            await hub('/turbo-hub').resubscribeAll();
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(window.Turbo.visit).toHaveBeenCalledTimes(1);
+            expect(window.Turbo.visit).toHaveBeenCalledWith(window.location.href, { action: 'replace' });
+        });
+
+        it('should render a refresh stream action in morph mode', async () => {
+            await addSource('stream-1', 'morph');
+
+            await hub('/turbo-hub').resubscribeAll();
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream action="refresh"></turbo-stream>');
+            expect(window.Turbo.visit).not.toHaveBeenCalled();
+        });
+
+        it('should prefer a replace visit when modes are mixed', async () => {
+            await addSource('stream-1', 'morph');
+            await addSource('stream-2', 'replace');
+
+            await hub('/turbo-hub').resubscribeAll();
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(window.Turbo.visit).toHaveBeenCalledTimes(1);
+            expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+        });
+
+        it('should not refresh for streams without the attribute', async () => {
+            await addSource('stream-1');
+
+            await hub('/turbo-hub').resubscribeAll();
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(window.Turbo.visit).not.toHaveBeenCalled();
+        });
+
+        it('should not refresh when resubscription is denied', async () => {
+            await addSource('stream-1', '');
+            hub('/turbo-hub').subscribedStreams.clear();
+            mockConnection.invoke.mockResolvedValue(false);
+
+            await hub('/turbo-hub').resubscribeAll();
+            await vi.advanceTimersByTimeAsync(100);
+
+            expect(window.Turbo.visit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleTurboStream', () => {
+        it('should call Turbo.renderStreamMessage when available', () => {
+            window.Turbo = {
+                renderStreamMessage: vi.fn()
+            };
+
+            connectionManager.handleTurboStream('<turbo-stream action="append" target="list"></turbo-stream>');
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                '<turbo-stream action="append" target="list"></turbo-stream>'
+            );
+
+            delete window.Turbo;
+        });
+
+        it('should warn and drop the message when Turbo is not available', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            document.body.innerHTML = '<div id="list"></div>';
+
+            connectionManager.handleTurboStream(
+                '<turbo-stream action="append" target="list"><template><p>New item</p></template></turbo-stream>'
+            );
+
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Turbo.js is not loaded'));
+            expect(document.getElementById('list').innerHTML).not.toContain('New item');
+
+            warnSpy.mockRestore();
+        });
+
+        it('should handle empty html gracefully', () => {
+            expect(() => connectionManager.handleTurboStream('')).not.toThrow();
+            expect(() => connectionManager.handleTurboStream(null)).not.toThrow();
+        });
+
+        describe('render events', () => {
+            const listeners = [];
+
+            const on = (name, listener) => {
+                document.addEventListener(name, listener);
+                listeners.push([name, listener]);
+            };
+
+            const stream = (action, target) =>
+                `<turbo-stream action="${action}" target="${target}"><template>x</template></turbo-stream>`;
+
+            beforeEach(() => {
+                window.Turbo = { renderStreamMessage: vi.fn() };
+            });
+
+            afterEach(() => {
+                listeners.splice(0).forEach(([name, listener]) => document.removeEventListener(name, listener));
+                delete window.Turbo;
+            });
+
+            it('should describe the message in turbo:signalr:before-stream-render', () => {
+                const handler = vi.fn();
+                on('turbo:signalr:before-stream-render', handler);
+
+                connectionManager.handleTurboStream(stream('append', 'list'), { stream: 'orders', sequence: 1 }, '/test-hub');
+
+                const detail = handler.mock.calls[0][0].detail;
+                expect(detail.stream).toBe('orders');
+                expect(detail.hubUrl).toBe('/test-hub');
+                expect(detail.html).toBe(stream('append', 'list'));
+                expect(detail.elements.map((element) => element.getAttribute('target'))).toEqual(['list']);
+            });
+
+            it('should not render a message when the event is canceled', () => {
+                on('turbo:signalr:before-stream-render', (event) => event.preventDefault());
+
+                connectionManager.handleTurboStream(stream('append', 'list'), { stream: 'orders' });
+
+                expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+            });
+
+            it('should render changes made to the parsed elements', () => {
+                on('turbo:signalr:before-stream-render', (event) => {
+                    const { elements } = event.detail;
+                    elements[0].setAttribute('target', 'ui-list');
+                    elements.splice(1, 1);
+                });
+
+                connectionManager.handleTurboStream(stream('append', 'list') + stream('remove', 'missing'));
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('append', 'ui-list'));
+            });
+
+            it('should render replaced HTML', () => {
+                on('turbo:signalr:before-stream-render', (event) => {
+                    event.detail.html = stream('update', 'other');
+                });
+
+                connectionManager.handleTurboStream(stream('append', 'list'));
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('update', 'other'));
+            });
+
+            it('should not render when every element is removed', () => {
+                on('turbo:signalr:before-stream-render', (event) => {
+                    event.detail.elements.length = 0;
+                });
+
+                connectionManager.handleTurboStream(stream('append', 'list'));
+
+                expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+            });
+
+            it('should dispatch turbo:signalr:after-stream-render once Turbo applied the actions', async () => {
+                const handler = vi.fn();
+                on('turbo:signalr:after-stream-render', handler);
+
+                const rendered = () => handler.mock.calls.filter(([event]) => event.detail.streams.includes('order-book'));
+
+                connectionManager.handleTurboStream(stream('append', 'list'), { stream: 'order-book' });
+
+                expect(rendered()).toHaveLength(0);
+
+                await vi.waitFor(() => expect(rendered()).toHaveLength(1));
+                expect(rendered()[0][0].detail).toEqual({ streams: ['order-book'], html: stream('append', 'list') });
+            });
+        });
+
+        describe('batch rendering', () => {
+            let frames;
+
+            const runFrame = () => frames.splice(0).forEach((callback) => callback());
+
+            const stream = (action, target, content = '') =>
+                `<turbo-stream action="${action}" target="${target}"><template>${content}</template></turbo-stream>`;
+
+            beforeEach(() => {
+                frames = [];
+                vi.stubGlobal('requestAnimationFrame', vi.fn((callback) => frames.push(callback)));
+                vi.stubGlobal('cancelAnimationFrame', vi.fn());
+                window.Turbo = { renderStreamMessage: vi.fn() };
+                configure({ batchRendering: true });
+            });
+
+            afterEach(() => {
+                configure({ batchRendering: undefined });
+                connectionManager.takeFrameQueue();
+                vi.unstubAllGlobals();
+                delete window.Turbo;
+            });
+
+            it('should render messages from one frame in a single call', () => {
+                connectionManager.handleTurboStream(stream('append', 'book', '1'));
+                connectionManager.handleTurboStream(stream('append', 'book', '2'));
+
+                expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+                expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+                runFrame();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                    stream('append', 'book', '1') + stream('append', 'book', '2')
+                );
+            });
+
+            it('should drop updates and replaces overwritten within the frame', () => {
+                connectionManager.handleTurboStream(stream('update', 'bid', '1'));
+                connectionManager.handleTurboStream(stream('replace', 'ask', '1'));
+                connectionManager.handleTurboStream(stream('update', 'bid', '2'));
+                connectionManager.handleTurboStream(stream('replace', 'ask', '2'));
+
+                runFrame();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                    stream('update', 'bid', '2') + stream('replace', 'ask', '2')
+                );
+            });
+
+            it('should start a new batch after each frame', () => {
+                connectionManager.handleTurboStream(stream('append', 'book', '1'));
+                runFrame();
+                connectionManager.handleTurboStream(stream('append', 'book', '2'));
+                runFrame();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(2);
+            });
+
+            it('should hand the pending batch to the hidden queue when the page is hidden', () => {
+                configure({ hiddenQueue: true });
+                connectionManager.handleTurboStream(stream('append', 'book', '1'));
+                Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+
+                connectionManager.handleTurboStream(stream('append', 'book', '2'));
+
+                expect(cancelAnimationFrame).toHaveBeenCalled();
+                expect(connectionManager.hiddenQueue.map((entry) => entry.html)).toEqual([
+                    stream('append', 'book', '1'),
+                    stream('append', 'book', '2')
+                ]);
+
+                Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+                configure({ hiddenQueue: undefined });
+                connectionManager.hiddenQueue = [];
+            });
+
+            it('should render the batch on a timer while the page is hidden', () => {
+                vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+                Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+
+                try {
+                    connectionManager.handleTurboStream(stream('append', 'book', '1'));
+                    connectionManager.handleTurboStream(stream('append', 'book', '2'));
+
+                    expect(requestAnimationFrame).not.toHaveBeenCalled();
+
+                    vi.runOnlyPendingTimers();
+
+                    expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+                    expect(connectionManager.frameQueue).toEqual([]);
+                } finally {
+                    Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+                    vi.useRealTimers();
+                }
+            });
+
+            it('should render the pending batch when the page becomes hidden', () => {
+                connectionManager.handleTurboStream(stream('append', 'book', '1'));
+                Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+
+                try {
+                    connectionManager.handleVisibilityChange();
+
+                    expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('append', 'book', '1'));
+                    expect(cancelAnimationFrame).toHaveBeenCalled();
+                } finally {
+                    Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+                    connectionManager.handleVisibilityChange();
+                }
+            });
+
+            it('should render immediately when not enabled', () => {
+                configure({ batchRendering: undefined });
+
+                connectionManager.handleTurboStream(stream('append', 'book', '1'));
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        describe('while the page is hidden', () => {
+            const setVisibility = (state) => {
+                Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+            };
+
+            const showPage = () => {
+                setVisibility('visible');
+                document.dispatchEvent(new Event('visibilitychange'));
+            };
+
+            const stream = (action, target, content = '') =>
+                `<turbo-stream action="${action}" target="${target}"><template>${content}</template></turbo-stream>`;
+
+            beforeEach(() => {
+                window.Turbo = { renderStreamMessage: vi.fn(), visit: vi.fn() };
+                configure({ hiddenQueue: true });
+                setVisibility('hidden');
+            });
+
+            afterEach(() => {
+                setVisibility('visible');
+                configure({ hiddenQueue: undefined });
+                connectionManager.hiddenQueue = [];
+                connectionManager.hiddenQueueOverflowed = false;
+                delete window.Turbo;
+            });
+
+            it('should queue messages and render them in order when visible', () => {
+                connectionManager.handleTurboStream(stream('append', 'list', '1'));
+                connectionManager.handleTurboStream(stream('append', 'list', '2') + stream('remove', 'item-1'));
+
+                expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+
+                showPage();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                    stream('append', 'list', '1') + stream('append', 'list', '2') + stream('remove', 'item-1')
+                );
+            });
+
+            it('should keep only the latest replace or update per target', () => {
+                connectionManager.handleTurboStream(stream('replace', 'counter', '1'));
+                connectionManager.handleTurboStream(stream('append', 'list', 'a'));
+                connectionManager.handleTurboStream(stream('update', 'counter', '2'));
+                connectionManager.handleTurboStream(stream('replace', 'counter', '3'));
+                connectionManager.handleTurboStream(stream('update', 'list', 'b'));
+
+                showPage();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                    stream('replace', 'counter', '3') + stream('update', 'list', 'b')
+                );
+            });
+
+            it('should keep a replace followed by an update on the same target', () => {
+                connectionManager.handleTurboStream(stream('replace', 'card', '1'));
+                connectionManager.handleTurboStream(stream('update', 'card', '2'));
+
+                showPage();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                    stream('replace', 'card', '1') + stream('update', 'card', '2')
+                );
+            });
+
+            it('should keep every message when collapsing is turned off', () => {
+                configure({ hiddenQueue: { collapse: 'none' } });
+
+                connectionManager.handleTurboStream(stream('replace', 'counter', '1'));
+                connectionManager.handleTurboStream(stream('replace', 'counter', '2'));
+
+                showPage();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+                    stream('replace', 'counter', '1') + stream('replace', 'counter', '2')
+                );
+            });
+
+            it('should accept a custom collapse function', () => {
+                const collapse = vi.fn((entries) => entries.slice(-1));
+                configure({ hiddenQueue: { collapse } });
+
+                connectionManager.handleTurboStream(stream('append', 'list', '1'));
+                connectionManager.handleTurboStream(stream('append', 'list', '2'));
+
+                showPage();
+
+                expect(collapse).toHaveBeenLastCalledWith([
+                    { html: stream('append', 'list', '1'), action: 'append', target: 'list', stream: null },
+                    { html: stream('append', 'list', '2'), action: 'append', target: 'list', stream: null }
+                ]);
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('append', 'list', '2'));
+            });
+
+            it('should refresh the page instead when the queue overflows', () => {
+                configure({ hiddenQueue: { maxSize: 2 } });
+
+                connectionManager.handleTurboStream(stream('append', 'list', '1'));
+                connectionManager.handleTurboStream(stream('append', 'list', '2'));
+                connectionManager.handleTurboStream(stream('append', 'list', '3'));
+
+                showPage();
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream action="refresh"></turbo-stream>');
+                expect(connectionManager.hiddenQueue).toEqual([]);
+            });
+
+            it('should render immediately when the queue is disabled', () => {
+                configure({ hiddenQueue: false });
+
+                connectionManager.handleTurboStream(stream('append', 'list', '1'));
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('append', 'list', '1'));
+            });
+
+            it('should render immediately unless the queue is enabled', () => {
+                configure({ hiddenQueue: undefined });
+
+                connectionManager.handleTurboStream(stream('append', 'list', '1'));
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('append', 'list', '1'));
+            });
+
+            it('should render immediately when an options object disables the queue', () => {
+                configure({ hiddenQueue: { enabled: false, maxSize: 10 } });
+
+                connectionManager.handleTurboStream(stream('append', 'list', '1'));
+
+                expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(stream('append', 'list', '1'));
+            });
+        });
+    });
+
+    describe('getState', () => {
+        it('should return current state', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            await connectionManager.subscribe('stream-2', '/test-hub');
+
+            const state = connectionManager.getState();
+
+            expect(state.isConnected).toBe(true);
+            expect(state.streamCount).toBe(2);
+            expect(state.streams).toContain('stream-1');
+            expect(state.streams).toContain('stream-2');
+        });
+
+        it('should report per-stream status, message time and sequence', async () => {
+            const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            mockConnection.on.mock.calls.find(([name]) => name === 'TurboStream')[1](
+                '<turbo-stream></turbo-stream>', { stream: 'stream-1', sequence: 3 });
+
+            const state = hub().getState();
+
+            expect(state.status).toBe('connected');
+            expect(state.reconnectAttempt).toBe(0);
+            expect(state.streamStates['stream-1']).toEqual({
+                status: 'subscribed',
+                refCount: 1,
+                lastMessageAt: 1000,
+                lastSequence: 3
+            });
+            now.mockRestore();
+        });
+
+        it('should report denied and failed subscriptions', async () => {
+            mockConnection.invoke.mockResolvedValueOnce(false);
+            await connectionManager.subscribe('denied-stream', '/test-hub');
+            mockConnection.invoke.mockRejectedValueOnce(new Error('boom'));
+            await expect(connectionManager.subscribe('broken-stream', '/test-hub')).rejects.toThrow();
+
+            const { streamStates } = hub().getState();
+
+            expect(streamStates['denied-stream'].status).toBe('denied');
+            expect(streamStates['broken-stream'].status).toBe('error');
+        });
+
+        it('should report the reconnect attempt while reconnecting', async () => {
+            await connectionManager.getConnection('/test-hub');
+            mockConnection.onreconnecting.mock.calls[0][0]();
+            hub().reconnectAttempt = 2;
+
+            expect(hub().getState()).toMatchObject({ status: 'reconnecting', reconnectAttempt: 2 });
+        });
+    });
+
+    describe('onStateChange', () => {
+        let unsubscribe;
+
+        afterEach(() => {
+            unsubscribe?.();
+        });
+
+        it('should call the callback with the current state', () => {
+            const callback = vi.fn();
+
+            unsubscribe = onStateChange(callback);
+
+            expect(callback).toHaveBeenCalledWith(connectionManager.getState());
+        });
+
+        it('should notify once for changes made together', async () => {
+            const callback = vi.fn();
+            unsubscribe = onStateChange(callback);
+            callback.mockClear();
+
+            hub().dispatchConnectionEvent('turbo:signalr:test');
+            hub().dispatchConnectionEvent('turbo:signalr:test');
+            await Promise.resolve();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should notify when stream references and subscription results change', async () => {
+            const callback = vi.fn();
+            unsubscribe = onStateChange(callback);
+
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            await Promise.resolve();
+
+            const state = callback.mock.lastCall[0];
+            expect(state.hubs['/test-hub'].streamStates['stream-1'].status).toBe('subscribed');
+
+            await connectionManager.unsubscribe('stream-1', '/test-hub');
+            await Promise.resolve();
+
+            expect(callback.mock.lastCall[0].streams).toEqual([]);
+        });
+
+        it('should stop calling the callback once unsubscribed', async () => {
+            const callback = vi.fn();
+            onStateChange(callback)();
+            callback.mockClear();
+
+            await connectionManager.subscribe('stream-1', '/test-hub');
+            await Promise.resolve();
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('should keep notifying other callbacks when one throws', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const failing = vi.fn();
+            const callback = vi.fn();
+            const removeFailing = onStateChange(failing);
+            unsubscribe = onStateChange(callback);
+            failing.mockImplementation(() => {
+                throw new Error('listener failed');
+            });
+            callback.mockClear();
+
+            hub().dispatchConnectionEvent('turbo:signalr:test');
+            await Promise.resolve();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(warn).toHaveBeenCalledWith('Error in a connection state listener:', expect.any(Error));
+
+            removeFailing();
+            warn.mockRestore();
+        });
+    });
+
+    describe('dispatchConnectionEvent', () => {
+        it('should dispatch custom events', () => {
+            const handler = vi.fn();
+            document.addEventListener('turbo:signalr:test', handler);
+
+            hub().dispatchConnectionEvent('turbo:signalr:test', { data: 'test' });
+
+            expect(handler).toHaveBeenCalled();
+            expect(handler.mock.calls[0][0].detail).toEqual({ data: 'test', hubUrl: '/test-hub', connectionId: null });
+
+            document.removeEventListener('turbo:signalr:test', handler);
+        });
+
+        it('should include connectionId when connection exists', async () => {
+            await connectionManager.subscribe('stream-1', '/test-hub');
+
+            const handler = vi.fn();
+            document.addEventListener('turbo:signalr:test', handler);
+
+            hub().dispatchConnectionEvent('turbo:signalr:test', { data: 'test' });
+
+            expect(handler).toHaveBeenCalled();
+            expect(handler.mock.calls[0][0].detail.connectionId).toBe('mock-connection-id');
+
+            document.removeEventListener('turbo:signalr:test', handler);
+        });
+    });
+});
+
+describe('Exported Functions', () => {
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+    });
+
+    describe('getConnectionState', () => {
+        it('should return connection state', async () => {
+            await connectionManager.subscribe('test-stream', '/test-hub');
+
+            const state = getConnectionState();
+
+            expect(state.isConnected).toBe(true);
+            expect(state.streams).toContain('test-stream');
+        });
+    });
+
+    describe('disconnect', () => {
+        it('should close the connection', async () => {
+            await connectionManager.getConnection('/test-hub');
+
+            await disconnect();
+
+            expect(mockConnection.stop).toHaveBeenCalled();
+            expect(getConnectionState('/test-hub')).toBeNull();
+        });
+
+        it('should close only the given hub', async () => {
+            await connectionManager.subscribe('stream-1', '/hub-1');
+            await connectionManager.subscribe('stream-2', '/hub-2');
+
+            await disconnect('/hub-1');
+
+            expect(getConnectionState('/hub-1')).toBeNull();
+            expect(getConnectionState('/hub-2').streams).toEqual(['stream-2']);
+        });
+    });
+});
+
+describe('turbo:before-fetch-request header injection', () => {
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+        mockConnection.start.mockResolvedValue(undefined);
+        mockConnection.invoke.mockResolvedValue(true);
+    });
+
+    afterEach(async () => {
+        await disconnect();
+    });
+
+    it('should set X-SignalR-Connection-Id header when connection exists', async () => {
+        await connectionManager.getConnection('/test-hub');
+
+        const fetchOptions = { headers: {} };
+        const event = new CustomEvent('turbo:before-fetch-request', {
+            detail: { fetchOptions }
+        });
+        document.dispatchEvent(event);
+
+        expect(fetchOptions.headers['X-SignalR-Connection-Id']).toBe('mock-connection-id');
+    });
+
+    it('should not set header when no connection exists', () => {
+        const fetchOptions = { headers: {} };
+        const event = new CustomEvent('turbo:before-fetch-request', {
+            detail: { fetchOptions }
+        });
+        document.dispatchEvent(event);
+
+        expect(fetchOptions.headers['X-SignalR-Connection-Id']).toBeUndefined();
+    });
+});
+
+describe('turbo-signalr-status', () => {
+    const emit = (name, detail = {}) => {
+        document.dispatchEvent(new CustomEvent(name, { detail: { hubUrl: '/turbo-hub', ...detail } }));
+    };
+
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+        mockConnection.start.mockResolvedValue(undefined);
+        mockConnection.invoke.mockResolvedValue(true);
+    });
+
+    afterEach(async () => {
+        document.body.innerHTML = '';
+        await disconnect();
+    });
+
+    it('should be registered as a custom element', () => {
+        expect(customElements.get('turbo-signalr-status')).toBe(TurboSignalRStatus);
+    });
+
+    it('should be a polite live region', () => {
+        document.body.innerHTML = '<turbo-signalr-status></turbo-signalr-status>';
+        const status = document.querySelector('turbo-signalr-status');
+
+        expect(status.getAttribute('role')).toBe('status');
+        expect(status.getAttribute('aria-live')).toBe('polite');
+        expect(status.getAttribute('aria-atomic')).toBe('true');
+    });
+
+    it('should keep an aria-live value set by the page', () => {
+        document.body.innerHTML = '<turbo-signalr-status aria-live="assertive"></turbo-signalr-status>';
+
+        expect(document.querySelector('turbo-signalr-status').getAttribute('aria-live')).toBe('assertive');
+    });
+
+    it('should follow the connection through each state', () => {
+        document.body.innerHTML = '<turbo-signalr-status></turbo-signalr-status>';
+        const status = document.querySelector('turbo-signalr-status');
+
+        expect(status.dataset.state).toBe('disconnected');
+
+        const states = [
+            ['turbo:signalr:connecting', 'connecting', 'Connecting…'],
+            ['turbo:signalr:connected', 'connected', 'Connected'],
+            ['turbo:signalr:reconnecting', 'reconnecting', 'Reconnecting…'],
+            ['turbo:signalr:reconnect-failed', 'error', 'Connection error'],
+            ['turbo:signalr:reconnected', 'connected', 'Connected']
+        ];
+
+        for (const [event, state, label] of states) {
+            emit(event);
+            expect(status.dataset.state).toBe(state);
+            expect(status.textContent).toBe(label);
+        }
+    });
+
+    it('should render the template for the current state', () => {
+        document.body.innerHTML = `
+            <turbo-signalr-status>
+                <template data-state="connected"><span class="live">Live</span></template>
+                <template data-state="disconnected"><span class="offline">Offline</span></template>
+            </turbo-signalr-status>`;
+        const status = document.querySelector('turbo-signalr-status');
+
+        expect(status.querySelector('.offline')).not.toBeNull();
+
+        emit('turbo:signalr:connected');
+
+        expect(status.querySelector('.offline')).toBeNull();
+        expect(status.querySelector('.live').textContent).toBe('Live');
+
+        emit('turbo:signalr:reconnecting');
+
+        expect(status.querySelector('.live')).toBeNull();
+        expect(status.querySelectorAll('template')).toHaveLength(2);
+    });
+
+    it('should show the most severe state of all hubs', () => {
+        document.body.innerHTML = '<turbo-signalr-status></turbo-signalr-status>';
+        const status = document.querySelector('turbo-signalr-status');
+
+        emit('turbo:signalr:connected', { hubUrl: '/hub-a' });
+        emit('turbo:signalr:reconnecting', { hubUrl: '/hub-b' });
+
+        expect(status.dataset.state).toBe('reconnecting');
+
+        emit('turbo:signalr:disconnected', { hubUrl: '/hub-b', intentional: true });
+
+        expect(status.dataset.state).toBe('connected');
+    });
+
+    it('should only follow its hub-url', () => {
+        document.body.innerHTML = '<turbo-signalr-status hub-url="/hub-a"></turbo-signalr-status>';
+        const status = document.querySelector('turbo-signalr-status');
+
+        emit('turbo:signalr:connected', { hubUrl: '/hub-a' });
+        emit('turbo:signalr:error', { hubUrl: '/hub-b' });
+
+        expect(status.state).toBe('connected');
+    });
+
+    it('should start from the state of hubs connected before it', async () => {
+        await connectionManager.subscribe('stream-1', '/test-hub');
+
+        document.body.innerHTML = '<turbo-signalr-status></turbo-signalr-status>';
+
+        expect(document.querySelector('turbo-signalr-status').dataset.state).toBe('connected');
+    });
+
+    it('should see the connecting event when a hub starts', async () => {
+        document.body.innerHTML = '<turbo-signalr-status></turbo-signalr-status>';
+        const status = document.querySelector('turbo-signalr-status');
+        const seen = [];
+        const record = () => seen.push(status.dataset.state);
+        document.addEventListener('turbo:signalr:connecting', record);
+
+        await connectionManager.subscribe('stream-1', '/test-hub');
+
+        document.removeEventListener('turbo:signalr:connecting', record);
+        expect(seen).toEqual(['connecting']);
+        expect(status.dataset.state).toBe('connected');
+    });
+});
+
+describe('presence', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+    const ann = { connectionId: 'mock-connection-id', identity: { name: 'Ann' } };
+    const bob = { connectionId: 'bob-connection-id', identity: { name: 'Bob' } };
+    const receivePresence = (change) => {
+        const handler = mockConnection.on.mock.calls.find(([name]) => name === 'TurboPresence')[1];
+        handler(change);
+    };
+
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+        mockConnection.start.mockResolvedValue(undefined);
+        mockConnection.invoke.mockImplementation(async (method) => method === 'JoinPresence' ? [bob, ann] : true);
+    });
+
+    afterEach(async () => {
+        document.body.innerHTML = '';
+        mockConnection.invoke.mockReset();
+        mockConnection.invoke.mockResolvedValue(true);
+        configure({ unsubscribeDelay: undefined });
+        await disconnect();
+    });
+
+    it('should announce the identity when subscribing with presence', async () => {
+        const handler = vi.fn();
+        document.addEventListener('turbo:signalr:presence', handler);
+
+        await connectionManager.subscribe('doc:1', '/test-hub', { presence: { name: 'Ann' } });
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'doc:1');
+        expect(mockConnection.invoke).toHaveBeenCalledWith('JoinPresence', 'doc:1', { name: 'Ann' });
+        expect(connectionManager.getPresence('doc:1', '/test-hub')).toEqual([bob, ann]);
+        expect(handler.mock.calls[0][0].detail).toMatchObject({
+            hubUrl: '/test-hub',
+            stream: 'doc:1',
+            type: 'list',
+            members: [bob, ann]
+        });
+
+        document.removeEventListener('turbo:signalr:presence', handler);
+    });
+
+    it('should apply join and leave changes', async () => {
+        await connectionManager.subscribe('doc:1', '/test-hub', { presence: 'Ann' });
+        const handler = vi.fn();
+        document.addEventListener('turbo:signalr:presence', handler);
+        const carol = { connectionId: 'carol-connection-id', identity: 'Carol' };
+
+        receivePresence({ stream: 'doc:1', type: 'join', member: carol });
+        receivePresence({ stream: 'doc:1', type: 'leave', member: bob });
+
+        expect(handler.mock.calls.map(([event]) => event.detail.type)).toEqual(['join', 'leave']);
+        expect(connectionManager.getPresence('doc:1', '/test-hub')).toEqual([ann, carol]);
+
+        document.removeEventListener('turbo:signalr:presence', handler);
+    });
+
+    it('should ignore changes for streams without presence', async () => {
+        await connectionManager.subscribe('doc:1', '/test-hub');
+        const handler = vi.fn();
+        document.addEventListener('turbo:signalr:presence', handler);
+
+        receivePresence({ stream: 'doc:1', type: 'join', member: bob });
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(mockConnection.invoke).not.toHaveBeenCalledWith('JoinPresence', expect.anything(), expect.anything());
+
+        document.removeEventListener('turbo:signalr:presence', handler);
+    });
+
+    it('should announce presence again after reconnecting', async () => {
+        await connectionManager.subscribe('doc:1', '/test-hub', { presence: 'Ann' });
+        mockConnection.invoke.mockClear();
+
+        await hub().resubscribeAll();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('JoinPresence', 'doc:1', 'Ann');
+    });
+
+    it('should forget presence when the last reference unsubscribes', async () => {
+        configure({ unsubscribeDelay: 0 });
+        await connectionManager.subscribe('doc:1', '/test-hub', { presence: 'Ann' });
+
+        await connectionManager.unsubscribe('doc:1', '/test-hub');
+
+        expect(connectionManager.getPresence('doc:1', '/test-hub')).toEqual([]);
+        expect(hub().presence.has('doc:1')).toBe(false);
+    });
+
+    it('should render members with the turbo-presence element', async () => {
+        document.body.innerHTML = `
+            <turbo-presence stream="doc:1" identity='{"name":"Ann"}'>
+                <template><span class="viewer" data-presence-field="name"></span></template>
+            </turbo-presence>`;
+        await flush();
+        const element = document.querySelector('turbo-presence');
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('JoinPresence', 'doc:1', { name: 'Ann' });
+        expect(element.getAttribute('data-count')).toBe('2');
+        expect(Array.from(element.querySelectorAll('.viewer'), (node) => node.textContent)).toEqual(['Bob', 'Ann']);
+
+        receivePresence({ stream: 'doc:1', type: 'leave', member: bob });
+
+        expect(element.getAttribute('data-count')).toBe('1');
+        expect(element.querySelector('.viewer').getAttribute('data-connection-id')).toBe('mock-connection-id');
+    });
+
+    it('should leave presence after the last turbo-presence element while the stream stays referenced', async () => {
+        configure({ unsubscribeDelay: 0 });
+        document.body.innerHTML = `
+            <turbo-stream-source-signalr stream="doc:1" hub-url="/test-hub"></turbo-stream-source-signalr>
+            <turbo-presence stream="doc:1" hub-url="/test-hub" identity="Ann"></turbo-presence>
+            <turbo-presence stream="doc:1" hub-url="/test-hub" identity="Ann"></turbo-presence>`;
+        await flush();
+        const [first, second] = document.querySelectorAll('turbo-presence');
+        mockConnection.invoke.mockClear();
+
+        first.remove();
+        await flush();
+
+        expect(mockConnection.invoke).not.toHaveBeenCalled();
+
+        second.remove();
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('LeavePresence', 'doc:1');
+        expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'doc:1');
+        expect(hub().streamRefs.get('doc:1')).toBe(1);
+        expect(connectionManager.getPresence('doc:1', '/test-hub')).toEqual([]);
+    });
+
+    it('should join presence again when a turbo-presence element returns', async () => {
+        configure({ unsubscribeDelay: 0 });
+        document.body.innerHTML = `
+            <turbo-stream-source-signalr stream="doc:1" hub-url="/test-hub"></turbo-stream-source-signalr>
+            <turbo-presence stream="doc:1" hub-url="/test-hub" identity="Ann"></turbo-presence>`;
+        await flush();
+        const element = document.querySelector('turbo-presence');
+        element.remove();
+        await flush();
+        mockConnection.invoke.mockClear();
+
+        document.body.appendChild(element);
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('JoinPresence', 'doc:1', 'Ann');
+        expect(element.getAttribute('data-count')).toBe('2');
+    });
+
+    it('should leave presence when a released stream is continued without it', async () => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+        try {
+            await connectionManager.subscribe('doc:1', '/test-hub', { presence: 'Ann' });
+            await connectionManager.unsubscribe('doc:1', '/test-hub', { presence: true });
+            mockConnection.invoke.mockClear();
+
+            await connectionManager.subscribe('doc:1', '/test-hub');
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('LeavePresence', 'doc:1');
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('SubscribeWithSequence', 'doc:1');
+            expect(hub().presence.has('doc:1')).toBe(false);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should include the code in turbo-presence error events', async () => {
+        const errored = vi.fn();
+        document.addEventListener('turbo:stream:error', errored);
+        mockConnection.invoke.mockRejectedValueOnce(new Error('HubException: rate_limited: Slow down.'));
+
+        document.body.innerHTML = '<turbo-presence stream="doc:1" identity="Ann"></turbo-presence>';
+        await flush();
+
+        expect(errored.mock.calls[0][0].detail).toMatchObject({ stream: 'doc:1', code: ERROR_CODES.RATE_LIMITED });
+        document.removeEventListener('turbo:stream:error', errored);
+    });
+
+    it('should unsubscribe when the turbo-presence element is removed', async () => {
+        configure({ unsubscribeDelay: 0 });
+        document.body.innerHTML = '<turbo-presence stream="doc:1" identity="Ann"></turbo-presence>';
+        await flush();
+        mockConnection.invoke.mockClear();
+
+        document.querySelector('turbo-presence').remove();
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'doc:1');
+        expect(mockConnection.invoke).not.toHaveBeenCalledWith('LeavePresence', 'doc:1');
+    });
+
+    it('should unsubscribe when the turbo-presence element is removed while subscribing', async () => {
+        configure({ unsubscribeDelay: 0 });
+        let completeSubscribe;
+        mockConnection.invoke.mockImplementation(async (method) => {
+            if (method === 'SubscribeWithSequence') {
+                return new Promise((resolve) => {
+                    completeSubscribe = resolve;
+                });
+            }
+
+            return method === 'JoinPresence' ? [bob, ann] : true;
+        });
+
+        document.body.innerHTML = '<turbo-presence stream="doc:1" hub-url="/test-hub" identity="Ann"></turbo-presence>';
+        await flush();
+
+        document.querySelector('turbo-presence').remove();
+        completeSubscribe(true);
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'doc:1');
+        expect(hub().streamRefs.has('doc:1')).toBe(false);
+        expect(hub().presence.has('doc:1')).toBe(false);
+    });
+});
+
+describe('shared connection', () => {
+    class FakeBroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            this.posted = [];
+            this.onmessage = null;
+            FakeBroadcastChannel.instance = this;
+        }
+
+        postMessage(message) {
+            this.posted.push(message);
+        }
+
+        close() {}
+    }
+
+    let grantLeadership;
+    const channel = () => FakeBroadcastChannel.instance;
+    const receive = (message) => channel().onmessage({ data: { tabId: 'other-tab', ...message } });
+    const receiveTurboStream = (html, info) => {
+        const handler = mockConnection.on.mock.calls.find(([name]) => name === 'TurboStream')[1];
+        handler(html, info);
+    };
+
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+        mockConnection.start.mockResolvedValue(undefined);
+        mockConnection.invoke.mockResolvedValue(true);
+        window.Turbo = { renderStreamMessage: vi.fn() };
+
+        vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel);
+        Object.defineProperty(navigator, 'locks', {
+            configurable: true,
+            value: {
+                request: vi.fn((name, callback) => {
+                    grantLeadership = callback;
+                    return new Promise(() => {});
+                })
+            }
+        });
+
+        sharedConnection.active = null;
+        configure({ shareConnection: true });
+    });
+
+    afterEach(async () => {
+        await disconnect();
+        configure({ shareConnection: undefined, unsubscribeDelay: undefined });
+        vi.unstubAllGlobals();
+        delete navigator.locks;
+        delete window.Turbo;
+    });
+
+    describe('as a follower', () => {
+        // Subscribes and answers as the leader would once the hub has subscribed the stream
+        const subscribe = (stream, result = { subscribed: true }) => {
+            const subscribed = connectionManager.subscribe(stream, '/test-hub');
+            receive({ type: 'result', to: sharedConnection.tabId, hubUrl: '/test-hub', stream, ...result });
+            return subscribed;
+        };
+
+        it('should send subscriptions to the leader instead of connecting', async () => {
+            const result = await subscribe('stream-1');
+
+            expect(result).toBe(true);
+            expect(mockHubConnectionBuilder.build).not.toHaveBeenCalled();
+            expect(channel().posted).toContainEqual({
+                type: 'sync',
+                tabId: sharedConnection.tabId,
+                refs: [{ hubUrl: '/test-hub', stream: 'stream-1', options: {} }]
+            });
+        });
+
+        it('should withdraw the reference when the last subscriber leaves', async () => {
+            await subscribe('stream-1');
+            await subscribe('stream-1');
+            await connectionManager.unsubscribe('stream-1', '/test-hub');
+            channel().posted = [];
+
+            await connectionManager.unsubscribe('stream-1', '/test-hub');
+
+            expect(channel().posted).toEqual([{ type: 'sync', tabId: sharedConnection.tabId, refs: [] }]);
+        });
+
+        it('should render only messages for streams this tab references', async () => {
+            await subscribe('stream-1');
+
+            receive({ type: 'stream', hubUrl: '/test-hub', html: '<turbo-stream>1</turbo-stream>', info: { stream: 'stream-1', sequence: 1 } });
+            receive({ type: 'stream', hubUrl: '/test-hub', html: '<turbo-stream>2</turbo-stream>', info: { stream: 'stream-2', sequence: 1 } });
+
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream>1</turbo-stream>');
+        });
+
+        it('should dispatch connection events relayed by the leader', async () => {
+            await subscribe('stream-1');
+            const handler = vi.fn();
+            document.addEventListener('turbo:signalr:connected', handler);
+
+            receive({ type: 'event', name: 'turbo:signalr:connected', detail: { hubUrl: '/test-hub' }, isConnected: true });
+
+            expect(handler.mock.calls[0][0].detail).toEqual({ hubUrl: '/test-hub' });
+            expect(getConnectionState()).toMatchObject({ isConnected: true, streams: ['stream-1'] });
+
+            document.removeEventListener('turbo:signalr:connected', handler);
+        });
+
+        it('should render presence members relayed by the leader', async () => {
+            document.body.innerHTML = `
+                <turbo-presence stream="doc:1" hub-url="/test-hub" identity="Ann">
+                    <template><span data-presence-field></span></template>
+                </turbo-presence>`;
+            receive({ type: 'result', to: sharedConnection.tabId, hubUrl: '/test-hub', stream: 'doc:1', subscribed: true });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receive({
+                type: 'event',
+                name: 'turbo:signalr:presence',
+                detail: {
+                    hubUrl: '/test-hub',
+                    stream: 'doc:1',
+                    type: 'list',
+                    member: null,
+                    members: [{ connectionId: 'leader-connection-id', identity: 'Ann' }, { connectionId: 'bob-connection-id', identity: 'Bob' }]
+                },
+                isConnected: true
+            });
+
+            const element = document.querySelector('turbo-presence');
+            expect(element.getAttribute('data-count')).toBe('2');
+            expect(Array.from(element.querySelectorAll('span'), (span) => span.textContent)).toEqual(['Ann', 'Bob']);
+
+            document.body.innerHTML = '';
+        });
+
+        it('should ask the leader for presence until the last presence reference leaves', async () => {
+            await subscribe('doc:1');
+            await connectionManager.subscribe('doc:1', '/test-hub', { presence: 'Ann' });
+
+            expect(channel().posted.at(-1).refs).toEqual([
+                { hubUrl: '/test-hub', stream: 'doc:1', options: {}, presence: { identity: 'Ann' } }
+            ]);
+
+            await connectionManager.unsubscribe('doc:1', '/test-hub', { presence: true });
+
+            expect(channel().posted.at(-1).refs).toEqual([{ hubUrl: '/test-hub', stream: 'doc:1', options: {} }]);
+        });
+
+        it('should invoke hub methods through the leader', async () => {
+            configure({ invokeMethods: ['AddTodo'] });
+            document.body.innerHTML = '<button type="button" data-turbo-signalr-invoke="AddTodo" data-turbo-signalr-hub-url="/test-hub">Add</button>';
+
+            document.querySelector('button').click();
+            const invocation = channel().posted.find((message) => message.type === 'invoke');
+            receive({ type: 'invoke-result', to: sharedConnection.tabId, id: invocation.id, result: '<turbo-stream action="append" target="todos"></turbo-stream>' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(invocation).toMatchObject({ hubUrl: '/test-hub', method: 'AddTodo', payload: {} });
+            expect(mockHubConnectionBuilder.build).not.toHaveBeenCalled();
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+
+            configure({ invokeMethods: undefined });
+            document.body.innerHTML = '';
+        });
+
+        it('should fail invocations the old leader did not answer when a new leader is elected', async () => {
+            configure({ invokeMethods: ['AddTodo'] });
+            document.body.innerHTML = '<button type="button" data-turbo-signalr-invoke="AddTodo">Add</button>';
+            const errored = vi.fn();
+            document.addEventListener('turbo:signalr:invoke-error', errored);
+
+            document.querySelector('button').click();
+            receive({ type: 'leader' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(errored.mock.calls[0][0].detail.error.code).toBe(ERROR_CODES.NETWORK_ERROR);
+
+            document.removeEventListener('turbo:signalr:invoke-error', errored);
+            configure({ invokeMethods: undefined });
+            document.body.innerHTML = '';
+        });
+
+        it('should resend subscriptions when a new leader is elected', async () => {
+            await subscribe('stream-1');
+            channel().posted = [];
+
+            receive({ type: 'leader' });
+
+            expect(channel().posted).toHaveLength(1);
+            expect(channel().posted[0].refs).toHaveLength(1);
+        });
+
+        it('should not send a connection ID with Turbo requests', async () => {
+            await subscribe('stream-1');
+
+            expect(connectionManager.getConnectionId()).toBeNull();
+        });
+
+        it('should wait for the leader to report the outcome of a subscription', async () => {
+            let settled = false;
+            const result = connectionManager.subscribe('stream-1', '/test-hub').then((value) => {
+                settled = true;
+                return value;
+            });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(settled).toBe(false);
+
+            receive({ type: 'result', to: sharedConnection.tabId, hubUrl: '/test-hub', stream: 'stream-1', subscribed: true });
+
+            expect(await result).toBe(true);
+        });
+
+        it('should ignore results meant for another tab', async () => {
+            const result = connectionManager.subscribe('stream-1', '/test-hub');
+
+            receive({ type: 'result', to: 'third-tab', hubUrl: '/test-hub', stream: 'stream-1', subscribed: false });
+            receive({ type: 'result', to: sharedConnection.tabId, hubUrl: '/test-hub', stream: 'stream-1', subscribed: true });
+
+            expect(await result).toBe(true);
+        });
+
+        it('should report a subscription the leader was denied and withdraw it', async () => {
+            document.body.innerHTML = '<turbo-stream-source-signalr stream="private-stream" hub-url="/test-hub"></turbo-stream-source-signalr>';
+            const element = document.querySelector('turbo-stream-source-signalr');
+            const unauthorized = vi.fn();
+            element.addEventListener('turbo:stream:unauthorized', unauthorized);
+            channel().posted = [];
+
+            receive({ type: 'result', to: sharedConnection.tabId, hubUrl: '/test-hub', stream: 'private-stream', subscribed: false });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(unauthorized).toHaveBeenCalledTimes(1);
+            expect(unauthorized.mock.calls[0][0].detail).toEqual({ stream: 'private-stream', code: 'subscription_denied' });
+            expect(sharedConnection.localRefs.size).toBe(0);
+            expect(channel().posted).toEqual([{ type: 'sync', tabId: sharedConnection.tabId, refs: [] }]);
+        });
+
+        it('should reject with the error code the leader reports', async () => {
+            const result = subscribe('stream-1', {
+                subscribed: false,
+                error: { code: 'rate_limited', message: 'rate_limited: Too many subscriptions' }
+            });
+
+            await expect(result).rejects.toMatchObject({ name: 'TurboStreamError', code: 'rate_limited' });
+        });
+    });
+
+    describe('as the leader', () => {
+        it('should connect and subscribe its own streams when elected', async () => {
+            const result = connectionManager.subscribe('stream-1', '/test-hub');
+
+            grantLeadership();
+            expect(await result).toBe(true);
+
+            expect(sharedConnection.isLeader).toBe(true);
+            expect(channel().posted).toContainEqual({ type: 'leader', tabId: sharedConnection.tabId });
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'stream-1');
+        });
+
+        it('should subscribe and unsubscribe streams for other tabs', async () => {
+            configure({ unsubscribeDelay: 0 });
+            sharedConnection.isActive();
+            grantLeadership();
+
+            receive({ type: 'sync', refs: [{ hubUrl: '/test-hub', stream: 'remote-stream', options: {} }] });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'remote-stream');
+
+            receive({ type: 'sync', refs: [] });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'remote-stream');
+        });
+
+        it('should send other tabs the outcome of their subscriptions', async () => {
+            mockConnection.invoke.mockImplementation((method, streams) =>
+                Promise.resolve(method === 'SubscribeMany' ? streams.map((stream) => stream !== 'private-stream') : true));
+            sharedConnection.isActive();
+            grantLeadership();
+
+            receive({
+                type: 'sync',
+                refs: [
+                    { hubUrl: '/test-hub', stream: 'remote-stream', options: {} },
+                    { hubUrl: '/test-hub', stream: 'private-stream', options: {} }
+                ]
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const results = channel().posted.filter((message) => message.type === 'result');
+            expect(results).toEqual([
+                { type: 'result', tabId: sharedConnection.tabId, to: 'other-tab', hubUrl: '/test-hub', stream: 'remote-stream', subscribed: true },
+                { type: 'result', tabId: sharedConnection.tabId, to: 'other-tab', hubUrl: '/test-hub', stream: 'private-stream', subscribed: false }
+            ]);
+        });
+
+        it('should send other tabs the error code of a failed subscription', async () => {
+            mockConnection.invoke.mockImplementation((method) => method === 'SubscribeWithSequence'
+                ? Promise.reject(new Error('HubException: rate_limited: Too many subscriptions'))
+                : Promise.resolve(true));
+            sharedConnection.isActive();
+            grantLeadership();
+
+            receive({ type: 'sync', refs: [{ hubUrl: '/test-hub', stream: 'remote-stream', options: {} }] });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(channel().posted).toContainEqual(expect.objectContaining({
+                type: 'result',
+                to: 'other-tab',
+                stream: 'remote-stream',
+                subscribed: false,
+                error: { code: 'rate_limited', message: 'HubException: rate_limited: Too many subscriptions' }
+            }));
+        });
+
+        it('should forward stream messages and render only its own streams', async () => {
+            sharedConnection.isActive();
+            grantLeadership();
+            await connectionManager.subscribe('local-stream', '/test-hub');
+            receive({ type: 'sync', refs: [{ hubUrl: '/test-hub', stream: 'remote-stream', options: {} }] });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            receiveTurboStream('<turbo-stream>remote</turbo-stream>', { stream: 'remote-stream', sequence: 1 });
+            receiveTurboStream('<turbo-stream>local</turbo-stream>', { stream: 'local-stream', sequence: 1 });
+
+            expect(channel().posted).toContainEqual({
+                type: 'stream',
+                tabId: sharedConnection.tabId,
+                hubUrl: '/test-hub',
+                html: '<turbo-stream>remote</turbo-stream>',
+                info: { stream: 'remote-stream', sequence: 1 }
+            });
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledTimes(1);
+            expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith('<turbo-stream>local</turbo-stream>');
+        });
+
+        it('should join presence for other tabs and leave it when they withdraw', async () => {
+            mockConnection.invoke.mockImplementation(async (method) => method === 'JoinPresence' ? [] : true);
+            sharedConnection.isActive();
+            grantLeadership();
+
+            receive({ type: 'sync', refs: [{ hubUrl: '/test-hub', stream: 'doc:1', options: {}, presence: { identity: 'Ann' } }] });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('JoinPresence', 'doc:1', 'Ann');
+            expect(channel().posted).toContainEqual(expect.objectContaining({ type: 'event', name: 'turbo:signalr:presence' }));
+
+            receive({ type: 'sync', refs: [{ hubUrl: '/test-hub', stream: 'doc:1', options: {} }] });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('LeavePresence', 'doc:1');
+            expect(mockConnection.invoke).not.toHaveBeenCalledWith('Unsubscribe', 'doc:1');
+        });
+
+        it('should invoke hub methods for other tabs', async () => {
+            mockConnection.invoke.mockResolvedValue('<turbo-stream action="append" target="todos"></turbo-stream>');
+            sharedConnection.isActive();
+            grantLeadership();
+
+            receive({ type: 'invoke', id: 1, hubUrl: '/test-hub', method: 'AddTodo', payload: { title: 'Milk' } });
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(mockConnection.invoke).toHaveBeenCalledWith('AddTodo', { title: 'Milk' });
+            expect(channel().posted).toContainEqual({
+                type: 'invoke-result',
+                tabId: sharedConnection.tabId,
+                to: 'other-tab',
+                id: 1,
+                result: '<turbo-stream action="append" target="todos"></turbo-stream>'
+            });
+        });
+
+        it('should relay connection events to other tabs', async () => {
+            sharedConnection.isActive();
+            grantLeadership();
+
+            await connectionManager.subscribe('local-stream', '/test-hub');
+
+            expect(channel().posted).toContainEqual(expect.objectContaining({
+                type: 'event',
+                name: 'turbo:signalr:connected',
+                isConnected: true
+            }));
+        });
+    });
+
+    it('should fall back to its own connection without Web Locks', async () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        delete navigator.locks;
+
+        await connectionManager.subscribe('stream-1', '/test-hub');
+
+        expect(sharedConnection.active).toBe(false);
+        expect(mockConnection.invoke).toHaveBeenCalledWith('SubscribeWithSequence', 'stream-1');
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Connection sharing'));
+
+        warnSpy.mockRestore();
+    });
+});
+
+describe('data-turbo-signalr-invoke', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+        mockConnection.start.mockResolvedValue(undefined);
+        mockConnection.invoke.mockResolvedValue('<turbo-stream action="append" target="todos"></turbo-stream>');
+        window.Turbo = { renderStreamMessage: vi.fn() };
+        configure({ invokeMethods: ['AddTodo', 'Like'] });
+    });
+
+    afterEach(async () => {
+        document.body.innerHTML = '';
+        document.head.innerHTML = '';
+        delete window.Turbo;
+        configure({ invokeMethods: undefined });
+        mockConnection.invoke.mockResolvedValue(true);
+        await disconnect();
+    });
+
+    it('should send form data to the hub method and render the response', async () => {
+        document.body.innerHTML = `
+            <form data-turbo-signalr-invoke="AddTodo">
+                <input name="title" value="Milk">
+                <input type="checkbox" name="tags" value="home" checked>
+                <input type="checkbox" name="tags" value="food" checked>
+            </form>`;
+        const form = document.querySelector('form');
+
+        const event = new Event('submit', { bubbles: true, cancelable: true });
+        form.dispatchEvent(event);
+        await flush();
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(mockConnection.invoke).toHaveBeenCalledWith('AddTodo', { title: 'Milk', tags: ['home', 'food'] });
+        expect(window.Turbo.renderStreamMessage).toHaveBeenCalledWith(
+            '<turbo-stream action="append" target="todos"></turbo-stream>'
+        );
+        expect(form.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('should let the submit button choose the method and add its value', async () => {
+        document.body.innerHTML = `
+            <form>
+                <input name="id" value="7">
+                <button name="vote" value="up" data-turbo-signalr-invoke="Like">Like</button>
+            </form>`;
+
+        document.querySelector('button').click();
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('Like', { id: '7', vote: 'up' });
+    });
+
+    it('should invoke from a button outside a form', async () => {
+        document.body.innerHTML = '<button type="button" name="id" value="42" data-turbo-signalr-invoke="Like">Like</button>';
+
+        document.querySelector('button').click();
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('Like', { id: '42' });
+    });
+
+    it('should allow methods listed in the meta tag', async () => {
+        configure({ invokeMethods: undefined });
+        document.head.innerHTML = '<meta name="turbo-signalr-invoke-methods" content="Archive, Like">';
+        document.body.innerHTML = '<button type="button" data-turbo-signalr-invoke="Archive">Archive</button>';
+
+        document.querySelector('button').click();
+        await flush();
+
+        expect(mockConnection.invoke).toHaveBeenCalledWith('Archive', {});
+    });
+
+    it('should refuse methods that are not allowed', async () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const handler = vi.fn();
+        document.addEventListener('turbo:signalr:invoke-error', handler);
+        document.body.innerHTML = `
+            <button type="button" data-turbo-signalr-invoke="DeleteEverything">Delete</button>
+            <button type="button" data-turbo-signalr-invoke="Subscribe">Subscribe</button>`;
+
+        document.querySelectorAll('button').forEach((button) => button.click());
+        await flush();
+
+        expect(mockConnection.invoke).not.toHaveBeenCalled();
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(handler.mock.calls[0][0].detail.method).toBe('DeleteEverything');
+
+        document.removeEventListener('turbo:signalr:invoke-error', handler);
+        warnSpy.mockRestore();
+    });
+
+    it('should never allow the subscription methods', async () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        configure({ invokeMethods: ['Subscribe'] });
+        document.body.innerHTML = '<button type="button" data-turbo-signalr-invoke="Subscribe">Subscribe</button>';
+
+        document.querySelector('button').click();
+        await flush();
+
+        expect(mockConnection.invoke).not.toHaveBeenCalled();
+
+        warnSpy.mockRestore();
+    });
+
+    it('should never allow the batch subscription methods', async () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        configure({ invokeMethods: ['SubscribeMany', 'ResubscribeMany'] });
+        document.body.innerHTML = `
+            <button type="button" data-turbo-signalr-invoke="SubscribeMany">Subscribe</button>
+            <button type="button" data-turbo-signalr-invoke="ResubscribeMany">Resubscribe</button>`;
+
+        document.querySelectorAll('button').forEach((button) => button.click());
+        await flush();
+
+        expect(mockConnection.invoke).not.toHaveBeenCalled();
+
+        warnSpy.mockRestore();
+    });
+
+    it('should dispatch an error event when the hub method fails', async () => {
+        const error = new Error('HubException');
+        mockConnection.invoke.mockRejectedValue(error);
+        const handler = vi.fn();
+        document.body.innerHTML = '<form data-turbo-signalr-invoke="AddTodo"></form>';
+        const form = document.querySelector('form');
+        form.addEventListener('turbo:signalr:invoke-error', handler);
+
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        await flush();
+
+        expect(handler.mock.calls[0][0].detail).toEqual({ method: 'AddTodo', error });
+        expect(window.Turbo.renderStreamMessage).not.toHaveBeenCalled();
+    });
+});
+
+describe('Reference Counting', () => {
+    beforeEach(() => {
+        connectionManager.hubs.clear();
+        vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+        configure({ unsubscribeDelay: undefined });
     });
 
     it('should correctly count multiple elements for same stream', async () => {
@@ -485,24 +3583,25 @@ describe('Reference Counting', () => {
         await connectionManager.subscribe('shared-stream', '/hub');
         await connectionManager.subscribe('shared-stream', '/hub');
 
-        expect(connectionManager.streamRefs.get('shared-stream')).toBe(3);
+        expect(hub('/hub').streamRefs.get('shared-stream')).toBe(3);
         // Subscribe should only be called once
         expect(mockConnection.invoke).toHaveBeenCalledTimes(1);
     });
 
     it('should only unsubscribe when last reference is removed', async () => {
+        configure({ unsubscribeDelay: 0 });
         await connectionManager.subscribe('shared-stream', '/hub');
         await connectionManager.subscribe('shared-stream', '/hub');
 
         mockConnection.invoke.mockClear();
 
         // First unsubscribe - should not call server
-        await connectionManager.unsubscribe('shared-stream');
+        await connectionManager.unsubscribe('shared-stream', '/hub');
         expect(mockConnection.invoke).not.toHaveBeenCalled();
-        expect(connectionManager.streamRefs.get('shared-stream')).toBe(1);
+        expect(hub('/hub').streamRefs.get('shared-stream')).toBe(1);
 
         // Second unsubscribe - should call server
-        await connectionManager.unsubscribe('shared-stream');
+        await connectionManager.unsubscribe('shared-stream', '/hub');
         expect(mockConnection.invoke).toHaveBeenCalledWith('Unsubscribe', 'shared-stream');
     });
 });
@@ -0,0 +1,131 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Tombatron.Turbo.Rendering;
+using Tombatron.Turbo.Streams;
+using Xunit;
+
+namespace Tombatron.Turbo.Tests.Streams;
+
+/// <summary>
+/// Tests for sending Turbo Streams through the hub type mapped with MapTurboHub.
+/// </summary>
+public class TurboHubContextResolverTests
+{
+    private readonly Mock<IClientProxy> _turboHubGroup = new();
+    private readonly Mock<IClientProxy> _derivedHubGroup = new();
+    private readonly ServiceProvider _provider;
+
+    public TurboHubContextResolverTests()
+    {
+        var services = new ServiceCollection();
+        services.AddLogging();
+        services.AddTurbo();
+        services.AddSingleton(Mock.Of<IPartialRenderer>());
+        services.AddSingleton(CreateHubContext<TurboHub>(_turboHubGroup));
+        services.AddSingleton(CreateHubContext<TodoHub>(_derivedHubGroup));
+
+        _provider = services.BuildServiceProvider();
+    }
+
+    [Fact]
+    public void HubType_WhenNothingIsMapped_IsTurboHub()
+    {
+        // Arrange
+        var resolver = _provider.GetRequiredService<TurboHubContextResolver>();
+
+        // Act & Assert
+        resolver.HubType.Should().Be(typeof(TurboHub));
+    }
+
+    [Fact]
+    public async Task Stream_WithDerivedHubMapped_ReachesClientsOfDerivedHub()
+    {
+        // Arrange
+        _provider.GetRequiredService<TurboHubContextResolver>().Use<TodoHub>();
+        var turbo = _provider.GetRequiredService<ITurbo>();
+
+        // Act
+        await turbo.Stream("todos", builder => builder.Append("list", "<li>Item</li>"));
+
+        // Assert
+        _derivedHubGroup.Verify(c => c.SendCoreAsync(
+            TurboHub.TurboStreamMethod,
+            It.Is<object?[]>(args => ((string)args[0]!).Contains("<li>Item</li>")),
+            default), Times.Once);
+        _turboHubGroup.Verify(c => c.SendCoreAsync(
+            It.IsAny<string>(), It.IsAny<object?[]>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Stream_WithDerivedHubMappedAfterFirstBroadcast_ReachesClientsOfDerivedHub()
+    {
+        // Arrange
+        var resolver = _provider.GetRequiredService<TurboHubContextResolver>();
+        var turbo = _provider.GetRequiredService<ITurbo>();
+        await turbo.Stream("todos", builder => builder.Append("list", "<li>First</li>"));
+
+        // Act
+        resolver.Use<TodoHub>();
+        await turbo.Stream("todos", builder => builder.Append("list", "<li>Second</li>"));
+
+        // Assert
+        _derivedHubGroup.Verify(c => c.SendCoreAsync(
+            TurboHub.TurboStreamMethod,
+            It.Is<object?[]>(args => ((string)args[0]!).Contains("<li>Second</li>")),
+            default), Times.Once);
+    }
+
+    [Fact]
+    public void Use_WithSameHubTypeTwice_DoesNotThrow()
+    {
+        // Arrange
+        var resolver = _provider.GetRequiredService<TurboHubContextResolver>();
+        resolver.Use<TodoHub>();
+
+        // Act
+        Action act = () => resolver.Use<TodoHub>();
+
+        // Assert
+        act.Should().NotThrow();
+        resolver.HubType.Should().Be(typeof(TodoHub));
+    }
+
+    [Fact]
+    public void Use_WithDifferentHubType_ThrowsInvalidOperationException()
+    {
+        // Arrange
+        var resolver = _provider.GetRequiredService<TurboHubContextResolver>();
+        resolver.Use<TodoHub>();
+
+        // Act
+        Action act = () => resolver.Use<TurboHub>();
+
+        // Assert
+        act.Should().Throw<InvalidOperationException>();
+    }
+
+    private static IHubContext<THub> CreateHubContext<THub>(Mock<IClientProxy> group) where THub : Hub
+    {
+        group.Setup(c => c.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), It.IsAny<CancellationToken>()))
+            .Returns(Task.CompletedTask);
+
+        var clients = new Mock<IHubClients>();
+        clients.Setup(c => c.Group(It.IsAny<string>())).Returns(group.Object);
+
+        var hubContext = new Mock<IHubContext<THub>>();
+        hubContext.Setup(h => h.Clients).Returns(clients.Object);
+
+        return hubContext.Object;
+    }
+
+    public class TodoHub : TurboHub
+    {
+        public TodoHub(ITurboStreamAuthorization authorization, TurboStreamBacklog backlog, TurboPresenceTracker presence, ILogger<TurboHub> logger)
+            : base(authorization, backlog, presence, logger)
+        {
+        }
+    }
+}
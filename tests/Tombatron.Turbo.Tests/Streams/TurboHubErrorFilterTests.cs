@@ -0,0 +1,152 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Tombatron.Turbo.Streams;
+using Xunit;
+
+namespace Tombatron.Turbo.Tests.Streams;
+
+/// <summary>
+/// Tests for the TurboHubErrorFilter and TurboHubErrors classes.
+/// </summary>
+public class TurboHubErrorFilterTests
+{
+    private readonly TurboHubErrorFilter _filter = new();
+
+    private static HubInvocationContext CreateContext(Hub hub)
+    {
+        return new HubInvocationContext(
+            new Mock<HubCallerContext>().Object,
+            new Mock<IServiceProvider>().Object,
+            hub,
+            typeof(TurboHub).GetMethod(nameof(TurboHub.Subscribe))!,
+            new object?[] { "" });
+    }
+
+    private static TurboHub CreateTurboHub()
+    {
+        return new TurboHub(
+            new Mock<ITurboStreamAuthorization>().Object,
+            new TurboStreamBacklog(new TurboOptions()),
+            new TurboPresenceTracker(),
+            new Mock<ILogger<TurboHub>>().Object);
+    }
+
+    [Fact]
+    public async Task InvokeMethodAsync_WithInvalidStreamName_ThrowsHubExceptionWithCode()
+    {
+        // Arrange
+        var context = CreateContext(CreateTurboHub());
+
+        // Act
+        Func<Task> act = async () => await _filter.InvokeMethodAsync(context, _ =>
+        {
+            TurboHub.ValidateStreamName("");
+            return ValueTask.FromResult<object?>(true);
+        });
+
+        // Assert
+        await act.Should().ThrowAsync<HubException>()
+            .WithMessage("stream_name_invalid: *");
+    }
+
+    [Fact]
+    public async Task InvokeMethodAsync_WithOtherException_ThrowsServerErrorWithInnerException()
+    {
+        // Arrange
+        var context = CreateContext(CreateTurboHub());
+
+        // Act
+        Func<Task> act = async () => await _filter.InvokeMethodAsync(
+            context,
+            _ => throw new InvalidOperationException("boom"));
+
+        // Assert
+        var exception = await act.Should().ThrowAsync<HubException>().WithMessage("server_error: *");
+        exception.Which.Message.Should().NotContain("boom");
+        exception.Which.InnerException.Should().BeOfType<InvalidOperationException>()
+            .Which.Message.Should().Be("boom");
+    }
+
+    [Fact]
+    public async Task InvokeMethodAsync_WithHubException_RethrowsIt()
+    {
+        // Arrange
+        var context = CreateContext(CreateTurboHub());
+
+        // Act
+        Func<Task> act = async () => await _filter.InvokeMethodAsync(
+            context,
+            _ => throw TurboHubErrors.Create(TurboHubErrors.RateLimited, "Too many subscriptions."));
+
+        // Assert
+        await act.Should().ThrowAsync<HubException>().WithMessage("rate_limited: Too many subscriptions.");
+    }
+
+    [Fact]
+    public async Task InvokeMethodAsync_OnOtherHub_RethrowsOtherException()
+    {
+        // Arrange
+        var context = CreateContext(new OtherHub());
+
+        // Act
+        Func<Task> act = async () => await _filter.InvokeMethodAsync(
+            context,
+            _ => throw new InvalidOperationException("boom"));
+
+        // Assert
+        await act.Should().ThrowAsync<InvalidOperationException>().WithMessage("boom");
+    }
+
+    [Fact]
+    public async Task InvokeMethodAsync_OnOtherHub_RethrowsArgumentException()
+    {
+        // Arrange
+        var context = CreateContext(new OtherHub());
+
+        // Act
+        Func<Task> act = async () => await _filter.InvokeMethodAsync(context, _ =>
+        {
+            TurboHub.ValidateStreamName("");
+            return ValueTask.FromResult<object?>(true);
+        });
+
+        // Assert
+        await act.Should().ThrowAsync<ArgumentException>();
+    }
+
+    [Fact]
+    public async Task InvokeMethodAsync_WhenSuccessful_ReturnsResult()
+    {
+        // Arrange
+        var context = CreateContext(CreateTurboHub());
+
+        // Act
+        var result = await _filter.InvokeMethodAsync(context, _ => ValueTask.FromResult<object?>(true));
+
+        // Assert
+        result.Should().Be(true);
+    }
+
+    [Fact]
+    public void Create_PrefixesTheMessageWithTheCode()
+    {
+        // Act
+        var exception = TurboHubErrors.Create(TurboHubErrors.RateLimited, "Too many subscriptions.");
+
+        // Assert
+        exception.Message.Should().Be("rate_limited: Too many subscriptions.");
+    }
+
+    [Fact]
+    public void Create_WithEmptyCode_ThrowsArgumentException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentException>(() => TurboHubErrors.Create("", "message"));
+    }
+
+    private sealed class OtherHub : Hub
+    {
+    }
+}
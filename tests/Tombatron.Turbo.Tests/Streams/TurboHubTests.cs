@@ -17,6 +17,12 @@ public class TurboHubTests
     private readonly Mock<ILogger<TurboHub>> _mockLogger;
     private readonly Mock<IGroupManager> _mockGroups;
     private readonly Mock<HubCallerContext> _mockContext;
+    private readonly Mock<IHubCallerClients> _mockClients;
+    private readonly Mock<ISingleClientProxy> _mockCaller;
+    private readonly Mock<IClientProxy> _mockGroup;
+    private readonly Mock<IClientProxy> _mockOthersInGroup;
+    private readonly TurboStreamBacklog _backlog;
+    private readonly TurboPresenceTracker _presence;
 
     public TurboHubTests()
     {
@@ -24,6 +30,16 @@ public class TurboHubTests
         _mockLogger = new Mock<ILogger<TurboHub>>();
         _mockGroups = new Mock<IGroupManager>();
         _mockContext = new Mock<HubCallerContext>();
+        _mockClients = new Mock<IHubCallerClients>();
+        _mockCaller = new Mock<ISingleClientProxy>();
+        _mockGroup = new Mock<IClientProxy>();
+        _mockOthersInGroup = new Mock<IClientProxy>();
+        _backlog = new TurboStreamBacklog(new TurboOptions { StreamBacklogSize = 2 });
+        _presence = new TurboPresenceTracker();
+
+        _mockClients.Setup(c => c.Caller).Returns(_mockCaller.Object);
+        _mockClients.Setup(c => c.Group(It.IsAny<string>())).Returns(_mockGroup.Object);
+        _mockClients.Setup(c => c.OthersInGroup(It.IsAny<string>())).Returns(_mockOthersInGroup.Object);
 
         _mockContext.Setup(c => c.ConnectionId).Returns("test-connection-id");
         _mockContext.Setup(c => c.User).Returns(new ClaimsPrincipal());
@@ -31,7 +47,7 @@ public class TurboHubTests
 
     private TurboHub CreateHub()
     {
-        var hub = new TurboHub(_mockAuthorization.Object, _mockLogger.Object);
+        var hub = new TurboHub(_mockAuthorization.Object, _backlog, _presence, _mockLogger.Object);
 
         // Use reflection to set the protected properties
         var contextProperty = typeof(Hub).GetProperty("Context");
@@ -40,6 +56,9 @@ public class TurboHubTests
         var groupsProperty = typeof(Hub).GetProperty("Groups");
         groupsProperty?.SetValue(hub, _mockGroups.Object);
 
+        var clientsProperty = typeof(Hub).GetProperty("Clients");
+        clientsProperty?.SetValue(hub, _mockClients.Object);
+
         return hub;
     }
 
@@ -59,6 +78,40 @@ public class TurboHubTests
         _mockGroups.Verify(g => g.AddToGroupAsync("test-connection-id", "test-stream", default), Times.Once);
     }
 
+    [Fact]
+    public async Task SubscribeWithSequence_ReturnsCurrentSequence()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "test-stream"))
+            .Returns(true);
+        _backlog.Append("test-stream", "<turbo-stream>1</turbo-stream>");
+        _backlog.Append("test-stream", "<turbo-stream>2</turbo-stream>");
+        var hub = CreateHub();
+
+        // Act
+        TurboSubscribeResult result = await hub.SubscribeWithSequence("test-stream");
+
+        // Assert
+        result.Should().Be(new TurboSubscribeResult(true, 2));
+        _mockGroups.Verify(g => g.AddToGroupAsync("test-connection-id", "test-stream", default), Times.Once);
+    }
+
+    [Fact]
+    public async Task SubscribeWithSequence_WithUnauthorizedUser_ReturnsDenied()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "private-stream"))
+            .Returns(false);
+        var hub = CreateHub();
+
+        // Act
+        TurboSubscribeResult result = await hub.SubscribeWithSequence("private-stream");
+
+        // Assert
+        result.Should().Be(TurboSubscribeResult.Denied);
+        _mockGroups.Verify(g => g.AddToGroupAsync(It.IsAny<string>(), It.IsAny<string>(), default), Times.Never);
+    }
+
     [Fact]
     public async Task Subscribe_WithUnauthorizedUser_ReturnsFalse()
     {
@@ -183,14 +236,433 @@ public class TurboHubTests
     public void Constructor_WithNullAuthorization_ThrowsArgumentNullException()
     {
         // Act & Assert
-        Assert.Throws<ArgumentNullException>(() => new TurboHub(null!, _mockLogger.Object));
+        Assert.Throws<ArgumentNullException>(() => new TurboHub(null!, _backlog, _presence, _mockLogger.Object));
     }
 
     [Fact]
     public void Constructor_WithNullLogger_ThrowsArgumentNullException()
     {
         // Act & Assert
-        Assert.Throws<ArgumentNullException>(() => new TurboHub(_mockAuthorization.Object, null!));
+        Assert.Throws<ArgumentNullException>(() => new TurboHub(_mockAuthorization.Object, _backlog, _presence, null!));
+    }
+
+    [Fact]
+    public void Constructor_WithNullBacklog_ThrowsArgumentNullException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentNullException>(() => new TurboHub(_mockAuthorization.Object, null!, _presence, _mockLogger.Object));
+    }
+
+    [Fact]
+    public void Constructor_WithNullPresence_ThrowsArgumentNullException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentNullException>(() => new TurboHub(_mockAuthorization.Object, _backlog, null!, _mockLogger.Object));
+    }
+
+    [Fact]
+    public async Task JoinPresence_AddsMemberAndNotifiesOthers()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "doc:1"))
+            .Returns(true);
+        _presence.Join("doc:1", "other-connection-id", "Bob");
+        var hub = CreateHub();
+
+        // Act
+        var members = await hub.JoinPresence("doc:1", "Ann");
+
+        // Assert
+        members.Should().BeEquivalentTo(new[]
+        {
+            new TurboPresenceMember("other-connection-id", "Bob"),
+            new TurboPresenceMember("test-connection-id", "Ann")
+        });
+        _mockGroups.Verify(g => g.AddToGroupAsync("test-connection-id", "doc:1", default), Times.Once);
+        _mockClients.Verify(c => c.OthersInGroup("doc:1"), Times.Once);
+        _mockOthersInGroup.Verify(p => p.SendCoreAsync(
+            TurboHub.TurboPresenceMethod,
+            It.Is<object?[]>(args => args[0]!.Equals(new TurboPresenceChange(
+                "doc:1",
+                TurboPresenceChange.JoinType,
+                new TurboPresenceMember("test-connection-id", "Ann")))),
+            default), Times.Once);
+    }
+
+    [Fact]
+    public async Task JoinPresence_WithUnauthorizedUser_ReturnsNull()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "private-doc"))
+            .Returns(false);
+        var hub = CreateHub();
+
+        // Act
+        var members = await hub.JoinPresence("private-doc", "Ann");
+
+        // Assert
+        members.Should().BeNull();
+        _presence.GetMembers("private-doc").Should().BeEmpty();
+        _mockOthersInGroup.Verify(p => p.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task LeavePresence_WhenPresent_RemovesMemberAndStaysSubscribed()
+    {
+        // Arrange
+        _presence.Join("doc:1", "test-connection-id", "Ann");
+        _presence.Join("doc:1", "other-connection-id", "Bob");
+        var hub = CreateHub();
+
+        // Act
+        await hub.LeavePresence("doc:1");
+
+        // Assert
+        _presence.GetMembers("doc:1").Should().Equal(new TurboPresenceMember("other-connection-id", "Bob"));
+        _mockGroups.Verify(g => g.RemoveFromGroupAsync(It.IsAny<string>(), It.IsAny<string>(), default), Times.Never);
+        _mockClients.Verify(c => c.OthersInGroup("doc:1"), Times.Once);
+        _mockOthersInGroup.Verify(p => p.SendCoreAsync(
+            TurboHub.TurboPresenceMethod,
+            It.Is<object?[]>(args => args[0]!.Equals(new TurboPresenceChange(
+                "doc:1",
+                TurboPresenceChange.LeaveType,
+                new TurboPresenceMember("test-connection-id", "Ann")))),
+            default), Times.Once);
+    }
+
+    [Fact]
+    public async Task LeavePresence_WhenNotPresent_SendsNoPresenceChange()
+    {
+        // Arrange
+        var hub = CreateHub();
+
+        // Act
+        await hub.LeavePresence("doc:1");
+
+        // Assert
+        _mockOthersInGroup.Verify(p => p.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task LeavePresence_WithEmptyStreamName_ThrowsArgumentException()
+    {
+        // Arrange
+        var hub = CreateHub();
+
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentException>(() => hub.LeavePresence(" "));
+    }
+
+    [Fact]
+    public async Task Unsubscribe_WhenPresent_NotifiesGroupOfLeave()
+    {
+        // Arrange
+        _presence.Join("doc:1", "test-connection-id", "Ann");
+        var hub = CreateHub();
+
+        // Act
+        await hub.Unsubscribe("doc:1");
+
+        // Assert
+        _presence.GetMembers("doc:1").Should().BeEmpty();
+        _mockClients.Verify(c => c.Group("doc:1"), Times.Once);
+        _mockGroup.Verify(p => p.SendCoreAsync(
+            TurboHub.TurboPresenceMethod,
+            It.Is<object?[]>(args => ((TurboPresenceChange)args[0]!).Type == TurboPresenceChange.LeaveType),
+            default), Times.Once);
+    }
+
+    [Fact]
+    public async Task Unsubscribe_WhenNotPresent_SendsNoPresenceChange()
+    {
+        // Arrange
+        var hub = CreateHub();
+
+        // Act
+        await hub.Unsubscribe("doc:1");
+
+        // Assert
+        _mockGroup.Verify(p => p.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task OnDisconnectedAsync_RemovesMemberFromEveryStream()
+    {
+        // Arrange
+        _presence.Join("doc:1", "test-connection-id", "Ann");
+        _presence.Join("doc:2", "test-connection-id", "Ann");
+        var hub = CreateHub();
+
+        // Act
+        await hub.OnDisconnectedAsync(null);
+
+        // Assert
+        _presence.GetMembers("doc:1").Should().BeEmpty();
+        _presence.GetMembers("doc:2").Should().BeEmpty();
+        _mockClients.Verify(c => c.Group("doc:1"), Times.Once);
+        _mockClients.Verify(c => c.Group("doc:2"), Times.Once);
+        _mockGroup.Verify(p => p.SendCoreAsync(TurboHub.TurboPresenceMethod, It.IsAny<object?[]>(), default), Times.Exactly(2));
+    }
+
+    [Fact]
+    public async Task Resubscribe_WithMissedMessagesInBacklog_ReplaysThemToCaller()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "test-stream"))
+            .Returns(true);
+        _backlog.Append("test-stream", "<turbo-stream>1</turbo-stream>");
+        _backlog.Append("test-stream", "<turbo-stream>2</turbo-stream>");
+        _backlog.Append("test-stream", "<turbo-stream>3</turbo-stream>");
+
+        var sent = new List<object?[]>();
+        _mockCaller
+            .Setup(c => c.SendCoreAsync(TurboHub.TurboStreamMethod, It.IsAny<object?[]>(), default))
+            .Callback<string, object?[], CancellationToken>((_, args, _) => sent.Add(args))
+            .Returns(Task.CompletedTask);
+
+        var hub = CreateHub();
+
+        // Act
+        bool result = await hub.Resubscribe("test-stream", 1);
+
+        // Assert
+        result.Should().BeTrue();
+        _mockGroups.Verify(g => g.AddToGroupAsync("test-connection-id", "test-stream", default), Times.Once);
+        sent.Should().HaveCount(2);
+        sent[0][0].Should().Be("<turbo-stream>2</turbo-stream>");
+        sent[0][1].Should().Be(new TurboStreamMessageInfo("test-stream", 2));
+        sent[1][0].Should().Be("<turbo-stream>3</turbo-stream>");
+        sent[1][1].Should().Be(new TurboStreamMessageInfo("test-stream", 3));
+    }
+
+    [Fact]
+    public async Task Resubscribe_SkipsMessagesThatExcludedTheCaller()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "test-stream"))
+            .Returns(true);
+        _backlog.Append("test-stream", "<turbo-stream>1</turbo-stream>");
+        _backlog.Append("test-stream", "<turbo-stream>2</turbo-stream>", "test-connection-id");
+        _backlog.Append("test-stream", "<turbo-stream>3</turbo-stream>", "other-connection-id");
+
+        var sent = new List<object?[]>();
+        _mockCaller
+            .Setup(c => c.SendCoreAsync(TurboHub.TurboStreamMethod, It.IsAny<object?[]>(), default))
+            .Callback<string, object?[], CancellationToken>((_, args, _) => sent.Add(args))
+            .Returns(Task.CompletedTask);
+
+        var hub = CreateHub();
+
+        // Act
+        bool result = await hub.Resubscribe("test-stream", 1);
+
+        // Assert
+        result.Should().BeTrue();
+        sent.Should().ContainSingle();
+        sent[0][0].Should().Be("<turbo-stream>3</turbo-stream>");
+        sent[0][1].Should().Be(new TurboStreamMessageInfo("test-stream", 3));
+    }
+
+    [Fact]
+    public async Task Resubscribe_WhenUpToDate_SendsNothing()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "test-stream"))
+            .Returns(true);
+        _backlog.Append("test-stream", "<turbo-stream>1</turbo-stream>");
+        var hub = CreateHub();
+
+        // Act
+        bool result = await hub.Resubscribe("test-stream", 1);
+
+        // Assert
+        result.Should().BeTrue();
+        _mockCaller.Verify(c => c.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task Resubscribe_WhenMissedMessagesWereDropped_SendsRefresh()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "test-stream"))
+            .Returns(true);
+        for (int i = 0; i < 5; i++)
+        {
+            _backlog.Append("test-stream", $"<turbo-stream>{i}</turbo-stream>");
+        }
+
+        object?[]? sent = null;
+        _mockCaller
+            .Setup(c => c.SendCoreAsync(TurboHub.TurboStreamMethod, It.IsAny<object?[]>(), default))
+            .Callback<string, object?[], CancellationToken>((_, args, _) => sent = args)
+            .Returns(Task.CompletedTask);
+
+        var hub = CreateHub();
+
+        // Act
+        bool result = await hub.Resubscribe("test-stream", 1);
+
+        // Assert
+        result.Should().BeTrue();
+        sent.Should().NotBeNull();
+        sent![0].Should().Be("<turbo-stream action=\"refresh\"></turbo-stream>");
+        sent[1].Should().Be(new TurboStreamMessageInfo("test-stream", 5, Reset: true));
+    }
+
+    [Fact]
+    public async Task Resubscribe_WithUnauthorizedUser_ReturnsFalseWithoutReplay()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "private-stream"))
+            .Returns(false);
+        _backlog.Append("private-stream", "<turbo-stream>secret</turbo-stream>");
+        var hub = CreateHub();
+
+        // Act
+        bool result = await hub.Resubscribe("private-stream", 0);
+
+        // Assert
+        result.Should().BeFalse();
+        _mockCaller.Verify(c => c.SendCoreAsync(It.IsAny<string>(), It.IsAny<object?[]>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task SubscribeMany_ReturnsResultPerStream()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "public-stream"))
+            .Returns(true);
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), "private-stream"))
+            .Returns(false);
+        _backlog.Append("public-stream", "<turbo-stream></turbo-stream>");
+        var hub = CreateHub();
+
+        // Act
+        TurboSubscribeResult[] results = await hub.SubscribeMany(["public-stream", "private-stream"]);
+
+        // Assert
+        results.Should().Equal(new TurboSubscribeResult(true, 1), TurboSubscribeResult.Denied);
+        _mockGroups.Verify(g => g.AddToGroupAsync("test-connection-id", "public-stream", default), Times.Once);
+        _mockGroups.Verify(g => g.AddToGroupAsync("test-connection-id", "private-stream", default), Times.Never);
+    }
+
+    [Fact]
+    public async Task SubscribeMany_WithInvalidStreamName_SubscribesToNothing()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), It.IsAny<string>()))
+            .Returns(true);
+        var hub = CreateHub();
+
+        // Act
+        var exception = await Assert.ThrowsAsync<ArgumentException>(() => hub.SubscribeMany(["test-stream", " "]));
+
+        // Assert
+        exception.ParamName.Should().Be("streamName");
+        _mockGroups.Verify(g => g.AddToGroupAsync(It.IsAny<string>(), It.IsAny<string>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task SubscribeMany_WithNullArray_ThrowsArgumentNullException()
+    {
+        // Arrange
+        var hub = CreateHub();
+
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentNullException>(() => hub.SubscribeMany(null!));
+    }
+
+    [Fact]
+    public async Task SubscribeMany_WithMaxBatchSize_SubscribesToEveryStream()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), It.IsAny<string>()))
+            .Returns(true);
+        string[] streamNames = Enumerable.Range(0, TurboHub.MaxBatchSize).Select(i => $"stream-{i}").ToArray();
+        var hub = CreateHub();
+
+        // Act
+        TurboSubscribeResult[] results = await hub.SubscribeMany(streamNames);
+
+        // Assert
+        results.Should().HaveCount(TurboHub.MaxBatchSize).And.OnlyContain(r => r.Subscribed);
+    }
+
+    [Fact]
+    public async Task SubscribeMany_WithTooManyStreams_ThrowsBatchTooLarge()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), It.IsAny<string>()))
+            .Returns(true);
+        string[] streamNames = Enumerable.Range(0, TurboHub.MaxBatchSize + 1).Select(i => $"stream-{i}").ToArray();
+        var hub = CreateHub();
+
+        // Act
+        var exception = await Assert.ThrowsAsync<HubException>(() => hub.SubscribeMany(streamNames));
+
+        // Assert
+        exception.Message.Should().StartWith($"{TurboHubErrors.BatchTooLarge}: ");
+        _mockGroups.Verify(g => g.AddToGroupAsync(It.IsAny<string>(), It.IsAny<string>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task ResubscribeMany_ReplaysMissedMessagesPerStream()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), It.IsAny<string>()))
+            .Returns(true);
+        _backlog.Append("stream-1", "<turbo-stream>1a</turbo-stream>");
+        _backlog.Append("stream-1", "<turbo-stream>1b</turbo-stream>");
+        _backlog.Append("stream-2", "<turbo-stream>2a</turbo-stream>");
+
+        var sent = new List<object?[]>();
+        _mockCaller
+            .Setup(c => c.SendCoreAsync(TurboHub.TurboStreamMethod, It.IsAny<object?[]>(), default))
+            .Callback<string, object?[], CancellationToken>((_, args, _) => sent.Add(args))
+            .Returns(Task.CompletedTask);
+
+        var hub = CreateHub();
+
+        // Act
+        bool[] results = await hub.ResubscribeMany(["stream-1", "stream-2"], [1, 1]);
+
+        // Assert
+        results.Should().Equal(true, true);
+        sent.Should().ContainSingle();
+        sent[0][0].Should().Be("<turbo-stream>1b</turbo-stream>");
+        sent[0][1].Should().Be(new TurboStreamMessageInfo("stream-1", 2));
+    }
+
+    [Fact]
+    public async Task ResubscribeMany_WithMismatchedLengths_ThrowsArgumentException()
+    {
+        // Arrange
+        var hub = CreateHub();
+
+        // Act
+        var exception = await Assert.ThrowsAsync<ArgumentException>(() => hub.ResubscribeMany(["stream-1", "stream-2"], [1]));
+
+        // Assert
+        exception.ParamName.Should().Be("lastSequences");
+        _mockGroups.Verify(g => g.AddToGroupAsync(It.IsAny<string>(), It.IsAny<string>(), default), Times.Never);
+    }
+
+    [Fact]
+    public async Task ResubscribeMany_WithTooManyStreams_ThrowsBatchTooLarge()
+    {
+        // Arrange
+        _mockAuthorization.Setup(a => a.CanSubscribe(It.IsAny<ClaimsPrincipal?>(), It.IsAny<string>()))
+            .Returns(true);
+        string[] streamNames = Enumerable.Range(0, TurboHub.MaxBatchSize + 1).Select(i => $"stream-{i}").ToArray();
+        long[] lastSequences = new long[streamNames.Length];
+        var hub = CreateHub();
+
+        // Act
+        var exception = await Assert.ThrowsAsync<HubException>(() => hub.ResubscribeMany(streamNames, lastSequences));
+
+        // Assert
+        exception.Message.Should().StartWith($"{TurboHubErrors.BatchTooLarge}: ");
+        _mockGroups.Verify(g => g.AddToGroupAsync(It.IsAny<string>(), It.IsAny<string>(), default), Times.Never);
     }
 
     [Fact]
@@ -200,6 +672,13 @@ public class TurboHubTests
         TurboHub.TurboStreamMethod.Should().Be("TurboStream");
     }
 
+    [Fact]
+    public void TurboPresenceMethod_HasCorrectValue()
+    {
+        // Assert
+        TurboHub.TurboPresenceMethod.Should().Be("TurboPresence");
+    }
+
     [Fact]
     public void ValidateStreamName_WithValidName_DoesNotThrow()
     {
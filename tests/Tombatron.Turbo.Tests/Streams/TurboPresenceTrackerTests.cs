@@ -0,0 +1,135 @@
+using FluentAssertions;
+using Tombatron.Turbo.Streams;
+using Xunit;
+
+namespace Tombatron.Turbo.Tests.Streams;
+
+/// <summary>
+/// Tests for the TurboPresenceTracker class.
+/// </summary>
+public class TurboPresenceTrackerTests
+{
+    [Fact]
+    public void Join_ReturnsAllMembersOfTheStream()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+        tracker.Join("doc:1", "connection-a", "Ann");
+
+        // Act
+        var members = tracker.Join("doc:1", "connection-b", "Bob");
+
+        // Assert
+        members.Should().BeEquivalentTo(new[]
+        {
+            new TurboPresenceMember("connection-a", "Ann"),
+            new TurboPresenceMember("connection-b", "Bob")
+        });
+    }
+
+    [Fact]
+    public void Join_Again_ReplacesTheIdentity()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+        tracker.Join("doc:1", "connection-a", "Ann");
+
+        // Act
+        var members = tracker.Join("doc:1", "connection-a", "Ann (away)");
+
+        // Assert
+        members.Should().ContainSingle().Which.Identity.Should().Be("Ann (away)");
+    }
+
+    [Fact]
+    public void Join_WithEmptyStreamName_ThrowsArgumentException()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+
+        // Act & Assert
+        Assert.Throws<ArgumentException>(() => tracker.Join("", "connection-a", null));
+    }
+
+    [Fact]
+    public void Leave_RemovesTheMemberAndReturnsTheChange()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+        tracker.Join("doc:1", "connection-a", "Ann");
+        tracker.Join("doc:1", "connection-b", "Bob");
+
+        // Act
+        var change = tracker.Leave("doc:1", "connection-a");
+
+        // Assert
+        change.Should().Be(new TurboPresenceChange(
+            "doc:1",
+            TurboPresenceChange.LeaveType,
+            new TurboPresenceMember("connection-a", "Ann")));
+        tracker.GetMembers("doc:1").Should().ContainSingle().Which.ConnectionId.Should().Be("connection-b");
+    }
+
+    [Fact]
+    public void Leave_ForNonMember_ReturnsNull()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+        tracker.Join("doc:1", "connection-a", "Ann");
+
+        // Act & Assert
+        tracker.Leave("doc:2", "connection-a").Should().BeNull();
+        tracker.Leave("doc:1", "connection-b").Should().BeNull();
+    }
+
+    [Fact]
+    public void LeaveAll_RemovesTheConnectionFromEveryStream()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+        tracker.Join("doc:1", "connection-a", "Ann");
+        tracker.Join("doc:2", "connection-a", "Ann");
+        tracker.Join("doc:2", "connection-b", "Bob");
+
+        // Act
+        var changes = tracker.LeaveAll("connection-a");
+
+        // Assert
+        changes.Select(c => c.Stream).Should().BeEquivalentTo("doc:1", "doc:2");
+        changes.Should().OnlyContain(c => c.Type == TurboPresenceChange.LeaveType && c.Member.ConnectionId == "connection-a");
+        tracker.GetMembers("doc:1").Should().BeEmpty();
+        tracker.GetMembers("doc:2").Should().ContainSingle().Which.ConnectionId.Should().Be("connection-b");
+    }
+
+    [Fact]
+    public void LeaveAll_ForUnknownConnection_ReturnsNoChanges()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+
+        // Act & Assert
+        tracker.LeaveAll("connection-a").Should().BeEmpty();
+    }
+
+    [Fact]
+    public void LeaveAll_AfterLeavingEveryStream_ReturnsNoChanges()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+        tracker.Join("doc:1", "connection-a", "Ann");
+        tracker.Leave("doc:1", "connection-a");
+
+        // Act & Assert
+        tracker.LeaveAll("connection-a").Should().BeEmpty();
+    }
+
+    [Fact]
+    public void GetMembers_ForUnknownStream_ReturnsEmpty()
+    {
+        // Arrange
+        var tracker = new TurboPresenceTracker();
+
+        // Act & Assert
+        tracker.GetMembers("doc:1").Should().BeEmpty();
+    }
+}
@@ -21,6 +21,7 @@ public class TurboServiceTests
     private readonly Mock<ILogger<TurboService>> _mockLogger;
     private readonly Mock<IPartialRenderer> _mockPartialRenderer;
     private readonly Mock<IHttpContextAccessor> _mockHttpContextAccessor;
+    private readonly TurboStreamBacklog _backlog;
     private readonly TurboService _service;
 
     public TurboServiceTests()
@@ -31,6 +32,7 @@ public class TurboServiceTests
         _mockLogger = new Mock<ILogger<TurboService>>();
         _mockPartialRenderer = new Mock<IPartialRenderer>();
         _mockHttpContextAccessor = new Mock<IHttpContextAccessor>();
+        _backlog = new TurboStreamBacklog(new TurboOptions());
 
         _mockHubContext.Setup(h => h.Clients).Returns(_mockClients.Object);
         _mockClients.Setup(c => c.Group(It.IsAny<string>())).Returns(_mockClientProxy.Object);
@@ -38,7 +40,7 @@ public class TurboServiceTests
         _mockClients.Setup(c => c.GroupExcept(It.IsAny<string>(), It.IsAny<IReadOnlyList<string>>())).Returns(_mockClientProxy.Object);
         _mockClients.Setup(c => c.AllExcept(It.IsAny<IReadOnlyList<string>>())).Returns(_mockClientProxy.Object);
 
-        _service = new TurboService(_mockHubContext.Object, _mockLogger.Object, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object);
+        _service = new TurboService(_mockHubContext.Object, _mockLogger.Object, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object, _backlog);
     }
 
     [Fact]
@@ -214,28 +216,103 @@ public class TurboServiceTests
     public void Constructor_WithNullHubContext_ThrowsArgumentNullException()
     {
         // Act & Assert
-        Assert.Throws<ArgumentNullException>(() => new TurboService(null!, _mockLogger.Object, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object));
+        Assert.Throws<ArgumentNullException>(() => new TurboService(null!, _mockLogger.Object, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object, _backlog));
     }
 
     [Fact]
     public void Constructor_WithNullLogger_ThrowsArgumentNullException()
     {
         // Act & Assert
-        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, null!, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object));
+        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, null!, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object, _backlog));
     }
 
     [Fact]
     public void Constructor_WithNullPartialRenderer_ThrowsArgumentNullException()
     {
         // Act & Assert
-        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, _mockLogger.Object, null!, _mockHttpContextAccessor.Object));
+        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, _mockLogger.Object, null!, _mockHttpContextAccessor.Object, _backlog));
+    }
+
+    [Fact]
+    public void Constructor_WithNullBacklog_ThrowsArgumentNullException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, _mockLogger.Object, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object, null!));
+    }
+
+    [Fact]
+    public async Task Stream_SendsIncreasingSequenceNumbersPerStream()
+    {
+        // Arrange
+        var captured = new List<TurboStreamMessageInfo?>();
+        _mockClientProxy
+            .Setup(c => c.SendCoreAsync(TurboHub.TurboStreamMethod, It.IsAny<object?[]>(), default))
+            .Callback<string, object?[], CancellationToken>((method, args, _) =>
+            {
+                captured.Add(args[1] as TurboStreamMessageInfo);
+            })
+            .Returns(Task.CompletedTask);
+
+        // Act
+        await _service.Stream("stream-a", builder => builder.Append("target", "<div>1</div>"));
+        await _service.Stream("stream-a", builder => builder.Append("target", "<div>2</div>"));
+        await _service.Stream("stream-b", builder => builder.Append("target", "<div>3</div>"));
+
+        // Assert
+        captured.Should().Equal(
+            new TurboStreamMessageInfo("stream-a", 1),
+            new TurboStreamMessageInfo("stream-a", 2),
+            new TurboStreamMessageInfo("stream-b", 1));
+    }
+
+    [Fact]
+    public async Task Stream_RecordsMessagesInBacklog()
+    {
+        // Act
+        await _service.Stream("test-stream", builder => builder.Append("target", "<div>Content</div>"));
+
+        // Assert
+        _backlog.TryGetMessagesSince("test-stream", 0, out var messages).Should().BeTrue();
+        messages.Should().ContainSingle().Which.Html.Should().Contain("<div>Content</div>");
+    }
+
+    [Fact]
+    public async Task Stream_WithExcludedConnectionId_RecordsItInBacklog()
+    {
+        // Act
+        await _service.Stream("test-stream", builder => builder.Append("target", "<div>Content</div>"), "conn-123");
+
+        // Assert
+        _backlog.TryGetMessagesSince("test-stream", 0, out var messages).Should().BeTrue();
+        messages.Should().ContainSingle().Which.ExcludedConnectionId.Should().Be("conn-123");
+    }
+
+    [Fact]
+    public async Task Stream_WithoutBacklog_SendsHtmlOnly()
+    {
+        // Arrange
+        object?[]? capturedArgs = null;
+        _mockClientProxy
+            .Setup(c => c.SendCoreAsync(TurboHub.TurboStreamMethod, It.IsAny<object?[]>(), default))
+            .Callback<string, object?[], CancellationToken>((method, args, _) =>
+            {
+                capturedArgs = args;
+            })
+            .Returns(Task.CompletedTask);
+        var service = new TurboService(_mockHubContext.Object, _mockLogger.Object, _mockPartialRenderer.Object, _mockHttpContextAccessor.Object);
+
+        // Act
+        await service.Stream("test-stream", builder => builder.Append("target", "<div>Content</div>"));
+
+        // Assert
+        capturedArgs.Should().ContainSingle().Which.Should().BeOfType<string>().Which.Should().Contain("<div>Content</div>");
     }
 
     [Fact]
     public void Constructor_WithNullHttpContextAccessor_ThrowsArgumentNullException()
     {
         // Act & Assert
-        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, _mockLogger.Object, _mockPartialRenderer.Object, null!));
+        Assert.Throws<ArgumentNullException>(() => new TurboService(_mockHubContext.Object, _mockLogger.Object, _mockPartialRenderer.Object, null!, _backlog));
     }
 
     [Fact]
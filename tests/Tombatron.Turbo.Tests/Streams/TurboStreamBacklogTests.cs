@@ -0,0 +1,266 @@
+using FluentAssertions;
+using Tombatron.Turbo.Streams;
+using Xunit;
+
+namespace Tombatron.Turbo.Tests.Streams;
+
+/// <summary>
+/// Tests for the TurboStreamBacklog class.
+/// </summary>
+public class TurboStreamBacklogTests
+{
+    private static TurboStreamBacklog CreateBacklog(int size = 3) =>
+        new(new TurboOptions { StreamBacklogSize = size });
+
+    [Fact]
+    public void Constructor_WithNullOptions_ThrowsArgumentNullException()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentNullException>(() => new TurboStreamBacklog(null!));
+    }
+
+    [Fact]
+    public void Append_AssignsIncreasingSequenceNumbersPerStream()
+    {
+        // Arrange
+        var backlog = CreateBacklog();
+
+        // Act & Assert
+        backlog.Append("stream-a", "a1").Should().Be(1);
+        backlog.Append("stream-a", "a2").Should().Be(2);
+        backlog.Append("stream-b", "b1").Should().Be(1);
+        backlog.GetCurrentSequence("stream-a").Should().Be(2);
+    }
+
+    [Fact]
+    public void GetCurrentSequence_ForUnknownStream_ReturnsZero()
+    {
+        // Arrange
+        var backlog = CreateBacklog();
+
+        // Act & Assert
+        backlog.GetCurrentSequence("unknown").Should().Be(0);
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_ReturnsMessagesAfterSequence()
+    {
+        // Arrange
+        var backlog = CreateBacklog();
+        backlog.Append("stream", "m1");
+        backlog.Append("stream", "m2");
+        backlog.Append("stream", "m3");
+
+        // Act
+        bool result = backlog.TryGetMessagesSince("stream", 1, out var messages);
+
+        // Assert
+        result.Should().BeTrue();
+        messages.Should().Equal(
+            new TurboStreamBacklogEntry(2, "m2"),
+            new TurboStreamBacklogEntry(3, "m3"));
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_KeepsExcludedConnection()
+    {
+        // Arrange
+        var backlog = CreateBacklog();
+        backlog.Append("stream", "m1", "connection-1");
+
+        // Act
+        bool result = backlog.TryGetMessagesSince("stream", 0, out var messages);
+
+        // Assert
+        result.Should().BeTrue();
+        messages.Should().Equal(new TurboStreamBacklogEntry(1, "m1", "connection-1"));
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_WhenUpToDate_ReturnsEmpty()
+    {
+        // Arrange
+        var backlog = CreateBacklog();
+        backlog.Append("stream", "m1");
+
+        // Act
+        bool result = backlog.TryGetMessagesSince("stream", 1, out var messages);
+
+        // Assert
+        result.Should().BeTrue();
+        messages.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_WhenMessagesWereDropped_ReturnsFalse()
+    {
+        // Arrange
+        var backlog = CreateBacklog(size: 2);
+        backlog.Append("stream", "m1");
+        backlog.Append("stream", "m2");
+        backlog.Append("stream", "m3");
+        backlog.Append("stream", "m4");
+
+        // Act & Assert
+        backlog.TryGetMessagesSince("stream", 1, out _).Should().BeFalse();
+        backlog.TryGetMessagesSince("stream", 2, out var messages).Should().BeTrue();
+        messages.Select(m => m.Html).Should().Equal("m3", "m4");
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_WithSequenceAheadOfServer_ReturnsFalse()
+    {
+        // Arrange - simulates a client that saw messages before the application restarted
+        var backlog = CreateBacklog();
+        backlog.Append("stream", "m1");
+
+        // Act & Assert
+        backlog.TryGetMessagesSince("stream", 10, out _).Should().BeFalse();
+        backlog.TryGetMessagesSince("unknown", 10, out _).Should().BeFalse();
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_ForUnknownStreamFromStart_ReturnsTrue()
+    {
+        // Arrange
+        var backlog = CreateBacklog();
+
+        // Act & Assert
+        backlog.TryGetMessagesSince("unknown", 0, out var messages).Should().BeTrue();
+        messages.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_WithReplayDisabled_OnlySucceedsWhenNothingWasMissed()
+    {
+        // Arrange
+        var backlog = CreateBacklog(size: 0);
+        backlog.Append("stream", "m1");
+        backlog.Append("stream", "m2");
+
+        // Act & Assert
+        backlog.TryGetMessagesSince("stream", 2, out _).Should().BeTrue();
+        backlog.TryGetMessagesSince("stream", 1, out _).Should().BeFalse();
+    }
+
+    [Fact]
+    public void Append_AfterIdleTimeout_ForgetsIdleStreams()
+    {
+        // Arrange
+        var clock = new ManualTimeProvider();
+        var backlog = CreateBacklog(clock, TimeSpan.FromMinutes(5));
+        backlog.Append("idle", "m1");
+        backlog.Append("busy", "m1");
+
+        // Act
+        clock.Advance(TimeSpan.FromMinutes(3));
+        backlog.Append("busy", "m2");
+        clock.Advance(TimeSpan.FromMinutes(3));
+        backlog.Append("busy", "m3");
+
+        // Assert
+        backlog.StreamCount.Should().Be(1);
+        backlog.GetCurrentSequence("busy").Should().Be(3);
+    }
+
+    [Fact]
+    public void Append_WithoutIdleTimeout_KeepsEveryStream()
+    {
+        // Arrange
+        var clock = new ManualTimeProvider();
+        var backlog = CreateBacklog(clock, idleTimeout: null);
+        backlog.Append("stream-a", "m1");
+
+        // Act
+        clock.Advance(TimeSpan.FromDays(1));
+        backlog.Append("stream-b", "m1");
+
+        // Assert
+        backlog.StreamCount.Should().Be(2);
+    }
+
+    [Fact]
+    public void GetCurrentSequence_KeepsStreamFromBeingForgotten()
+    {
+        // Arrange
+        var clock = new ManualTimeProvider();
+        var backlog = CreateBacklog(clock, TimeSpan.FromMinutes(5));
+        backlog.Append("watched", "m1");
+
+        // Act
+        clock.Advance(TimeSpan.FromMinutes(4));
+        backlog.GetCurrentSequence("watched");
+        clock.Advance(TimeSpan.FromMinutes(4));
+        backlog.Append("other", "m1");
+
+        // Assert
+        backlog.GetCurrentSequence("watched").Should().Be(1);
+        backlog.StreamCount.Should().Be(2);
+    }
+
+    [Fact]
+    public void Append_AfterStreamIsForgotten_ContinuesAboveForgottenSequences()
+    {
+        // Arrange
+        var clock = new ManualTimeProvider();
+        var backlog = CreateBacklog(clock, TimeSpan.FromMinutes(5));
+        backlog.Append("stream", "m1");
+        backlog.Append("stream", "m2");
+        clock.Advance(TimeSpan.FromMinutes(6));
+        backlog.Append("other", "o1");
+
+        // Act
+        long current = backlog.GetCurrentSequence("stream");
+        long next = backlog.Append("stream", "m3");
+
+        // Assert
+        current.Should().Be(2);
+        next.Should().Be(3);
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_ForForgottenStream_OnlySucceedsWhenNothingWasMissed()
+    {
+        // Arrange
+        var clock = new ManualTimeProvider();
+        var backlog = CreateBacklog(clock, TimeSpan.FromMinutes(5));
+        backlog.Append("stream", "m1");
+        backlog.Append("stream", "m2");
+        clock.Advance(TimeSpan.FromMinutes(6));
+        backlog.Append("other", "o1");
+
+        // Act & Assert
+        backlog.TryGetMessagesSince("stream", 2, out _).Should().BeTrue();
+        backlog.TryGetMessagesSince("stream", 1, out _).Should().BeFalse();
+        backlog.TryGetMessagesSince("stream", 0, out _).Should().BeFalse();
+    }
+
+    [Fact]
+    public void TryGetMessagesSince_AfterStreamIsForgottenAndReused_RejectsOldSequences()
+    {
+        // Arrange
+        var clock = new ManualTimeProvider();
+        var backlog = CreateBacklog(clock, TimeSpan.FromMinutes(5));
+        backlog.Append("stream", "m1");
+        backlog.Append("stream", "m2");
+        clock.Advance(TimeSpan.FromMinutes(6));
+        backlog.Append("stream", "m3");
+
+        // Act & Assert
+        backlog.TryGetMessagesSince("stream", 1, out _).Should().BeFalse();
+        backlog.TryGetMessagesSince("stream", 2, out var messages).Should().BeTrue();
+        messages.Select(m => m.Html).Should().Equal("m3");
+    }
+
+    private static TurboStreamBacklog CreateBacklog(TimeProvider clock, TimeSpan? idleTimeout) =>
+        new(new TurboOptions { StreamBacklogSize = 3, StreamBacklogIdleTimeout = idleTimeout }, clock);
+
+    private sealed class ManualTimeProvider : TimeProvider
+    {
+        private DateTimeOffset _now = new(2024, 1, 1, 0, 0, 0, TimeSpan.Zero);
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan delta) => _now += delta;
+    }
+}
@@ -7,9 +7,15 @@ namespace Tombatron.Turbo.Tests.TagHelpers;
 
 public class TurboMetaTagHelperTests
 {
-    private static TurboMetaTagHelper CreateTagHelper()
+    private static TurboMetaTagHelper CreateTagHelper(TurboOptions? options = null)
     {
-        return new TurboMetaTagHelper();
+        return new TurboMetaTagHelper(options ?? new TurboOptions());
+    }
+
+    [Fact]
+    public void Constructor_WithNullOptions_ThrowsArgumentNullException()
+    {
+        Assert.Throws<ArgumentNullException>(() => new TurboMetaTagHelper(null!));
     }
 
     [Fact]
@@ -222,6 +228,51 @@ public class TurboMetaTagHelperTests
         html.Should().NotContain("\"onload=\"");
     }
 
+    [Fact]
+    public void Process_WithSignalRReconnect_EmitsReconnectPolicyFromOptions()
+    {
+        var options = new TurboOptions
+        {
+            EnableAutoReconnect = true,
+            MaxReconnectAttempts = 8,
+            ReconnectBaseDelay = TimeSpan.FromMilliseconds(500),
+            ReconnectMaxDelay = TimeSpan.FromSeconds(10),
+            ReconnectJitter = 0.25
+        };
+        var tagHelper = CreateTagHelper(options);
+        tagHelper.SignalRReconnect = true;
+        var context = CreateTagHelperContext();
+        var output = CreateTagHelperOutput();
+
+        tagHelper.Process(context, output);
+
+        var html = output.PostElement.GetContent();
+        html.Should().Contain("<meta name=\"turbo-signalr-reconnect\" content=\"");
+        tagHelper.BuildReconnectPolicyJson().Should()
+            .Be("{\"enabled\":true,\"maxAttempts\":8,\"baseDelay\":500,\"maxDelay\":10000,\"jitter\":0.25}");
+    }
+
+    [Fact]
+    public void BuildReconnectPolicyJson_WithAutoReconnectDisabled_ReportsDisabled()
+    {
+        var tagHelper = CreateTagHelper(new TurboOptions { EnableAutoReconnect = false });
+
+        tagHelper.BuildReconnectPolicyJson().Should().Contain("\"enabled\":false");
+    }
+
+    [Fact]
+    public void Process_WithoutSignalRReconnect_DoesNotEmitReconnectMeta()
+    {
+        var tagHelper = CreateTagHelper();
+        var context = CreateTagHelperContext();
+        var output = CreateTagHelperOutput();
+
+        tagHelper.Process(context, output);
+
+        var html = output.PostElement.GetContent();
+        html.Should().NotContain("turbo-signalr-reconnect");
+    }
+
     [Fact]
     public void Process_WithNullContext_ThrowsArgumentNullException()
     {
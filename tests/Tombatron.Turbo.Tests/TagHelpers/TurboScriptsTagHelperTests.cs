@@ -192,6 +192,25 @@ public class TurboScriptsTagHelperTests
         content.Should().Contain("turbo-signalr.bundled.min.js");
     }
 
+    [Fact]
+    public void Process_Traditional_MessagePackPin_UsesMessagePackBridge()
+    {
+        // Arrange
+        _options.ImportMap.Pin("turbo-signalr",
+            "/_content/Tombatron.Turbo/dist/turbo-signalr.bundled.msgpack.esm.js", preload: true);
+        var tagHelper = CreateTagHelper();
+        tagHelper.Mode = TurboScriptsMode.Traditional;
+        var (context, output) = CreateTagHelperContextAndOutput();
+
+        // Act
+        tagHelper.Process(context, output);
+
+        // Assert
+        string content = output.Content.GetContent();
+        content.Should().Contain("<script src=\"/_content/Tombatron.Turbo/dist/turbo-signalr.bundled.msgpack.min.js\"></script>");
+        content.Should().NotContain("turbo-signalr.bundled.min.js");
+    }
+
     [Fact]
     public void Process_Traditional_DoesNotRenderNonPreloadedEntries()
     {
@@ -20,6 +20,11 @@ public class TurboOptionsTests
         options.DefaultSessionStreamPattern.Should().Be("session:{0}");
         options.EnableAutoReconnect.Should().BeTrue();
         options.MaxReconnectAttempts.Should().Be(5);
+        options.ReconnectBaseDelay.Should().Be(TimeSpan.FromSeconds(1));
+        options.ReconnectMaxDelay.Should().Be(TimeSpan.FromSeconds(30));
+        options.ReconnectJitter.Should().Be(0);
+        options.StreamBacklogSize.Should().Be(50);
+        options.StreamBacklogIdleTimeout.Should().Be(TimeSpan.FromHours(1));
     }
 
     [Fact]
@@ -135,6 +140,95 @@ public class TurboOptionsTests
         act.Should().NotThrow();
     }
 
+    [Fact]
+    public void Validate_WithNegativeStreamBacklogSize_ShouldThrow()
+    {
+        // Arrange
+        var options = new TurboOptions { StreamBacklogSize = -1 };
+
+        // Act
+        Action act = () => options.Validate();
+
+        // Assert
+        act.Should().Throw<InvalidOperationException>()
+            .WithMessage("StreamBacklogSize cannot be negative.");
+    }
+
+    [Fact]
+    public void Validate_WithZeroStreamBacklogIdleTimeout_ShouldThrow()
+    {
+        // Arrange
+        var options = new TurboOptions { StreamBacklogIdleTimeout = TimeSpan.Zero };
+
+        // Act
+        Action act = () => options.Validate();
+
+        // Assert
+        act.Should().Throw<InvalidOperationException>()
+            .WithMessage("StreamBacklogIdleTimeout must be positive.");
+    }
+
+    [Fact]
+    public void Validate_WithNullStreamBacklogIdleTimeout_ShouldNotThrow()
+    {
+        // Arrange
+        var options = new TurboOptions { StreamBacklogIdleTimeout = null };
+
+        // Act
+        Action act = () => options.Validate();
+
+        // Assert
+        act.Should().NotThrow();
+    }
+
+    [Fact]
+    public void Validate_WithNegativeReconnectBaseDelay_ShouldThrow()
+    {
+        // Arrange
+        var options = new TurboOptions { ReconnectBaseDelay = TimeSpan.FromSeconds(-1) };
+
+        // Act
+        Action act = () => options.Validate();
+
+        // Assert
+        act.Should().Throw<InvalidOperationException>()
+            .WithMessage("ReconnectBaseDelay cannot be negative.");
+    }
+
+    [Fact]
+    public void Validate_WithReconnectMaxDelayLessThanBaseDelay_ShouldThrow()
+    {
+        // Arrange
+        var options = new TurboOptions
+        {
+            ReconnectBaseDelay = TimeSpan.FromSeconds(10),
+            ReconnectMaxDelay = TimeSpan.FromSeconds(5)
+        };
+
+        // Act
+        Action act = () => options.Validate();
+
+        // Assert
+        act.Should().Throw<InvalidOperationException>()
+            .WithMessage("ReconnectMaxDelay cannot be less than ReconnectBaseDelay.");
+    }
+
+    [Theory]
+    [InlineData(-0.1)]
+    [InlineData(1.5)]
+    public void Validate_WithReconnectJitterOutOfRange_ShouldThrow(double jitter)
+    {
+        // Arrange
+        var options = new TurboOptions { ReconnectJitter = jitter };
+
+        // Act
+        Action act = () => options.Validate();
+
+        // Assert
+        act.Should().Throw<InvalidOperationException>()
+            .WithMessage("ReconnectJitter must be between 0 and 1.");
+    }
+
     [Fact]
     public void SetProperties_ShouldRetainValues()
     {